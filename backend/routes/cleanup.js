@@ -0,0 +1,45 @@
+const express = require('express');
+const dataStore = require('../services/dataStore');
+const cleanup = require('../services/cleanup');
+
+const router = express.Router();
+
+// POST / - Run a cleanup now; { "dryRun": true } only reports what would be removed.
+// "ageHours" overrides CLEANUP_AGE_HOURS for this run.
+router.post('/', async (req, res) => {
+	try {
+		const { dryRun = false, ageHours } = req.body;
+		if (typeof dryRun !== 'boolean') {
+			return res.status(400).json({ error: 'dryRun must be a boolean' });
+		}
+		if (ageHours !== undefined && typeof ageHours !== 'number') {
+			return res.status(400).json({ error: 'ageHours must be a number' });
+		}
+
+		const report = await cleanup.runCleanup({ dryRun, ageHours });
+		res.json(report);
+	} catch (error) {
+		if (!error.status) {
+			console.error('❌ Error running cleanup:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message || 'Failed to run cleanup' });
+	}
+});
+
+// GET /log - What past cleanups removed, newest first (?limit=, default 50)
+router.get('/log', async (req, res) => {
+	try {
+		const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+		if (!Number.isInteger(limit) || limit < 1) {
+			return res.status(400).json({ error: 'limit must be a positive integer' });
+		}
+
+		const log = await dataStore.getCleanupLog(limit);
+		res.json(log);
+	} catch (error) {
+		console.error('❌ Error fetching cleanup log:', error.message);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+module.exports = router;
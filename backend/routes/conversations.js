@@ -3,178 +3,192 @@ const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const dataStore = require('../services/dataStore');
 const elevenlabs = require('../services/elevenlabs');
-const llmFactory = require('../services/llmFactory');
 const storage = require('../services/storage');
-const franc = require('franc');
 const settingsStore = require('../services/settingsStore');
-const openrouterStatus = require('../services/openrouterStatus');
+const turnPipeline = require('../services/turnPipeline');
+const messageTree = require('../services/messageTree');
+const conversationExport = require('../services/conversationExport');
+const conversationImport = require('../services/conversationImport');
+const conversationAudio = require('../services/conversationAudio');
+const groupChat = require('../services/groupChat');
+const retention = require('../services/retention');
+const conversationTags = require('../services/conversationTags');
 
 const router = express.Router();
 const turnUpload = multer({ storage: multer.memoryStorage() });
+const importUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: 200 * 1024 * 1024, // 200 MB limit
+	},
+}).single('file');
 
-// Per-conversation turn queue to prevent concurrent turn lost-updates
-const turnQueues = new Map();
+// Fields PATCH /:id accepts
+const PATCH_FIELDS = ['title', 'activeLlmModel', 'speakReplies', 'participantIds', 'turnPolicy', 'retention', 'pinned', 'archived', 'tags'];
 
-// Voice switch instruction for LLM
-const VOICE_SWITCH_META = `If the user asks to switch to a different voice or persona (NOT a language), you MUST output the following JSON on its own line BEFORE your reply:
-{"switchVoice":"<exact voice name>"}
-Then continue your reply as the new persona on the next line.
-IMPORTANT: Language requests like "speak in French" or "respond in Spanish" are NOT voice switches. Do not emit switchVoice for language change requests.`;
+const MAX_TITLE_LENGTH = 200;
 
-// Helper function to extract voice switch signal from LLM response
-function extractSwitchVoiceSignal(text) {
-	if (!text) return null;
+// Actions POST /bulk applies to several conversations at once
+const BULK_ACTIONS = ['tag', 'untag', 'archive', 'unarchive', 'delete'];
 
-	// Priority 1: Fenced block at start: ```json\n{...}\n```
-	let match = text.match(/^\`\`\`(?:json)?\s*\n(\{[^\n]*\})\s*\n\`\`\`\s*\n?/);
-	if (match) {
-		try {
-			const parsed = JSON.parse(match[1]);
-			if (typeof parsed.switchVoice === 'string' && parsed.switchVoice) {
-				return {
-					switchVoice: parsed.switchVoice,
-					replyText: text.slice(match[0].length).trim(),
-				};
-			}
-		} catch (e) {
-			// Continue to next candidate if JSON parsing fails
-		}
-	}
+const MAX_BULK_IDS = 500;
 
-	// Priority 2: Clean first-line JSON: {"switchVoice":"Didi"}\n...
-	match = text.match(/^(\{[^\n]*\})\s*\n?/);
-	if (match) {
-		try {
-			const parsed = JSON.parse(match[1]);
-			if (typeof parsed.switchVoice === 'string' && parsed.switchVoice) {
-				return {
-					switchVoice: parsed.switchVoice,
-					replyText: text.slice(match[0].length).trim(),
-				};
-			}
-		} catch (e) {
-			// Return null if JSON parsing fails
-		}
+// Shared input validation for the turn endpoints
+function getTurnValidationError(req) {
+	if (!req.body.turnId) {
+		return 'turnId is required';
 	}
 
-	// Priority 3: Scan all lines for JSON pattern
-	const lines = text.split('\n');
-	for (let i = 0; i < lines.length; i++) {
-		const line = lines[i];
-		const jsonMatch = line.match(/\{[^\n]*\}/);
-		if (jsonMatch) {
-			try {
-				const parsed = JSON.parse(jsonMatch[0]);
-				if (typeof parsed.switchVoice === 'string' && parsed.switchVoice) {
-					// Remove the line containing the JSON from the array
-					lines.splice(i, 1);
-					// Join the remaining lines back together
-					const replyText = lines.join('\n').trim();
-					return {
-						switchVoice: parsed.switchVoice,
-						replyText: replyText,
-					};
-				}
-			} catch (e) {
-				// Continue to next line if JSON parsing fails
-			}
-		}
+	if (!req.file && (!req.body.transcribedText || !req.body.transcribedText.trim())) {
+		return 'audio file or transcribedText is required';
 	}
 
 	return null;
 }
 
-// LLM switch instruction for LLM
-const LLM_SWITCH_META = `If the user asks to switch to a different LLM/AI model (NOT a language or voice change), emit {"switchLLM":"model-id"} on its own line BEFORE your reply. Use exact model IDs from the available list. Do NOT emit this for language change requests.`;
-
-// Helper function to extract LLM switch signal from LLM response
-function extractSwitchLlmSignal(text) {
-	if (!text) return null;
-
-	// Priority 1: Fenced block at start: ```json\n{...}\n```
-	let match = text.match(/^\`\`\`(?:json)?\s*\n(\{[^\n]*\})\s*\n\`\`\`\s*\n?/);
-	if (match) {
-		try {
-			const parsed = JSON.parse(match[1]);
-			if (typeof parsed.switchLLM === 'string' && parsed.switchLLM) {
-				return {
-					switchLLM: parsed.switchLLM,
-					replyText: text.slice(match[0].length).trim(),
-				};
-			}
-		} catch (e) {
-			// Continue to next candidate if JSON parsing fails
+// Shared validation of a group conversation's participants and turn-taking policy
+function getGroupValidationError(participantIds, turnPolicy, voices) {
+	if (participantIds !== undefined) {
+		if (!Array.isArray(participantIds) || participantIds.some((id) => typeof id !== 'string') || new Set(participantIds).size !== participantIds.length || participantIds.length < 2) {
+			return { status: 400, error: 'participantIds must list at least two different voices' };
 		}
-	}
-
-	// Priority 2: Clean first-line JSON: {"switchLLM":"model-id"}\n...
-	match = text.match(/^(\{[^\n]*\})\s*\n?/);
-	if (match) {
-		try {
-			const parsed = JSON.parse(match[1]);
-			if (typeof parsed.switchLLM === 'string' && parsed.switchLLM) {
-				return {
-					switchLLM: parsed.switchLLM,
-					replyText: text.slice(match[0].length).trim(),
-				};
-			}
-		} catch (e) {
-			// Return null if JSON parsing fails
+		const unknownId = participantIds.find((id) => !voices.some((v) => v.id === id));
+		if (unknownId) {
+			return { status: 404, error: `Voice not found: ${unknownId}` };
 		}
 	}
 
-	// Priority 3: Scan all lines for JSON pattern
-	const lines = text.split('\n');
-	for (let i = 0; i < lines.length; i++) {
-		const line = lines[i];
-		const jsonMatch = line.match(/\{[^\n]*\}/);
-		if (jsonMatch) {
-			try {
-				const parsed = JSON.parse(jsonMatch[0]);
-				if (typeof parsed.switchLLM === 'string' && parsed.switchLLM) {
-					// Remove the line containing the JSON from the array
-					lines.splice(i, 1);
-					// Join the remaining lines back together
-					const replyText = lines.join('\n').trim();
-					return {
-						switchLLM: parsed.switchLLM,
-						replyText: replyText,
-					};
-				}
-			} catch (e) {
-				// Continue to next line if JSON parsing fails
-			}
-		}
+	if (turnPolicy !== undefined && !Object.hasOwn(groupChat.TURN_POLICIES, turnPolicy)) {
+		return { status: 400, error: `turnPolicy must be one of: ${Object.keys(groupChat.TURN_POLICIES).join(', ')}` };
 	}
 
 	return null;
 }
 
-function enqueueTurn(conversationId, fn) {
-	const current = turnQueues.get(conversationId) || Promise.resolve();
-	const next = current.catch(() => {}).then(() => fn());
-	turnQueues.set(conversationId, next);
-	return next;
+// Shape a conversation for API responses, with when its retention policy applies next
+function toClientConversation(conversation) {
+	return { ...messageTree.toClientConversation(conversation), expiresAt: retention.getExpiresAt(conversation) };
+}
+
+// Delete a conversation and its audio, in its turn queue so a turn in progress cannot save it back
+function deleteConversationAndAudio(id) {
+	return turnPipeline.enqueueTurn(id, async () => {
+		await dataStore.deleteConversation(id); // Throws 404 if not found
+		await storage.deleteSession(id); // Already handles ENOENT internally
+	});
+}
+
+// Map a multipart turn request onto the pipeline input
+function getTurnInput(req) {
+	return {
+		turnId: req.body.turnId,
+		audioBuffer: req.file?.buffer,
+		mimeType: req.file?.mimetype,
+		transcribedText: req.body.transcribedText,
+	};
 }
 
-// GET / - list conversations
+// GET / - list conversations, pinned first; archived ones are listed (only) with ?archived=true,
+// and ?tag= lists only the conversations with that tag
 router.get('/', async (req, res) => {
 	try {
-		const conversations = await dataStore.listConversations();
-		res.json(conversations);
+		const tag = typeof req.query.tag === 'string' && req.query.tag.trim() ? req.query.tag.trim() : undefined;
+		const conversations = await dataStore.listConversations({ archived: req.query.archived === 'true', tag });
+		res.json(conversations.map((conv) => ({ ...conv, expiresAt: retention.getExpiresAt(conv) })));
 	} catch (error) {
 		console.error('❌ Error listing conversations:', error);
 		res.status(500).json({ error: 'Failed to list conversations' });
 	}
 });
 
+// GET /search?q= - find messages across all conversations
+router.get('/search', async (req, res) => {
+	try {
+		const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+		if (!query) {
+			return res.status(400).json({ error: 'q is required' });
+		}
+
+		const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+		const results = await dataStore.searchMessages(query, limit);
+		res.json(results);
+	} catch (error) {
+		console.error('❌ Error searching conversations:', error);
+		res.status(500).json({ error: 'Failed to search conversations' });
+	}
+});
+
+// GET /tags - the tags in use, with how many conversations carry each (archived ones only with ?archived=true)
+router.get('/tags', async (req, res) => {
+	try {
+		const conversations = await dataStore.listConversations({ archived: req.query.archived === 'true' });
+		res.json(conversationTags.countTags(conversations));
+	} catch (error) {
+		console.error('❌ Error listing tags:', error);
+		res.status(500).json({ error: 'Failed to list tags' });
+	}
+});
+
+// POST /bulk - apply one action to several conversations: { ids, action, tags }
+// action is tag or untag (add or remove `tags`), archive, unarchive or delete.
+// Conversations are handled one by one, each in its turn queue; responds with those that succeeded and those that failed, with why.
+router.post('/bulk', async (req, res) => {
+	try {
+		const { ids, action, tags } = req.body;
+		if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS || ids.some((id) => typeof id !== 'string')) {
+			return res.status(400).json({ error: `ids must list 1 to ${MAX_BULK_IDS} conversation IDs` });
+		}
+		if (!BULK_ACTIONS.includes(action)) {
+			return res.status(400).json({ error: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+		}
+		if (action === 'tag' || action === 'untag') {
+			const tagsError = conversationTags.getTagsError(tags);
+			if (tagsError || tags.length === 0) {
+				return res.status(400).json({ error: tagsError || 'tags is required' });
+			}
+		}
+
+		const result = { action, succeeded: [], failed: [] };
+		for (const id of new Set(ids)) {
+			try {
+				if (action === 'delete') {
+					await deleteConversationAndAudio(id);
+				} else {
+					await turnPipeline.enqueueTurn(id, async () => {
+						const conversation = await dataStore.getConversation(id);
+						if (action === 'tag') conversationTags.addTags(conversation, tags);
+						if (action === 'untag') conversationTags.removeTags(conversation, tags);
+						if (action === 'archive' || action === 'unarchive') conversation.archived = action === 'archive';
+
+						conversation.updatedAt = new Date().toISOString();
+						await dataStore.saveConversation(conversation);
+					});
+				}
+				result.succeeded.push(id);
+			} catch (error) {
+				if (!error.status) {
+					console.error(`❌ Bulk ${action} failed for conversation ${id}:`, error.message);
+				}
+				result.failed.push({ id, status: error.status || 500, error: error.message });
+			}
+		}
+
+		console.log(`🏷️ Bulk ${action}: ${result.succeeded.length} succeeded, ${result.failed.length} failed`);
+		res.json(result);
+	} catch (error) {
+		console.error('❌ Error applying bulk action:', error);
+		res.status(500).json({ error: 'Failed to apply bulk action' });
+	}
+});
+
 // POST / - create conversation
 router.post('/', async (req, res) => {
 	try {
-		const { voiceId } = req.body;
+		const { participantIds, turnPolicy } = req.body;
+		const voiceId = req.body.voiceId || participantIds?.[0];
 
 		if (!voiceId) {
-			return res.status(400).json({ error: 'voiceId is required' });
+			return res.status(400).json({ error: 'voiceId or participantIds is required' });
 		}
 
 		const voices = await dataStore.getVoices();
@@ -184,12 +198,29 @@ router.post('/', async (req, res) => {
 			return res.status(404).json({ error: 'Voice not found' });
 		}
 
+		// Group conversation: several voices take part, one answers each turn
+		const groupError = getGroupValidationError(participantIds, turnPolicy, voices);
+		if (groupError) {
+			return res.status(groupError.status).json({ error: groupError.error });
+		}
+		if (turnPolicy !== undefined && participantIds === undefined) {
+			return res.status(400).json({ error: 'turnPolicy requires participantIds' });
+		}
+
 		const conversation = {
 			id: uuidv4(),
 			voiceId,
 			title: 'New Conversation',
 			activeLanguage: null,
 			activeLlmModel: null,
+			activeLeafId: null,
+			speakReplies: true,
+			participantIds: participantIds || null,
+			turnPolicy: participantIds ? turnPolicy || groupChat.DEFAULT_TURN_POLICY : null,
+			retention: null,
+			pinned: false,
+			archived: false,
+			tags: [],
 			createdAt: new Date().toISOString(),
 			updatedAt: new Date().toISOString(),
 			messages: [],
@@ -203,6 +234,34 @@ router.post('/', async (req, res) => {
 	}
 });
 
+// POST /import - restore a conversation from a JSON or ZIP export (multipart "file")
+router.post('/import', (req, res) => {
+	importUpload(req, res, async (err) => {
+		if (err instanceof multer.MulterError) {
+			if (err.code === 'LIMIT_FILE_SIZE') {
+				return res.status(400).json({ error: 'File size exceeds 200MB limit' });
+			}
+			return res.status(400).json({ error: err.message });
+		} else if (err) {
+			return res.status(400).json({ error: err.message });
+		}
+
+		try {
+			if (!req.file) {
+				return res.status(400).json({ error: 'file is required' });
+			}
+
+			const { conversation, unresolvedVoices, audioFiles } = await conversationImport.importConversation(req.file.buffer);
+			res.status(201).json({ conversation: toClientConversation(conversation), unresolvedVoices, audioFiles });
+		} catch (error) {
+			if (error.status !== 400) {
+				console.error('❌ Error importing conversation:', error.message);
+			}
+			res.status(error.status || 500).json({ error: error.message || 'Failed to import conversation' });
+		}
+	});
+});
+
 // GET /:id - get full conversation
 router.get('/:id', async (req, res) => {
 	try {
@@ -216,12 +275,12 @@ router.get('/:id', async (req, res) => {
 
 		// Branch A - voice found: proceed without changes
 		if (voiceExists) {
-			return res.json(conversation);
+			return res.json(toClientConversation(conversation));
 		}
 
 		// Branch B - voice missing, no voices available: proceed without changes
 		if (voices.length === 0) {
-			return res.json(conversation);
+			return res.json(toClientConversation(conversation));
 		}
 
 		// Branch C - voice missing, but we have voices available: recover by assigning first voice
@@ -247,7 +306,7 @@ router.get('/:id', async (req, res) => {
 		if (!Array.isArray(conversation.messages)) {
 			conversation.messages = [];
 		}
-		conversation.messages.push(recoveryEvent);
+		messageTree.appendMessages(conversation, [recoveryEvent]);
 		conversation.updatedAt = new Date().toISOString();
 
 		// Save updated conversation
@@ -256,7 +315,7 @@ router.get('/:id', async (req, res) => {
 		// Log recovery action
 		console.log(`⚠️ Voice recovery: assigned ${voices[0].name} to conversation ${req.params.id}`);
 
-		res.json(conversation);
+		res.json(toClientConversation(conversation));
 	} catch (error) {
 		res.status(error.status || 500).json({ error: error.message || 'Failed to get conversation' });
 	}
@@ -265,9 +324,7 @@ router.get('/:id', async (req, res) => {
 // DELETE /:id - delete conversation
 router.delete('/:id', async (req, res) => {
 	try {
-		await dataStore.getConversation(req.params.id); // Will throw 404 if not found
-		await dataStore.deleteConversation(req.params.id);
-		await storage.deleteSession(req.params.id); // Already handles ENOENT internally
+		await deleteConversationAndAudio(req.params.id);
 		res.status(204).send();
 	} catch (error) {
 		res.status(error.status || 500).json({ error: error.message || 'Failed to delete conversation' });
@@ -302,442 +359,324 @@ router.post('/:id/turn', (req, res) => {
 			return res.status(400).json({ error: err.message || 'Multer error' });
 		}
 
+		// Validate inputs
+		const validationError = getTurnValidationError(req);
+		if (validationError) {
+			return res.status(400).json({ error: validationError });
+		}
+
 		try {
-			await enqueueTurn(req.params.id, async () => {
-				// Validate inputs
-				if (!req.body.turnId) {
-					return res.status(400).json({ error: 'turnId is required' });
-				}
+			const response = await turnPipeline.enqueueCancellableTurn(req.params.id, req.body.turnId, (signal) => turnPipeline.runTurn(req.params.id, { ...getTurnInput(req), signal }));
+			res.json(response);
+		} catch (error) {
+			res.status(error.status || 500).json({ error: error.message || 'Failed to process turn' });
+		}
+	});
+});
 
-				if (!req.file && (!req.body.transcribedText || !req.body.transcribedText.trim())) {
-					return res.status(400).json({ error: 'audio file or transcribedText is required' });
-				}
+// POST /:id/turn/stream - turn pipeline streamed as Server-Sent Events
+router.post('/:id/turn/stream', (req, res) => {
+	turnUpload.single('audio')(req, res, async (err) => {
+		if (err instanceof multer.MulterError || err) {
+			return res.status(400).json({ error: err.message || 'Multer error' });
+		}
 
-				// Load conversation
-				const conversation = await dataStore.getConversation(req.params.id); // Propagates 404
-
-				// Idempotency check
-				const existing = conversation.messages.filter((m) => m.turnId === req.body.turnId);
-				if (existing.length > 0) {
-					const userMessage = existing.find((m) => m.role === 'user');
-					const aiMessage = existing.find((m) => m.role === 'assistant');
-
-					// Look for system events
-					const voiceSwitchEvent = existing.find((m) => m.role === 'system' && m.type === 'voiceSwitch' && m.turnId === req.body.turnId);
-					const languageSwitchEvent = existing.find((m) => m.role === 'system' && m.type === 'languageSwitch' && m.turnId === req.body.turnId);
-					const llmSwitchEvent = existing.find((m) => m.role === 'system' && m.type === 'llmSwitch' && m.subtype === 'switch' && m.turnId === req.body.turnId);
-					const llmFallbackEvent = existing.find((m) => m.role === 'system' && m.type === 'llmSwitch' && m.subtype === 'fallback' && m.turnId === req.body.turnId);
-
-					const response = { userMessage, aiMessage };
-					if (voiceSwitchEvent) {
-						response.voiceSwitchEvent = voiceSwitchEvent;
-					}
-					if (languageSwitchEvent) {
-						response.languageSwitchEvent = languageSwitchEvent;
-					}
-					if (llmSwitchEvent) {
-						response.llmSwitchEvent = llmSwitchEvent;
-					}
-					if (llmFallbackEvent) {
-						response.llmFallbackEvent = llmFallbackEvent;
-					}
-
-					return res.json(response);
-				}
+		// Validate inputs before switching the response to an event stream
+		const validationError = getTurnValidationError(req);
+		if (validationError) {
+			return res.status(400).json({ error: validationError });
+		}
 
-				// Atomic pipeline
-				let aiMessageId;
-				let audioSaved = false;
-
-				try {
-					// Load voice
-					const voices = await dataStore.getVoices();
-					const voice = voices.find((v) => v.id === conversation.voiceId);
-					if (!voice) {
-						return res.status(404).json({ error: 'Voice not found' });
-					}
-
-					// Transcribe speech
-					console.log(`🎙️ Transcribing speech for turn ${req.body.turnId}`);
-					let userText;
-					let sttLanguageCode;
-					if (req.body.transcribedText && req.body.transcribedText.trim()) {
-						userText = req.body.transcribedText.trim();
-						sttLanguageCode = null;
-					} else {
-						const { text, languageCode } = await elevenlabs.transcribeSpeech(req.file.buffer, req.file.mimetype);
-						userText = text;
-						sttLanguageCode = languageCode;
-					}
-
-					// Language detection and instruction
-					const settings = await settingsStore.getSettings();
-					const currentActiveLanguage = conversation.activeLanguage || settings.defaultLanguage;
-					const languageNames = {
-						en: 'English',
-						fr: 'French',
-						es: 'Spanish',
-						de: 'German',
-						ar: 'Arabic',
-						ja: 'Japanese',
-						zh: 'Chinese',
-						ru: 'Russian',
-						pt: 'Portuguese',
-						it: 'Italian',
-						ko: 'Korean',
-						nl: 'Dutch',
-						sv: 'Swedish',
-						da: 'Danish',
-						no: 'Norwegian',
-						fi: 'Finnish',
-						pl: 'Polish',
-						tr: 'Turkish',
-						he: 'Hebrew',
-						hi: 'Hindi',
-						th: 'Thai',
-						vi: 'Vietnamese',
-						id: 'Indonesian',
-						ms: 'Malay',
-						uk: 'Ukrainian',
-						cs: 'Czech',
-						hu: 'Hungarian',
-					};
-					let detectedLang,
-						highConfidence,
-						languageSwitchEvent = null,
-						languageInstruction = null;
-					if (sttLanguageCode !== null) {
-						detectedLang = sttLanguageCode;
-						highConfidence = true;
-					} else {
-						const rawFrancCode = franc(userText);
-						// Normalize franc ISO-639-3 codes to BCP-47 codes used by the app
-						const francToBcp47 = {
-							eng: 'en',
-							fra: 'fr',
-							spa: 'es',
-							deu: 'de',
-							ara: 'ar',
-							jpn: 'ja',
-							zho: 'zh',
-							rus: 'ru',
-							por: 'pt',
-							ita: 'it',
-							kor: 'ko',
-							nld: 'nl',
-							swe: 'sv',
-							dan: 'da',
-							nor: 'no',
-							fin: 'fi',
-							pol: 'pl',
-							tur: 'tr',
-							heb: 'he',
-							hin: 'hi',
-							tha: 'th',
-							vie: 'vi',
-							ind: 'id',
-							msa: 'ms',
-							ukr: 'uk',
-							ces: 'cs',
-							hun: 'hu',
-						};
-						const mappedLang = francToBcp47[rawFrancCode];
-						if (mappedLang === undefined) {
-							detectedLang = 'und';
-							highConfidence = false;
-						} else {
-							detectedLang = mappedLang;
-							highConfidence = userText.length >= 15;
-						}
-					}
-					if (highConfidence && detectedLang !== currentActiveLanguage) {
-						conversation.activeLanguage = detectedLang;
-						languageSwitchEvent = {
-							id: uuidv4(),
-							turnId: req.body.turnId,
-							role: 'system',
-							type: 'languageSwitch',
-							subtype: 'switch',
-							fromLanguage: currentActiveLanguage,
-							toLanguage: detectedLang,
-							timestamp: new Date().toISOString(),
-						};
-						languageInstruction = 'Respond in ' + languageNames[detectedLang] + '.';
-					} else if (highConfidence && detectedLang === currentActiveLanguage) {
-						languageInstruction = 'Respond in ' + languageNames[currentActiveLanguage] + '.';
-					} else if (!highConfidence) {
-						languageSwitchEvent = {
-							id: uuidv4(),
-							turnId: req.body.turnId,
-							role: 'system',
-							type: 'languageSwitch',
-							subtype: 'lowConfidence',
-							timestamp: new Date().toISOString(),
-						};
-						languageInstruction = 'Respond in ' + languageNames[currentActiveLanguage] + '.';
-					}
-
-					// Prepare messages for LLM
-					let systemContent = voice.systemPrompt + '\n\n' + VOICE_SWITCH_META;
-					if (openrouterStatus.isActive()) {
-						systemContent += '\n\n' + LLM_SWITCH_META;
-					}
-					if (languageInstruction) {
-						systemContent += '\n\n' + languageInstruction;
-					}
-					const llmMessages = [{ role: 'system', content: systemContent }, ...conversation.messages.filter((m) => m.role === 'user' || m.role === 'assistant').map((m) => ({ role: m.role, content: m.content })), { role: 'user', content: userText }];
-
-					// Resolve model override
-					let modelOverride = conversation.activeLlmModel || settings.preferredLlmModel || undefined;
-
-					// Get LLM response with auto-fallback
-					console.log('🎙️ LLM response received');
-					let aiText;
-					let llmFallbackEvent = null;
-					try {
-						aiText = await llmFactory.chat(llmMessages, { modelOverride });
-					} catch (primaryError) {
-						console.warn('⚠️ Primary LLM failed, attempting fallback');
-						const fallbackOverride = settings.preferredLlmModel && settings.preferredLlmModel !== modelOverride ? settings.preferredLlmModel : undefined;
-						try {
-							aiText = await llmFactory.chat(llmMessages, { modelOverride: fallbackOverride });
-							if (fallbackOverride !== undefined) {
-								conversation.activeLlmModel = fallbackOverride;
-								llmFallbackEvent = {
-									id: uuidv4(),
-									turnId: req.body.turnId,
-									role: 'system',
-									type: 'llmSwitch',
-									subtype: 'fallback',
-									model: fallbackOverride,
-									timestamp: new Date().toISOString(),
-								};
-							} else {
-								// Baseline fallback, no model change
-								llmFallbackEvent = {
-									id: uuidv4(),
-									turnId: req.body.turnId,
-									role: 'system',
-									type: 'llmSwitch',
-									subtype: 'fallback',
-									timestamp: new Date().toISOString(),
-								};
-							}
-						} catch (fallbackError) {
-							throw primaryError; // Re-throw original error
-						}
-					}
-
-					// Trim and extract signal
-					const trimmedAiText = aiText?.trim() || 'No response';
-
-					// Extract LLM switch signal if OpenRouter active
-					let llmSwitchEvent = null;
-					let textAfterLlmSignal = trimmedAiText;
-					if (openrouterStatus.isActive()) {
-						const llmSignalResult = extractSwitchLlmSignal(trimmedAiText);
-						if (llmSignalResult) {
-							const models = await settingsStore.getOpenRouterModels();
-							const model = models.find((m) => m.id === llmSignalResult.switchLLM);
-							if (model) {
-								conversation.activeLlmModel = llmSignalResult.switchLLM;
-								llmSwitchEvent = {
-									id: uuidv4(),
-									turnId: req.body.turnId,
-									role: 'system',
-									type: 'llmSwitch',
-									subtype: 'switch',
-									model: llmSignalResult.switchLLM,
-									timestamp: new Date().toISOString(),
-								};
-								textAfterLlmSignal = llmSignalResult.replyText;
-							}
-						}
-					}
-
-					const signalResult = extractSwitchVoiceSignal(textAfterLlmSignal);
-
-					// Determine branch variables
-					let replyText,
-						ttsElevenLabsVoiceId,
-						pendingSwitch = null;
-
-					if (signalResult === null) {
-						// No voice switch signal
-						replyText = textAfterLlmSignal;
-						ttsElevenLabsVoiceId = voice.elevenLabsVoiceId;
-						pendingSwitch = null;
-					} else {
-						// Voice switch signal detected
-						// Run partial case-insensitive match against voices array
-						// Normalize the extracted switch voice name by trimming whitespace
-						const normalizedSwitchVoice = signalResult.switchVoice.trim();
-						const matches = voices.filter((v) => v.name.toLowerCase().includes(normalizedSwitchVoice.toLowerCase()) || normalizedSwitchVoice.toLowerCase().includes(v.name.toLowerCase()));
-
-						if (matches.length === 0) {
-							// No matching voice found
-							replyText = `I couldn't find a voice named "${normalizedSwitchVoice}".`;
-							ttsElevenLabsVoiceId = voice.elevenLabsVoiceId;
-							pendingSwitch = null;
-						} else if (matches.length >= 2) {
-							// Multiple matching voices found
-							replyText = `Did you mean ${matches.map((v) => v.name).join(' or ')}?`;
-							ttsElevenLabsVoiceId = voice.elevenLabsVoiceId;
-							pendingSwitch = null;
-						} else {
-							// Exactly one matching voice found
-							const matchedVoice = matches[0];
-							if (matchedVoice.id === conversation.voiceId) {
-								// Already speaking as the requested voice
-								replyText = `I'm already speaking as ${matchedVoice.name}.`;
-								ttsElevenLabsVoiceId = voice.elevenLabsVoiceId;
-								pendingSwitch = null;
-							} else {
-								// Switch to the new voice
-								replyText = signalResult.replyText || 'No response';
-								ttsElevenLabsVoiceId = matchedVoice.elevenLabsVoiceId;
-								pendingSwitch = matchedVoice;
-							}
-						}
-					}
-
-					// Generate speech
-					console.log('🎙️ TTS audio generated');
-					const audioBuffer = await elevenlabs.generateSpeech(ttsElevenLabsVoiceId, replyText);
-
-					// Save audio file
-					aiMessageId = uuidv4();
-					await storage.uploadFile(req.params.id, `${aiMessageId}.mp3`, audioBuffer);
-					audioSaved = true;
-
-					// Create message objects
-					const userMessage = {
-						id: uuidv4(),
-						turnId: req.body.turnId,
-						role: 'user',
-						content: userText,
-						timestamp: new Date().toISOString(),
-					};
-
-					const aiMessage = {
-						id: aiMessageId,
-						turnId: req.body.turnId,
-						role: 'assistant',
-						content: replyText,
-						audioUrl: `/api/audio/${req.params.id}/${aiMessageId}.mp3`,
-						timestamp: new Date().toISOString(),
-					};
-
-					// Handle voice switch if applicable
-					let voiceSwitchEvent = null;
-					if (pendingSwitch !== null) {
-						// Capture voice info before mutation
-						const fromVoiceId = conversation.voiceId;
-						const fromVoiceName = voice.name;
-
-						// Create voice switch event
-						voiceSwitchEvent = {
-							id: uuidv4(),
-							turnId: req.body.turnId,
-							role: 'system',
-							type: 'voiceSwitch',
-							subtype: 'switch',
-							fromVoiceId: fromVoiceId,
-							fromVoiceName: fromVoiceName,
-							toVoiceId: pendingSwitch.id,
-							toVoiceName: pendingSwitch.name,
-							timestamp: new Date().toISOString(),
-						};
-
-						// Update conversation voice
-						conversation.voiceId = pendingSwitch.id;
-
-						// Add messages to conversation
-						conversation.messages.push(userMessage, aiMessage, voiceSwitchEvent);
-					} else {
-						// No voice switch, just add user and AI messages
-						conversation.messages.push(userMessage, aiMessage);
-					}
-
-					// Push additional system events
-					if (languageSwitchEvent) conversation.messages.push(languageSwitchEvent);
-					if (llmFallbackEvent) conversation.messages.push(llmFallbackEvent);
-					if (llmSwitchEvent) conversation.messages.push(llmSwitchEvent);
-
-					// Update conversation timestamp
-					conversation.updatedAt = new Date().toISOString();
-
-					// Set title if it's the first message
-					if (conversation.title === 'New Conversation') {
-						conversation.title = userText.split(' ').slice(0, 6).join(' ') + '…';
-					}
-
-					// Save conversation
-					await dataStore.saveConversation(conversation);
-					console.log(`✅ Turn saved for conversation ${req.params.id}`);
-
-					// Build response
-					const response = { userMessage, aiMessage };
-					if (voiceSwitchEvent) {
-						response.voiceSwitchEvent = voiceSwitchEvent;
-					}
-					if (languageSwitchEvent) {
-						response.languageSwitchEvent = languageSwitchEvent;
-					}
-					if (llmSwitchEvent) {
-						response.llmSwitchEvent = llmSwitchEvent;
-					}
-					if (llmFallbackEvent) {
-						response.llmFallbackEvent = llmFallbackEvent;
-					}
-
-					res.json(response);
-				} catch (error) {
-					console.error(`❌ Turn pipeline failed: ${error.message}`);
-
-					// Cleanup audio file if it was saved
-					if (audioSaved && aiMessageId) {
-						try {
-							await storage.deleteFile(req.params.id, `${aiMessageId}.mp3`);
-						} catch (cleanupError) {
-							console.warn(`⚠️ Failed to cleanup audio file: ${cleanupError.message}`);
-						}
-					}
-
-					res.status(error.status || 500).json({ error: error.message });
-				}
-			});
+		res.set({
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			Connection: 'keep-alive',
+		});
+		res.flushHeaders();
+
+		const sendEvent = (event, data) => {
+			res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+		};
+
+		// A client that goes away mid-stream cancels its turn
+		res.on('close', () => {
+			if (!res.writableEnded) turnPipeline.cancelTurn(req.params.id, req.body.turnId);
+		});
+
+		try {
+			const response = await turnPipeline.enqueueCancellableTurn(req.params.id, req.body.turnId, (signal) =>
+				turnPipeline.runTurn(req.params.id, { ...getTurnInput(req), signal }, {
+					onTranscript: (text) => sendEvent('transcript', { text }),
+					onToken: (text) => sendEvent('token', { text }),
+					onLlmRetry: () => sendEvent('reset', {}),
+					onReply: (text) => sendEvent('reply', { text }),
+					onAudio: (chunk) => sendEvent('audio', chunk),
+				})
+			);
+			sendEvent('done', response);
 		} catch (error) {
-			res.status(error.status || 500).json({ error: error.message || 'Failed to process turn' });
+			sendEvent('error', { error: error.message || 'Failed to process turn', status: error.status || 500 });
 		}
+
+		res.end();
 	});
 });
 
-// PATCH /:id - update conversation active LLM model
-router.patch('/:id', async (req, res) => {
+// POST /:id/turns/:turnId/regenerate - re-roll the assistant reply for a turn
+router.post('/:id/turns/:turnId/regenerate', async (req, res) => {
 	try {
+		const aiMessage = await turnPipeline.enqueueTurn(req.params.id, () => turnPipeline.regenerateReply(req.params.id, req.params.turnId));
+		res.json({ aiMessage });
+	} catch (error) {
+		res.status(error.status || 500).json({ error: error.message || 'Failed to regenerate reply' });
+	}
+});
+
+// PATCH /:id/turns/:turnId - choose which reply version is active
+router.patch('/:id/turns/:turnId', async (req, res) => {
+	try {
+		const { versionId } = req.body;
+		if (typeof versionId !== 'string' || !versionId) {
+			return res.status(400).json({ error: 'versionId is required' });
+		}
+
+		const aiMessage = await turnPipeline.enqueueTurn(req.params.id, () => turnPipeline.selectReplyVersion(req.params.id, req.params.turnId, versionId));
+		res.json({ aiMessage });
+	} catch (error) {
+		res.status(error.status || 500).json({ error: error.message || 'Failed to select version' });
+	}
+});
+
+// DELETE /:id/turns/:turnId - cancel a queued or in-flight turn (its request fails with status 499)
+router.delete('/:id/turns/:turnId', (req, res) => {
+	if (!turnPipeline.cancelTurn(req.params.id, req.params.turnId)) {
+		return res.status(404).json({ error: 'Turn is not in progress' });
+	}
+	res.json({ cancelled: true });
+});
+
+// DELETE /:id/turns/:turnId/versions/:versionId - discard an inactive reply version and its audio
+router.delete('/:id/turns/:turnId/versions/:versionId', async (req, res) => {
+	try {
+		const aiMessage = await turnPipeline.enqueueTurn(req.params.id, () => turnPipeline.discardReplyVersion(req.params.id, req.params.turnId, req.params.versionId));
+		res.json({ aiMessage });
+	} catch (error) {
+		res.status(error.status || 500).json({ error: error.message || 'Failed to discard version' });
+	}
+});
+
+// POST /:id/turns/:turnId/edit - edit a past user message, forking a new branch from its parent
+router.post('/:id/turns/:turnId/edit', async (req, res) => {
+	try {
+		const { text, turnId } = req.body;
+		if (!turnId) {
+			return res.status(400).json({ error: 'turnId is required' });
+		}
+		if (typeof text !== 'string' || !text.trim()) {
+			return res.status(400).json({ error: 'text is required' });
+		}
+
+		const response = await turnPipeline.enqueueCancellableTurn(req.params.id, turnId, (signal) => turnPipeline.editUserMessage(req.params.id, req.params.turnId, { turnId, transcribedText: text, signal }));
+		res.json(response);
+	} catch (error) {
+		res.status(error.status || 500).json({ error: error.message || 'Failed to edit message' });
+	}
+});
+
+// POST /:id/messages/:messageId/audio - synthesize the audio of a reply that was saved as text only (or retry failed audio)
+router.post('/:id/messages/:messageId/audio', async (req, res) => {
+	try {
+		const aiMessage = await turnPipeline.enqueueTurn(req.params.id, () => turnPipeline.synthesizeMessageAudio(req.params.id, req.params.messageId));
+		res.json({ aiMessage });
+	} catch (error) {
+		res.status(error.status || 500).json({ error: error.message || 'Failed to generate audio' });
+	}
+});
+
+// PUT /:id/active-branch - switch to the branch containing a message
+router.put('/:id/active-branch', async (req, res) => {
+	try {
+		const { messageId } = req.body;
+		if (typeof messageId !== 'string' || !messageId) {
+			return res.status(400).json({ error: 'messageId is required' });
+		}
+
+		const conversation = await turnPipeline.enqueueTurn(req.params.id, async () => {
+			const conversation = await dataStore.getConversation(req.params.id);
+			if (!conversation.messages.some((m) => m.id === messageId)) {
+				const err = new Error(`Message not found: ${messageId}`);
+				err.status = 404;
+				throw err;
+			}
+
+			conversation.activeLeafId = messageTree.getLatestLeafId(conversation.messages, messageId);
+			messageTree.applyPathState(conversation, messageTree.getActivePath(conversation));
+			await dataStore.saveConversation(conversation);
+			return conversation;
+		});
+
+		res.json(toClientConversation(conversation));
+	} catch (error) {
+		res.status(error.status || 500).json({ error: error.message || 'Failed to switch branch' });
+	}
+});
+
+// GET /:id/export?format=json|md|zip - download a conversation
+router.get('/:id/export', async (req, res) => {
+	try {
+		const format = req.query.format || 'json';
+		if (!['json', 'md', 'zip'].includes(format)) {
+			return res.status(400).json({ error: 'format must be json, md or zip' });
+		}
+
 		const conversation = await dataStore.getConversation(req.params.id);
-		const models = await settingsStore.getOpenRouterModels();
-		const { activeLlmModel } = req.body;
+		const voices = await dataStore.getVoices();
+		const fileName = `${conversationExport.getExportFileName(conversation)}.${format}`;
+		res.attachment(fileName);
 
-		if (typeof activeLlmModel !== 'string' || !models.find((m) => m.id === activeLlmModel)) {
-			return res.status(400).json({ error: 'Invalid activeLlmModel' });
+		if (format === 'json') {
+			return res.json(conversationExport.toJson(conversation, voices));
 		}
 
-		conversation.activeLlmModel = activeLlmModel;
-		conversation.messages.push({
-			id: uuidv4(),
-			turnId: null,
-			role: 'system',
-			type: 'llmSwitch',
-			subtype: 'switch',
-			model: activeLlmModel,
-			timestamp: new Date().toISOString(),
+		if (format === 'md') {
+			res.type('text/markdown; charset=utf-8');
+			return res.send(conversationExport.toMarkdown(conversation, voices));
+		}
+
+		res.type('application/zip');
+		await conversationExport.writeZip(conversation, voices, res);
+		console.log(`📦 Exported conversation ${conversation.id} as ${fileName}`);
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error exporting conversation:', error.message);
+		}
+
+		// Once the ZIP has started streaming, the only option left is to cut the download short
+		if (res.headersSent) {
+			return res.destroy(error);
+		}
+		res.removeHeader('Content-Disposition');
+		res.status(error.status || 500).json({ error: error.message || 'Failed to export conversation' });
+	}
+});
+
+// GET /:id/audio?narrate=true - download the active branch as one MP3 with a chapter per turn
+router.get('/:id/audio', async (req, res) => {
+	try {
+		const narrate = req.query.narrate === 'true' || req.query.narrate === '1';
+		const { conversation, fileName } = await conversationAudio.getConversationAudio(req.params.id, { narrate });
+
+		const stream = await storage.downloadFile(req.params.id, fileName);
+		res.attachment(`${conversationExport.getExportFileName(conversation)}${narrate ? '-narrated' : ''}.mp3`);
+		res.type('audio/mpeg');
+		stream.pipe(res);
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error rendering conversation audio:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message || 'Failed to render conversation audio' });
+	}
+});
+
+// PATCH /:id - update conversation title, active LLM model, whether replies are spoken, group participants and turn-taking policy,
+// retention policy, whether it is pinned or archived, and/or its tags.
+// Applied in the conversation's turn queue, so a turn in progress cannot save over the change.
+router.patch('/:id', async (req, res) => {
+	try {
+		const { title, activeLlmModel, speakReplies, participantIds, turnPolicy, pinned, archived } = req.body;
+
+		if (!PATCH_FIELDS.some((field) => req.body[field] !== undefined)) {
+			return res.status(400).json({ error: `One of ${PATCH_FIELDS.join(', ')} is required` });
+		}
+		const invalidFlag = ['speakReplies', 'pinned', 'archived'].find((field) => req.body[field] !== undefined && typeof req.body[field] !== 'boolean');
+		if (invalidFlag) {
+			return res.status(400).json({ error: `${invalidFlag} must be a boolean` });
+		}
+		if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH)) {
+			return res.status(400).json({ error: `title must be between 1 and ${MAX_TITLE_LENGTH} characters` });
+		}
+		const retentionError = req.body.retention === undefined ? null : retention.getRetentionError(req.body.retention);
+		if (retentionError) {
+			return res.status(400).json({ error: retentionError });
+		}
+		const tagsError = req.body.tags === undefined ? null : conversationTags.getTagsError(req.body.tags);
+		if (tagsError) {
+			return res.status(400).json({ error: tagsError });
+		}
+		const groupError = getGroupValidationError(participantIds, turnPolicy, await dataStore.getVoices());
+		if (groupError) {
+			return res.status(groupError.status).json({ error: groupError.error });
+		}
+		if (activeLlmModel !== undefined) {
+			const models = await settingsStore.getOpenRouterModels();
+			if (typeof activeLlmModel !== 'string' || !models.find((m) => m.id === activeLlmModel)) {
+				return res.status(400).json({ error: 'Invalid activeLlmModel' });
+			}
+		}
+
+		const conversation = await turnPipeline.enqueueTurn(req.params.id, async () => {
+			const conversation = await dataStore.getConversation(req.params.id); // Propagates 404
+			if (turnPolicy !== undefined && participantIds === undefined && !groupChat.isGroup(conversation)) {
+				const err = new Error('turnPolicy only applies to group conversations');
+				err.status = 400;
+				throw err;
+			}
+
+			if (activeLlmModel !== undefined) {
+				conversation.activeLlmModel = activeLlmModel;
+				messageTree.appendMessages(conversation, [
+					{
+						id: uuidv4(),
+						turnId: null,
+						role: 'system',
+						type: 'llmSwitch',
+						subtype: 'switch',
+						model: activeLlmModel,
+						timestamp: new Date().toISOString(),
+					},
+				]);
+			}
+
+			if (speakReplies !== undefined) {
+				conversation.speakReplies = speakReplies;
+			}
+
+			if (participantIds !== undefined) {
+				conversation.participantIds = participantIds;
+				conversation.turnPolicy = conversation.turnPolicy || groupChat.DEFAULT_TURN_POLICY;
+				if (!participantIds.includes(conversation.voiceId)) {
+					conversation.voiceId = participantIds[0];
+				}
+			}
+			if (turnPolicy !== undefined) {
+				conversation.turnPolicy = turnPolicy;
+			}
+
+			// A new policy counts its days from now at the earliest
+			if (req.body.retention !== undefined) {
+				conversation.retention = retention.normalizeRetention(req.body.retention);
+			}
+
+			if (title !== undefined) {
+				conversation.title = title.trim();
+			}
+			// Pinned conversations are keepsakes: listed first and exempt from storage cleanup
+			if (pinned !== undefined) {
+				conversation.pinned = pinned;
+			}
+			if (archived !== undefined) {
+				conversation.archived = archived;
+			}
+			if (req.body.tags !== undefined) {
+				conversation.tags = conversationTags.normalizeTags(req.body.tags);
+			}
+
+			conversation.updatedAt = new Date().toISOString();
+			await dataStore.saveConversation(conversation);
+			return conversation;
 		});
-		conversation.updatedAt = new Date().toISOString();
-		await dataStore.saveConversation(conversation);
 
-		res.status(200).json(conversation);
+		res.status(200).json(toClientConversation(conversation));
 	} catch (error) {
 		res.status(error.status || 500).json({ error: error.message || 'Failed to update conversation' });
 	}
@@ -0,0 +1,173 @@
+const express = require('express');
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('../services/dataStore');
+const scheduler = require('../services/scheduler');
+
+const router = express.Router();
+
+// Fields a client may set on a schedule
+const SCHEDULE_FIELDS = ['name', 'voiceId', 'conversationId', 'cron', 'timezone', 'prompt', 'enabled'];
+
+// Shared validation of a schedule about to be saved (with every field set)
+async function getScheduleValidationError(schedule) {
+	if (schedule.name !== null && typeof schedule.name !== 'string') {
+		return { status: 400, error: 'name must be a string' };
+	}
+	if (typeof schedule.prompt !== 'string' || !schedule.prompt.trim()) {
+		return { status: 400, error: 'prompt is required' };
+	}
+	if (typeof schedule.cron !== 'string' || !cron.validate(schedule.cron)) {
+		return { status: 400, error: 'cron must be a valid cron expression, e.g. "0 9 3 3 *"' };
+	}
+	if (schedule.timezone !== null && (typeof schedule.timezone !== 'string' || !scheduler.isValidTimezone(schedule.timezone))) {
+		return { status: 400, error: 'timezone must be an IANA timezone name, e.g. "Europe/Amsterdam"' };
+	}
+	if (typeof schedule.enabled !== 'boolean') {
+		return { status: 400, error: 'enabled must be a boolean' };
+	}
+
+	const voices = await dataStore.getVoices();
+	if (!voices.some((v) => v.id === schedule.voiceId)) {
+		return { status: 404, error: 'Voice not found' };
+	}
+	try {
+		await dataStore.getConversation(schedule.conversationId);
+	} catch (error) {
+		if (error.status !== 404) throw error;
+		return { status: 404, error: 'Conversation not found' };
+	}
+
+	return null;
+}
+
+// Copy the fields a request sets onto a schedule
+function applyScheduleFields(schedule, body) {
+	for (const field of SCHEDULE_FIELDS) {
+		if (body[field] !== undefined) schedule[field] = body[field];
+	}
+	if (typeof schedule.name === 'string') schedule.name = schedule.name.trim() || null;
+	if (typeof schedule.prompt === 'string') schedule.prompt = schedule.prompt.trim();
+	if (typeof schedule.cron === 'string') schedule.cron = schedule.cron.trim();
+	return schedule;
+}
+
+// GET / - List schedules (optionally only those posting into ?conversationId=)
+router.get('/', async (req, res) => {
+	try {
+		const schedules = await dataStore.getSchedules({ conversationId: req.query.conversationId });
+		res.json(schedules);
+	} catch (error) {
+		console.error('❌ Error fetching schedules:', error.message);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// POST / - Create a schedule
+router.post('/', async (req, res) => {
+	try {
+		const now = new Date().toISOString();
+		const schedule = applyScheduleFields(
+			{ id: uuidv4(), name: null, voiceId: null, conversationId: null, cron: null, timezone: null, prompt: null, enabled: true, createdAt: now, updatedAt: now },
+			req.body
+		);
+
+		const validationError = await getScheduleValidationError(schedule);
+		if (validationError) {
+			return res.status(validationError.status).json({ error: validationError.error });
+		}
+
+		await dataStore.saveSchedule(schedule);
+		scheduler.reschedule(schedule);
+		console.log(`📅 Created schedule ${schedule.id} (${schedule.cron})`);
+
+		res.status(201).json(schedule);
+	} catch (error) {
+		console.error('❌ Error creating schedule:', error.message);
+		res.status(error.status || 500).json({ error: error.message || 'Failed to create schedule' });
+	}
+});
+
+// GET /:id - Get a schedule
+router.get('/:id', async (req, res) => {
+	try {
+		const schedule = await dataStore.getSchedule(req.params.id);
+		res.json(schedule);
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error fetching schedule:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message });
+	}
+});
+
+// PATCH /:id - Change a schedule (e.g. { "enabled": false } to pause it)
+router.patch('/:id', async (req, res) => {
+	try {
+		const schedule = applyScheduleFields(await dataStore.getSchedule(req.params.id), req.body);
+
+		const validationError = await getScheduleValidationError(schedule);
+		if (validationError) {
+			return res.status(validationError.status).json({ error: validationError.error });
+		}
+
+		schedule.updatedAt = new Date().toISOString();
+		await dataStore.saveSchedule(schedule);
+		scheduler.reschedule(schedule);
+
+		res.json(schedule);
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error updating schedule:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message || 'Failed to update schedule' });
+	}
+});
+
+// DELETE /:id - Delete a schedule and its run history
+router.delete('/:id', async (req, res) => {
+	try {
+		await dataStore.deleteSchedule(req.params.id);
+		scheduler.unschedule(req.params.id);
+		res.status(204).send();
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error deleting schedule:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message });
+	}
+});
+
+// GET /:id/runs - Run history, newest first (?limit=, default 50)
+router.get('/:id/runs', async (req, res) => {
+	try {
+		const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+		if (!Number.isInteger(limit) || limit < 1) {
+			return res.status(400).json({ error: 'limit must be a positive integer' });
+		}
+
+		await dataStore.getSchedule(req.params.id); // Propagates 404
+		const runs = await dataStore.getScheduleRuns(req.params.id, limit);
+		res.json(runs);
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error fetching schedule runs:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message });
+	}
+});
+
+// POST /:id/run - Run a schedule now (e.g. to try out its prompt); responds with the recorded run
+router.post('/:id/run', async (req, res) => {
+	try {
+		const run = await scheduler.runSchedule(req.params.id);
+		res.status(201).json(run);
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error running schedule:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message || 'Failed to run schedule' });
+	}
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const dataStore = require('../services/dataStore');
 const elevenlabs = require('../services/elevenlabs');
+const knowledgeBase = require('../services/knowledgeBase');
 
 const router = express.Router();
 
@@ -24,6 +25,21 @@ const upload = multer({
 	},
 }).array('files', 3);
 
+// Multer configuration for knowledge base documents (plain text or Markdown)
+const documentUpload = multer({
+	storage: storage,
+	fileFilter: (req, file, cb) => {
+		if (/\.(txt|md|markdown)$/i.test(file.originalname) || file.mimetype.startsWith('text/')) {
+			cb(null, true);
+		} else {
+			cb(new Error('Invalid file type. Only text files (TXT, MD) are allowed.'), false);
+		}
+	},
+	limits: {
+		fileSize: 2 * 1024 * 1024, // 2 MB limit
+	},
+}).single('file');
+
 // GET / - Get all voices
 router.get('/', async (req, res) => {
 	try {
@@ -138,9 +154,12 @@ router.delete('/:id', async (req, res) => {
 		// Delete from ElevenLabs
 		await elevenlabs.deleteVoiceClone(voice.elevenLabsVoiceId);
 
-		// Remove from local storage
+		// Remove from local storage, along with everything the voice remembered, its documents and its schedules
 		voices.splice(voiceIndex, 1);
 		await dataStore.saveVoices(voices);
+		await dataStore.deleteMemoriesForVoice(voice.id);
+		await knowledgeBase.deleteVoiceDocuments(voice.id);
+		await dataStore.deleteSchedulesForVoice(voice.id);
 
 		res.status(204).send();
 	} catch (error) {
@@ -149,4 +168,178 @@ router.delete('/:id', async (req, res) => {
 	}
 });
 
+// Load a voice's memory and check it belongs to the voice in the URL
+async function findVoiceMemory(voiceId, memoryId) {
+	const memory = await dataStore.getMemory(memoryId); // Propagates 404
+	if (memory.voiceId !== voiceId) {
+		const err = new Error(`Memory not found: ${memoryId}`);
+		err.status = 404;
+		throw err;
+	}
+	return memory;
+}
+
+// GET /:id/memories - List what a voice remembers about the user
+router.get('/:id/memories', async (req, res) => {
+	try {
+		const voices = await dataStore.getVoices();
+		if (!voices.find((v) => v.id === req.params.id)) {
+			return res.status(404).json({ error: 'Voice not found' });
+		}
+
+		const memories = await dataStore.getMemories(req.params.id);
+		res.json(memories);
+	} catch (error) {
+		console.error('❌ Error fetching memories:', error.message);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// POST /:id/memories - Add a memory by hand
+router.post('/:id/memories', async (req, res) => {
+	try {
+		const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+		if (!content) {
+			return res.status(400).json({ error: 'Content is required' });
+		}
+
+		const voices = await dataStore.getVoices();
+		if (!voices.find((v) => v.id === req.params.id)) {
+			return res.status(404).json({ error: 'Voice not found' });
+		}
+
+		const now = new Date().toISOString();
+		const memory = {
+			id: uuidv4(),
+			voiceId: req.params.id,
+			content,
+			conversationId: null,
+			turnId: null,
+			createdAt: now,
+			updatedAt: now,
+		};
+		await dataStore.saveMemory(memory);
+
+		res.status(201).json(memory);
+	} catch (error) {
+		console.error('❌ Error adding memory:', error.message);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// PUT /:id/memories/:memoryId - Edit a memory
+router.put('/:id/memories/:memoryId', async (req, res) => {
+	try {
+		const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+		if (!content) {
+			return res.status(400).json({ error: 'Content is required' });
+		}
+
+		const memory = await findVoiceMemory(req.params.id, req.params.memoryId);
+		memory.content = content;
+		memory.updatedAt = new Date().toISOString();
+		await dataStore.saveMemory(memory);
+
+		res.json(memory);
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error updating memory:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message });
+	}
+});
+
+// DELETE /:id/memories/:memoryId - Forget a memory
+router.delete('/:id/memories/:memoryId', async (req, res) => {
+	try {
+		await findVoiceMemory(req.params.id, req.params.memoryId);
+		await dataStore.deleteMemory(req.params.memoryId);
+		res.status(204).send();
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error deleting memory:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message });
+	}
+});
+
+// Load a knowledge base document and check it belongs to the voice in the URL
+async function findVoiceDocument(voiceId, documentId) {
+	const document = await dataStore.getDocument(documentId); // Propagates 404
+	if (document.voiceId !== voiceId) {
+		const err = new Error(`Document not found: ${documentId}`);
+		err.status = 404;
+		throw err;
+	}
+	return document;
+}
+
+// GET /:id/documents - List the documents in a voice's knowledge base
+router.get('/:id/documents', async (req, res) => {
+	try {
+		const voices = await dataStore.getVoices();
+		if (!voices.find((v) => v.id === req.params.id)) {
+			return res.status(404).json({ error: 'Voice not found' });
+		}
+
+		const documents = await dataStore.getDocuments(req.params.id);
+		res.json(documents);
+	} catch (error) {
+		console.error('❌ Error fetching documents:', error.message);
+		res.status(500).json({ error: error.message });
+	}
+});
+
+// POST /:id/documents - Add a document, either as an uploaded "file" or as JSON { name, text }
+router.post('/:id/documents', (req, res) => {
+	documentUpload(req, res, async (err) => {
+		if (err instanceof multer.MulterError) {
+			if (err.code === 'LIMIT_FILE_SIZE') {
+				return res.status(400).json({ error: 'File size exceeds 2MB limit' });
+			}
+			return res.status(400).json({ error: err.message });
+		} else if (err) {
+			return res.status(400).json({ error: err.message });
+		}
+
+		try {
+			const name = (req.file ? req.body.name || req.file.originalname : req.body.name) || '';
+			const text = req.file ? req.file.buffer.toString('utf-8') : req.body.text;
+
+			if (!name.trim()) {
+				return res.status(400).json({ error: 'Name is required' });
+			}
+
+			if (typeof text !== 'string' || !text.trim()) {
+				return res.status(400).json({ error: 'Document text is required' });
+			}
+
+			const voices = await dataStore.getVoices();
+			if (!voices.find((v) => v.id === req.params.id)) {
+				return res.status(404).json({ error: 'Voice not found' });
+			}
+
+			const document = await knowledgeBase.addDocument(req.params.id, { name: name.trim(), text });
+			res.status(201).json(document);
+		} catch (error) {
+			console.error('❌ Error adding document:', error.message);
+			res.status(error.status || 500).json({ error: error.message });
+		}
+	});
+});
+
+// DELETE /:id/documents/:documentId - Remove a document
+router.delete('/:id/documents/:documentId', async (req, res) => {
+	try {
+		const document = await findVoiceDocument(req.params.id, req.params.documentId);
+		await knowledgeBase.deleteDocument(document);
+		res.status(204).send();
+	} catch (error) {
+		if (error.status !== 404) {
+			console.error('❌ Error deleting document:', error.message);
+		}
+		res.status(error.status || 500).json({ error: error.message });
+	}
+});
+
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,7 @@ require('dotenv').config();
 const fs = require('fs').promises;
 const dataStore = require('./services/dataStore');
 const storage = require('./services/storage');
+const ttsCache = require('./services/ttsCache');
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
@@ -35,12 +36,18 @@ app.get('/api/health', (req, res) => {
 	res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Metrics endpoint (counters since the server started)
+app.get('/api/metrics', (req, res) => {
+	res.json({ ttsCache: ttsCache.getStats() });
+});
+
 // API routes
 app.use('/api/voices', require('./routes/voices'));
 app.use('/api/conversations', require('./routes/conversations'));
 app.use('/api/audio', require('./routes/audio'));
 app.use('/api/settings', require('./routes/settings'));
-// app.use('/api/cleanup', require('./routes/cleanup')); // Optional - will add in Batch 3
+app.use('/api/schedules', require('./routes/schedules'));
+app.use('/api/cleanup', require('./routes/cleanup'));
 
 // Fire-and-forget OpenRouter startup validation
 const openrouterStatus = require('./services/openrouterStatus');
@@ -57,14 +64,15 @@ async function purgeOrphanedConversations() {
 
 		for (const conv of conversations) {
 			const fullConv = await dataStore.getConversation(conv.id);
-			const assistantMessages = fullConv.messages?.filter((m) => m.role === 'assistant') || [];
+			// Text-only replies (and replies imported without audio) have no file to check
+			const assistantMessages = fullConv.messages?.filter((m) => m.role === 'assistant' && m.audioUrl) || [];
 
-			// Skip if no assistant messages (nothing to check)
+			// Skip if no spoken replies (nothing to check)
 			if (assistantMessages.length === 0) continue;
 
 			// Check if any audio file exists for this conversation
 			const accessChecks = assistantMessages.map((msg) =>
-				fs.access(storage.getFilePath(conv.id, msg.id + '.mp3'))
+				fs.access(storage.getFilePath(conv.id, path.basename(msg.audioUrl)))
 					.then(() => true)
 					.catch(() => false)
 			);
@@ -133,11 +141,19 @@ async function startServer() {
 	await db.init();
 	await purgeOrphanedConversations().catch((err) => console.error('⚠️ orphan conv cleanup failed:', err.message));
 	await purgeOrphanedAudioFiles().catch((err) => console.error('⚠️ orphan audio cleanup failed:', err.message));
+	await dataStore.backfillSearchIndex().catch((err) => console.error('⚠️ search index backfill failed:', err.message));
+	require('./services/audioRetry').start();
+	require('./services/cleanup').start();
+	require('./services/retention').start();
+	await require('./services/scheduler').start().catch((err) => console.error('⚠️ scheduler start failed:', err.message));
 
-	app.listen(PORT, () => {
+	const server = app.listen(PORT, () => {
 		console.log(`🎙️  VoiceRA Conversational AI Server running on http://localhost:${PORT}`);
 		console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
 	});
+
+	// Hands-free voice sessions (WebSocket)
+	require('./services/realtimeVoice').attach(server);
 }
 
 // Start server with error handling
@@ -0,0 +1,116 @@
+/**
+ * Audio Retry Service
+ * Background job that re-attempts the audio of replies saved as text because synthesis failed
+ * (audioStatus 'failed'), backing off exponentially per reply and giving up after a few attempts.
+ * Replies it has given up on keep their retry button in the UI.
+ */
+
+const dataStore = require('./dataStore');
+const turnPipeline = require('./turnPipeline');
+
+// How often to look for failed audio
+const CHECK_INTERVAL_MS = Number(process.env.AUDIO_RETRY_INTERVAL_SECONDS ?? 60) * 1000;
+
+// Attempts per reply, counting the one that failed during the turn (0 disables the job)
+const MAX_ATTEMPTS = Number(process.env.AUDIO_RETRY_MAX_ATTEMPTS ?? 5);
+
+// Delay after the first failure, doubled after each further failure, up to the maximum
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Time to wait after a reply's latest failed attempt
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(attempts) {
+	return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+/**
+ * Check whether a reply's audio is due for another attempt
+ * @param {Object} message - Message object
+ * @param {number} now - Current time (ms)
+ * @returns {boolean}
+ */
+function isDue(message, now) {
+	if (message.role !== 'assistant' || message.audioStatus !== 'failed' || message.audioUrl) return false;
+
+	const attempts = message.audioAttempts || 1;
+	if (attempts >= MAX_ATTEMPTS) return false;
+
+	return Date.parse(message.audioFailedAt) + getRetryDelay(attempts) <= now;
+}
+
+/**
+ * Re-attempt the audio of every reply that is due.
+ * Each attempt is queued behind the conversation's turns, like any other change to it.
+ * @returns {Promise<{attempted: number, succeeded: number}>}
+ */
+async function retryFailedAudio() {
+	const result = { attempted: 0, succeeded: 0 };
+	const now = Date.now();
+
+	for (const conversationId of await dataStore.listConversationIdsWithFailedAudio()) {
+		let conversation;
+		try {
+			conversation = await dataStore.getConversation(conversationId);
+		} catch (error) {
+			if (error.status === 404) continue; // Deleted meanwhile
+			throw error;
+		}
+
+		for (const message of conversation.messages.filter((m) => isDue(m, now))) {
+			result.attempted++;
+			try {
+				await turnPipeline.enqueueTurn(conversationId, () => turnPipeline.synthesizeMessageAudio(conversationId, message.id));
+				result.succeeded++;
+				console.log(`🔁 Retried audio for message ${message.id}`);
+			} catch (error) {
+				// synthesizeMessageAudio has recorded the attempt, which pushes the next one back
+				console.warn(`⚠️ Audio retry failed for message ${message.id}: ${error.message}`);
+			}
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Start checking for failed audio periodically
+ */
+function start() {
+	if (timer || MAX_ATTEMPTS <= 1 || CHECK_INTERVAL_MS <= 0) return;
+
+	timer = setInterval(async () => {
+		// A slow pass (e.g. while ElevenLabs is down) must not overlap the next one
+		if (running) return;
+		running = true;
+		try {
+			await retryFailedAudio();
+		} catch (error) {
+			console.error('❌ Audio retry job failed:', error.message);
+		} finally {
+			running = false;
+		}
+	}, CHECK_INTERVAL_MS);
+	timer.unref();
+	console.log(`🔁 Audio retry job started (every ${CHECK_INTERVAL_MS / 1000}s, up to ${MAX_ATTEMPTS} attempts)`);
+}
+
+/**
+ * Stop the periodic check
+ */
+function stop() {
+	clearInterval(timer);
+	timer = null;
+}
+
+module.exports = {
+	retryFailedAudio,
+	start,
+	stop,
+};
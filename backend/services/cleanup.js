@@ -0,0 +1,240 @@
+/**
+ * Storage Cleanup Service
+ * Removes what is left behind in storage once it is old enough to be sure nobody is still working on it:
+ *   - audio directories of conversations that no longer exist (reason 'orphaned')
+ *   - audio files no message, reply version, narration or unfinished turn refers to (reason 'unreferenced'),
+ *     e.g. audio of turns that failed after synthesis and were never retried
+ *   - journals of turns that were never finished, which also releases their audio
+ * Pinned conversations (conversation.pinned) are keepsakes and never touched. Every run that removes anything
+ * is recorded in the cleanup log; a dry run only reports what would be removed.
+ *
+ * The job runs on a cron schedule when CLEANUP_ENABLED is true; it can also be run from /api/cleanup.
+ */
+
+const path = require('path');
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+const storage = require('./storage');
+
+const ENABLED = process.env.CLEANUP_ENABLED === 'true';
+
+// How often the job runs. Cron cannot count hours across days, so intervals of a day or more run daily
+const INTERVAL_HOURS = Number(process.env.CLEANUP_INTERVAL_HOURS ?? 24);
+
+// How old files and unfinished turns must be before they are removed
+const AGE_HOURS = Number(process.env.CLEANUP_AGE_HOURS ?? 24);
+
+// Files and turns younger than this are never removed, so turns in progress are safe
+const MIN_AGE_HOURS = 1;
+
+// Cached renders of conversationAudio; it replaces them itself whenever the conversation changes
+const STITCHED_PREFIX = 'stitched-';
+
+let task = null;
+let running = false;
+
+/**
+ * Build the cron expression for the job's interval
+ * @param {number} hours - Interval in hours
+ * @returns {string}
+ */
+function getCronExpression(hours) {
+	return hours >= 24 ? '0 3 * * *' : `0 */${Math.max(Math.round(hours), 1)} * * *`;
+}
+
+/**
+ * Get the names of the files in a conversation's storage directory that are still in use
+ * @param {Object} conversation - Conversation object
+ * @param {Array} journals - Journals of the conversation's unfinished turns that are kept
+ * @returns {Set<string>}
+ */
+function getReferencedFiles(conversation, journals) {
+	const files = new Set();
+
+	for (const message of conversation.messages) {
+		if (message.audioUrl) files.add(path.basename(message.audioUrl));
+		(message.versions || []).forEach((v) => v.audioUrl && files.add(path.basename(v.audioUrl)));
+		if (message.role === 'user') files.add(`narration-${message.id}.mp3`);
+	}
+	for (const journal of journals) {
+		if (journal.stages.audio) files.add(`${journal.stages.audio.aiMessageId}.mp3`);
+	}
+
+	return files;
+}
+
+/**
+ * Find what a cleanup would remove
+ * @param {number} ageHours - Minimum age of what is removed
+ * @returns {Promise<{files: Array, journals: Array, pinned: number}>} pinned counts the exempt conversations that had something old
+ */
+async function findGarbage(ageHours) {
+	const cutoff = new Date(Date.now() - ageHours * 60 * 60 * 1000).toISOString();
+	const staleJournals = await dataStore.listTurnJournalsBefore(cutoff);
+	const oldFiles = await storage.listOldFiles(ageHours);
+
+	const conversations = new Map();
+	const loadConversation = async (id) => {
+		if (!conversations.has(id)) {
+			try {
+				conversations.set(id, await dataStore.getConversation(id));
+			} catch (error) {
+				if (error.status !== 404) throw error;
+				conversations.set(id, null);
+			}
+		}
+		return conversations.get(id);
+	};
+
+	const files = [];
+	const journals = [];
+	const pinned = new Set();
+
+	for (const journal of staleJournals) {
+		const conversation = await loadConversation(journal.conversationId);
+		if (conversation?.pinned) {
+			pinned.add(conversation.id);
+			continue;
+		}
+		journals.push({ conversationId: journal.conversationId, turnId: journal.turnId, updatedAt: journal.updatedAt });
+	}
+
+	const filesBySession = new Map();
+	for (const file of oldFiles) {
+		if (!filesBySession.has(file.sessionId)) filesBySession.set(file.sessionId, []);
+		filesBySession.get(file.sessionId).push(file);
+	}
+
+	for (const [conversationId, sessionFiles] of filesBySession) {
+		const conversation = await loadConversation(conversationId);
+		let garbage;
+		if (!conversation) {
+			garbage = sessionFiles.map((file) => ({ file, reason: 'orphaned' }));
+		} else if (conversation.pinned) {
+			pinned.add(conversationId);
+			continue;
+		} else {
+			// Unfinished turns keep their audio for a retry, unless their journal goes too
+			const keptJournals = (await dataStore.listTurnJournals(conversationId)).filter(
+				(journal) => !journals.some((j) => j.conversationId === conversationId && j.turnId === journal.turnId)
+			);
+			const referenced = getReferencedFiles(conversation, keptJournals);
+			garbage = sessionFiles
+				.filter((file) => !referenced.has(file.filePath) && !file.filePath.startsWith(STITCHED_PREFIX))
+				.map((file) => ({ file, reason: 'unreferenced' }));
+		}
+
+		garbage.forEach(({ file, reason }) => {
+			files.push({ conversationId, file: file.filePath, size: file.size, modifiedAt: file.uploadedAt, reason });
+		});
+	}
+
+	return { files, journals, pinned: pinned.size };
+}
+
+/**
+ * Run a cleanup
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would be removed
+ * @param {number} [options.ageHours] - Minimum age of what is removed (default CLEANUP_AGE_HOURS)
+ * @param {string} [options.trigger='manual'] - What started the run ('manual' or 'schedule'), for the log
+ * @returns {Promise<Object>} Report: { id, trigger, dryRun, ageHours, removed: { files, journals }, skippedPinned, bytesFreed, error, startedAt, finishedAt };
+ *   for a dry run, removed and bytesFreed describe what would be removed and id is null
+ * @throws {Error} 400 if ageHours is below an hour, 409 if a cleanup is already running
+ */
+async function runCleanup({ dryRun = false, ageHours = AGE_HOURS, trigger = 'manual' } = {}) {
+	if (!(ageHours >= MIN_AGE_HOURS)) {
+		const err = new Error(`ageHours must be at least ${MIN_AGE_HOURS}`);
+		err.status = 400;
+		throw err;
+	}
+	if (running) {
+		const err = new Error('A cleanup is already running');
+		err.status = 409;
+		throw err;
+	}
+
+	running = true;
+	try {
+		const report = {
+			id: dryRun ? null : uuidv4(),
+			trigger,
+			dryRun,
+			ageHours,
+			removed: { files: [], journals: [] },
+			skippedPinned: 0,
+			bytesFreed: 0,
+			error: null,
+			startedAt: new Date().toISOString(),
+			finishedAt: null,
+		};
+
+		const garbage = await findGarbage(ageHours);
+		report.skippedPinned = garbage.pinned;
+
+		if (dryRun) {
+			report.removed = { files: garbage.files, journals: garbage.journals };
+			report.bytesFreed = garbage.files.reduce((sum, file) => sum + file.size, 0);
+			report.finishedAt = new Date().toISOString();
+			return report;
+		}
+
+		let failures = 0;
+		for (const journal of garbage.journals) {
+			await dataStore.deleteTurnJournal(journal.conversationId, journal.turnId);
+			report.removed.journals.push(journal);
+		}
+		for (const file of garbage.files) {
+			try {
+				await storage.deleteFile(file.conversationId, file.file);
+				report.removed.files.push(file);
+				report.bytesFreed += file.size;
+			} catch (error) {
+				failures++;
+			}
+		}
+		if (failures > 0) {
+			report.error = `Failed to remove ${failures} files`;
+		}
+		report.finishedAt = new Date().toISOString();
+
+		if (report.removed.files.length > 0 || report.removed.journals.length > 0 || report.error) {
+			await dataStore.saveCleanupRun(report);
+		}
+		console.log(`🧹 Cleanup removed ${report.removed.files.length} files (${report.bytesFreed} bytes) and ${report.removed.journals.length} unfinished turns`);
+
+		return report;
+	} finally {
+		running = false;
+	}
+}
+
+/**
+ * Start running the cleanup on its schedule, if enabled
+ */
+function start() {
+	if (task || !ENABLED) return;
+
+	const expression = getCronExpression(INTERVAL_HOURS);
+	task = cron.schedule(expression, () => {
+		runCleanup({ trigger: 'schedule' }).catch((error) => {
+			console.error('❌ Cleanup job failed:', error.message);
+		});
+	});
+	console.log(`🧹 Cleanup job started (${expression}, removing files older than ${AGE_HOURS}h)`);
+}
+
+/**
+ * Stop the scheduled cleanup
+ */
+function stop() {
+	task?.stop();
+	task = null;
+}
+
+module.exports = {
+	runCleanup,
+	start,
+	stop,
+};
@@ -0,0 +1,236 @@
+/**
+ * Context Window Service
+ * Keeps the history sent to the LLM within a per-model token budget.
+ * Older turns are folded into a rolling summary stored on the conversation
+ * ({ content, throughMessageId, updatedAt }); recent turns are sent verbatim.
+ */
+
+const dataStore = require('./dataStore');
+const llmFactory = require('./llmFactory');
+const settingsStore = require('./settingsStore');
+const openrouterStatus = require('./openrouterStatus');
+const messageTree = require('./messageTree');
+
+// Default prompt budgets (tokens) per baseline provider; OpenRouter models may set their own contextBudget
+const DEFAULT_CONTEXT_BUDGETS = {
+	openai: 16000,
+	openrouter: 16000,
+	grok: 16000,
+	gemini: 32000,
+	ollama: 4000,
+};
+
+// Summarize once the unsummarized history uses this share of the budget...
+const SUMMARIZE_THRESHOLD = 0.75;
+
+// ...folding the oldest turns in until it is back under this share
+const SUMMARIZE_TARGET = 0.5;
+
+// Most recent messages that are never folded into the summary
+const MIN_RECENT_MESSAGES = 6;
+
+// Conversations a summary is being written for
+const summarizing = new Set();
+
+/**
+ * Rough token estimate (about four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function estimateTokens(text) {
+	return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Resolve the prompt budget for a request.
+ * OpenRouter models use contextBudget from openrouter-models.json; the baseline
+ * provider uses LLM_CONTEXT_BUDGET, falling back to the provider default.
+ * @param {string} [modelOverride] - OpenRouter model ID
+ * @returns {Promise<number>} Budget in tokens
+ */
+async function getContextBudget(modelOverride) {
+	if (modelOverride && openrouterStatus.isActive()) {
+		const models = await settingsStore.getOpenRouterModels().catch(() => []);
+		const model = models.find((m) => m.id === modelOverride);
+		return model?.contextBudget || DEFAULT_CONTEXT_BUDGETS.openrouter;
+	}
+
+	const envBudget = parseInt(process.env.LLM_CONTEXT_BUDGET, 10);
+	if (envBudget > 0) return envBudget;
+
+	return DEFAULT_CONTEXT_BUDGETS[llmFactory.getProviderName()] || DEFAULT_CONTEXT_BUDGETS.openai;
+}
+
+/**
+ * Get the conversation's summary if it covers the start of the given path
+ * (after an edit or branch switch it may belong to another branch)
+ * @param {Object} conversation - Conversation object
+ * @param {Array} path - Messages from the root, oldest first
+ * @returns {{summary: Object|null, startIndex: number}} Summary and index of the first unsummarized message
+ */
+function getPathSummary(conversation, path) {
+	const summary = conversation.summary;
+	if (!summary) return { summary: null, startIndex: 0 };
+
+	const index = path.findIndex((m) => m.id === summary.throughMessageId);
+	if (index === -1) return { summary: null, startIndex: 0 };
+
+	return { summary, startIndex: index + 1 };
+}
+
+/**
+ * Chat messages (user and assistant) of a path
+ * @param {Array} path - Messages
+ * @returns {Array}
+ */
+function getChatMessages(path) {
+	return path.filter((m) => m.role === 'user' || m.role === 'assistant');
+}
+
+/**
+ * Sum the estimated tokens of messages
+ * @param {Array} messages - Messages
+ * @returns {number}
+ */
+function countTokens(messages) {
+	return messages.reduce((total, m) => total + estimateTokens(m.content), 0);
+}
+
+/**
+ * Choose what history to send for a turn: the rolling summary plus the newest
+ * unsummarized messages that fit in the budget.
+ * @param {Object} conversation - Conversation object
+ * @param {Array} path - History path (messages before the new user message)
+ * @param {number} budget - Prompt budget in tokens
+ * @param {number} reservedTokens - Tokens already used by the system prompt and new user message
+ * @returns {{summary: string|null, messages: Array, needsSummary: boolean}} needsSummary is set once the
+ *   unsummarized history has grown past the summarize threshold
+ */
+function buildContext(conversation, path, budget, reservedTokens) {
+	const { summary, startIndex } = getPathSummary(conversation, path);
+	const history = getChatMessages(path.slice(startIndex));
+	const available = budget - reservedTokens - estimateTokens(summary?.content);
+
+	// Keep the newest messages that fit, dropping whole messages from the front
+	let keepFrom = history.length;
+	let used = 0;
+	while (keepFrom > 0 && used + estimateTokens(history[keepFrom - 1].content) <= available) {
+		keepFrom--;
+		used += estimateTokens(history[keepFrom].content);
+	}
+	if (keepFrom > 0) {
+		console.warn(`⚠️ Context budget exceeded, dropped ${keepFrom} unsummarized messages from the prompt`);
+	}
+
+	return {
+		summary: summary?.content || null,
+		messages: history.slice(keepFrom),
+		needsSummary: countTokens(history) > budget * SUMMARIZE_THRESHOLD - reservedTokens,
+	};
+}
+
+/**
+ * Ask the LLM to fold messages into the running summary
+ * @param {string|null} previousSummary - Existing summary
+ * @param {Array} messages - Messages to fold in, oldest first
+ * @param {string} personaName - Name of the voice persona
+ * @param {string} [modelOverride] - Model to summarize with
+ * @returns {Promise<string>} Updated summary
+ */
+async function summarize(previousSummary, messages, personaName, modelOverride) {
+	const transcript = messages.map((m) => `${m.role === 'user' ? 'User' : personaName}: ${m.content}`).join('\n');
+
+	const llmMessages = [
+		{
+			role: 'system',
+			content: `You maintain the running summary of a conversation between a user and ${personaName}. Update the summary with the new messages. Keep names, facts, feelings, promises, plans and open questions; drop small talk. Write in the third person, at most 300 words. Reply with the summary only.`,
+		},
+		{
+			role: 'user',
+			content: `Current summary:\n${previousSummary || '(none yet)'}\n\nNew messages:\n${transcript}`,
+		},
+	];
+
+	const summary = await llmFactory.chat(llmMessages, { modelOverride });
+	return summary.trim();
+}
+
+/**
+ * Fold the oldest unsummarized turns on the active branch into the rolling summary and save it.
+ * The summarization call runs outside the conversation's turn queue so turns never wait for it; only
+ * saving goes through the queue, and is skipped if the folded messages left the active branch or
+ * another summary was saved meanwhile.
+ * @param {string} conversationId - Conversation ID
+ * @param {Function} runExclusive - Runs a function in the conversation's turn queue and returns its result
+ * @returns {Promise<boolean>} True if the summary was updated
+ */
+async function refreshSummary(conversationId, runExclusive) {
+	// One summarization per conversation at a time; the next turn asks again if more is needed
+	if (summarizing.has(conversationId)) return false;
+	summarizing.add(conversationId);
+	try {
+		return await foldIntoSummary(conversationId, runExclusive);
+	} finally {
+		summarizing.delete(conversationId);
+	}
+}
+
+/**
+ * Summarize for refreshSummary
+ * @param {string} conversationId - Conversation ID
+ * @param {Function} runExclusive - Runs a function in the conversation's turn queue
+ * @returns {Promise<boolean>} True if the summary was updated
+ */
+async function foldIntoSummary(conversationId, runExclusive) {
+	const conversation = await dataStore.getConversation(conversationId); // Propagates 404
+	const settings = await settingsStore.getSettings();
+	const modelOverride = conversation.activeLlmModel || settings.preferredLlmModel || undefined;
+	const budget = await getContextBudget(modelOverride);
+
+	const path = messageTree.getActivePath(conversation);
+	const { summary, startIndex } = getPathSummary(conversation, path);
+	const pending = getChatMessages(path.slice(startIndex));
+
+	// Fold from the oldest message until the rest is back under the target
+	let foldCount = 0;
+	let remaining = countTokens(pending);
+	while (foldCount < pending.length - MIN_RECENT_MESSAGES && remaining > budget * SUMMARIZE_TARGET) {
+		remaining -= estimateTokens(pending[foldCount].content);
+		foldCount++;
+	}
+
+	// Only fold whole turns: never leave a user message without its reply
+	while (foldCount > 0 && pending[foldCount - 1].role === 'user') {
+		foldCount--;
+	}
+	if (foldCount === 0) return false;
+
+	const voices = await dataStore.getVoices();
+	const voice = voices.find((v) => v.id === conversation.voiceId);
+	const folded = pending.slice(0, foldCount);
+
+	const content = await summarize(summary?.content || null, folded, voice?.name || 'the assistant', modelOverride);
+	if (!content) return false;
+
+	const throughMessageId = folded[folded.length - 1].id;
+	return runExclusive(async () => {
+		const current = await dataStore.getConversation(conversationId); // Propagates 404
+		const stillActive = messageTree.getActivePath(current).some((m) => m.id === throughMessageId);
+		if (!stillActive || current.summary?.updatedAt !== conversation.summary?.updatedAt) {
+			console.log(`🗑️ Discarded outdated summary for conversation ${conversationId}`);
+			return false;
+		}
+
+		current.summary = { content, throughMessageId, updatedAt: new Date().toISOString() };
+		await dataStore.saveConversation(current);
+		console.log(`✅ Summarized ${foldCount} messages for conversation ${conversationId}`);
+		return true;
+	});
+}
+
+module.exports = {
+	estimateTokens,
+	getContextBudget,
+	buildContext,
+	refreshSummary,
+};
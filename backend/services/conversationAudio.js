@@ -0,0 +1,207 @@
+/**
+ * Conversation Audio Service
+ * Joins the replies of a conversation's active branch into one MP3 to listen to like a podcast,
+ * optionally with the user's messages read out by a neutral narrator voice, with a chapter per turn.
+ *
+ * Renders are cached in the conversation's storage directory as stitched-<mode>-<key>.mp3, where the
+ * key covers everything that goes into the file, so a new turn, regenerated reply or branch switch
+ * produces a new render. Narration clips are cached there too (narration-<messageId>.mp3).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const dataStore = require('./dataStore');
+const elevenlabs = require('./elevenlabs');
+const storage = require('./storage');
+const messageTree = require('./messageTree');
+const mp3 = require('./mp3');
+
+// Neutral ElevenLabs voice for narrating user turns (default: premade "Rachel")
+const NARRATOR_VOICE_ID = process.env.NARRATOR_VOICE_ID || '21m00Tcm4TLvDq8cx8MU';
+
+// Pause inserted between clips
+const GAP_MS = 600;
+
+// Cached render file names start with this
+const STITCHED_PREFIX = 'stitched-';
+
+// Renders in progress, so concurrent requests for the same file share one render
+const renders = new Map();
+
+/**
+ * Collect the turns of the active branch that have reply audio
+ * @param {Object} conversation - Conversation object
+ * @param {Array} voices - All voices, for chapter titles
+ * @returns {Array<{turnId: string, userMessage: Object|null, aiMessage: Object, audioFile: string, voiceName: string}>}
+ */
+function getAudioTurns(conversation, voices) {
+	const pathMessages = messageTree.getActivePath(conversation);
+	const turns = [];
+
+	pathMessages.forEach((message) => {
+		if (message.role !== 'assistant' || !message.audioUrl) return;
+
+		turns.push({
+			turnId: message.turnId,
+			userMessage: pathMessages.find((m) => m.role === 'user' && m.turnId === message.turnId) || null,
+			aiMessage: message,
+			audioFile: path.basename(message.audioUrl),
+			voiceName: voices.find((v) => v.id === (message.voiceId || conversation.voiceId))?.name || 'Reply',
+		});
+	});
+
+	return turns;
+}
+
+/**
+ * Cache key for a render: the exact clips that go into it, in order
+ * @param {Array} turns - Turns from getAudioTurns
+ * @param {boolean} narrate - Whether user turns are narrated
+ * @returns {string}
+ */
+function getCacheKey(turns, narrate) {
+	const parts = turns.map((t) => `${narrate && t.userMessage ? t.userMessage.id : ''}:${t.audioFile}`);
+	return crypto.createHash('sha1').update(JSON.stringify([narrate, NARRATOR_VOICE_ID, GAP_MS, parts])).digest('hex').slice(0, 16);
+}
+
+/**
+ * Get the narration clip of a user message, synthesizing and caching it on first use
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} userMessage - User message
+ * @returns {Promise<Buffer>}
+ */
+async function getNarration(conversationId, userMessage) {
+	const fileName = `narration-${userMessage.id}.mp3`;
+	try {
+		return await storage.downloadFileAsBuffer(conversationId, fileName);
+	} catch (error) {
+		if (error.status !== 404) throw error;
+	}
+
+	const audioBuffer = await elevenlabs.generateSpeech(NARRATOR_VOICE_ID, userMessage.content);
+	await storage.uploadFile(conversationId, fileName, audioBuffer, { originalFilename: fileName, mimeType: 'audio/mpeg' });
+	return audioBuffer;
+}
+
+/**
+ * Join the clips of a conversation into one MP3 with chapters
+ * @param {Object} conversation - Conversation object
+ * @param {Array} turns - Turns from getAudioTurns
+ * @param {boolean} narrate - Narrate user turns
+ * @returns {Promise<Buffer>}
+ */
+async function stitch(conversation, turns, narrate) {
+	const parts = [];
+	const chapters = [];
+	let position = 0;
+	let gap = null;
+
+	const addClip = (clip) => {
+		if (clip.frames.length === 0) return;
+		if (position > 0) {
+			gap = gap || mp3.createSilence(clip.firstHeader, GAP_MS);
+			parts.push(gap.frames);
+			position += gap.durationMs;
+		}
+		parts.push(clip.frames);
+		position += clip.durationMs;
+	};
+
+	for (const [index, turn] of turns.entries()) {
+		const startMs = position;
+
+		if (narrate && turn.userMessage) {
+			addClip(mp3.readFrames(await getNarration(conversation.id, turn.userMessage)));
+		}
+		addClip(mp3.readFrames(await storage.downloadFileAsBuffer(conversation.id, turn.audioFile)));
+
+		const about = turn.userMessage ? turn.userMessage.content : turn.aiMessage.content;
+		chapters.push({
+			title: `${index + 1}. ${turn.voiceName}: ${about.length > 60 ? about.slice(0, 60).trimEnd() + '…' : about}`,
+			startMs,
+			endMs: position,
+		});
+	}
+
+	return Buffer.concat([mp3.buildChapterTag(conversation.title || 'Conversation', chapters), ...parts]);
+}
+
+/**
+ * Delete cached renders of a conversation, except the one to keep
+ * @param {string} conversationId - Conversation ID
+ * @param {string} prefix - Only delete renders whose file name starts with this
+ * @param {string} [keepFile] - File name to keep
+ * @returns {Promise}
+ */
+async function removeStaleRenders(conversationId, prefix, keepFile) {
+	let files;
+	try {
+		files = await fs.readdir(storage.getSessionDir(conversationId));
+	} catch (error) {
+		if (error.code === 'ENOENT') return;
+		throw error;
+	}
+
+	for (const file of files.filter((f) => f.startsWith(prefix) && f.endsWith('.mp3') && f !== keepFile)) {
+		await storage.deleteFile(conversationId, file);
+	}
+}
+
+/**
+ * Get the stitched audio of a conversation's active branch, rendering it if it is not cached
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} [options]
+ * @param {boolean} [options.narrate=false] - Read the user's messages with the narrator voice
+ * @returns {Promise<{conversation: Object, fileName: string}>} fileName is within the conversation's storage directory
+ * @throws {Error} 404 if the conversation does not exist or has no reply audio
+ */
+async function getConversationAudio(conversationId, { narrate = false } = {}) {
+	const conversation = await dataStore.getConversation(conversationId); // Propagates 404
+	const voices = await dataStore.getVoices();
+	const turns = getAudioTurns(conversation, voices);
+
+	if (turns.length === 0) {
+		const err = new Error('Conversation has no audio yet');
+		err.status = 404;
+		throw err;
+	}
+
+	const prefix = `${STITCHED_PREFIX}${narrate ? 'narrated' : 'replies'}-`;
+	const fileName = `${prefix}${getCacheKey(turns, narrate)}.mp3`;
+	try {
+		await fs.access(storage.getFilePath(conversationId, fileName));
+		return { conversation, fileName };
+	} catch (error) {
+		// Not cached yet
+	}
+
+	const renderKey = `${conversationId}/${fileName}`;
+	if (!renders.has(renderKey)) {
+		const render = (async () => {
+			console.log(`🎧 Stitching ${turns.length} turns of conversation ${conversationId}${narrate ? ' with narration' : ''}`);
+			const audioBuffer = await stitch(conversation, turns, narrate);
+			await storage.uploadFile(conversationId, fileName, audioBuffer, { originalFilename: fileName, mimeType: 'audio/mpeg' });
+			await removeStaleRenders(conversationId, prefix, fileName);
+		})();
+		renders.set(renderKey, render);
+		render.finally(() => renders.delete(renderKey)).catch(() => {});
+	}
+	await renders.get(renderKey);
+
+	return { conversation, fileName };
+}
+
+/**
+ * Drop a conversation's cached renders (e.g. after a new turn)
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise}
+ */
+async function invalidate(conversationId) {
+	await removeStaleRenders(conversationId, STITCHED_PREFIX);
+}
+
+module.exports = {
+	getConversationAudio,
+	invalidate,
+};
@@ -0,0 +1,214 @@
+/**
+ * Conversation Export Service
+ * Turns a conversation into a downloadable keepsake or backup:
+ * JSON (the full message tree), Markdown (the active branch as a transcript)
+ * or a ZIP bundling both with every reply's audio and a manifest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const storage = require('./storage');
+const messageTree = require('./messageTree');
+const { LANGUAGE_NAMES } = require('./turnPipeline');
+
+// Identifies VoiceRA export files (checked on import)
+const EXPORT_FORMAT = 'voicera-conversation';
+const EXPORT_VERSION = 1;
+
+/**
+ * Lower-case, dash-separated version of a text for file names
+ * @param {string} text - Text to slugify
+ * @param {string} fallback - Used when nothing is left
+ * @returns {string}
+ */
+function slugify(text, fallback) {
+	const slug = (text || '')
+		.normalize('NFKD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '')
+		.slice(0, 50);
+	return slug || fallback;
+}
+
+/**
+ * Base file name for a conversation's exports, e.g. "lake-house-2024-05-01"
+ * @param {Object} conversation - Conversation object
+ * @returns {string}
+ */
+function getExportFileName(conversation) {
+	return `${slugify(conversation.title, 'conversation')}-${(conversation.createdAt || '').slice(0, 10) || 'undated'}`;
+}
+
+/**
+ * Build the JSON export: conversation fields plus the whole message tree (all branches and versions)
+ * @param {Object} conversation - Conversation object
+ * @param {Array} voices - All voices, for display names
+ * @returns {Object}
+ */
+function toJson(conversation, voices) {
+	const voiceIds = new Set([conversation.voiceId, ...(conversation.participantIds || []), ...conversation.messages.map((m) => m.voiceId).filter(Boolean)]);
+
+	return {
+		format: EXPORT_FORMAT,
+		version: EXPORT_VERSION,
+		exportedAt: new Date().toISOString(),
+		conversation: {
+			id: conversation.id,
+			title: conversation.title,
+			voiceId: conversation.voiceId,
+			activeLanguage: conversation.activeLanguage,
+			activeLlmModel: conversation.activeLlmModel,
+			activeLeafId: conversation.activeLeafId,
+			summary: conversation.summary,
+			speakReplies: conversation.speakReplies,
+			participantIds: conversation.participantIds,
+			turnPolicy: conversation.turnPolicy,
+			tags: conversation.tags,
+			createdAt: conversation.createdAt,
+			updatedAt: conversation.updatedAt,
+			messages: conversation.messages,
+		},
+		voices: voices.filter((v) => voiceIds.has(v.id)).map((v) => ({ id: v.id, name: v.name })),
+	};
+}
+
+/**
+ * Describe a system event in one line, as the chat shows it
+ * @param {Object} event - System message
+ * @returns {string|null}
+ */
+function describeSystemEvent(event) {
+	if (event.type === 'voiceSwitch') {
+		return event.subtype === 'recovery' ? `Previous voice unavailable; switched to ${event.toVoiceName}` : `Voice switched to ${event.toVoiceName}`;
+	}
+	if (event.type === 'languageSwitch' && event.subtype === 'switch') {
+		return `Language switched to ${LANGUAGE_NAMES[event.toLanguage] || event.toLanguage}`;
+	}
+	if (event.type === 'llmSwitch') {
+		return event.subtype === 'fallback' ? `Model unavailable; switched to ${event.model || 'default'}` : `LLM switched to ${event.model}`;
+	}
+	return null;
+}
+
+/**
+ * Build the Markdown transcript of the active branch
+ * @param {Object} conversation - Conversation object
+ * @param {Array} voices - All voices, for display names
+ * @param {Map<string, string>} [audioFiles] - Message ID → audio file path in the ZIP, to link replies to their audio
+ * @returns {string}
+ */
+function toMarkdown(conversation, voices, audioFiles = new Map()) {
+	const voiceName = (id) => voices.find((v) => v.id === id)?.name || 'Unknown voice';
+	const speakers = (conversation.participantIds || [conversation.voiceId]).map(voiceName).join(', ');
+	const lines = [`# ${conversation.title || 'Conversation'}`, '', `_${speakers} · started ${conversation.createdAt}_`, ''];
+
+	for (const message of messageTree.getActivePath(conversation)) {
+		const time = message.timestamp ? ` · ${message.timestamp.replace('T', ' ').slice(0, 16)}` : '';
+
+		if (message.role === 'system') {
+			const description = describeSystemEvent(message);
+			if (description) lines.push(`> _${description}_`, '');
+		} else if (message.role === 'user') {
+			lines.push(`**You**${time}`, '', message.content, '');
+		} else if (message.role === 'assistant') {
+			const audio = audioFiles.get(message.activeVersionId || message.id);
+			lines.push(`**${voiceName(message.voiceId || conversation.voiceId)}**${time}`, '', message.content);
+			if (audio) lines.push('', `[🔊 Listen](${audio})`);
+			lines.push('');
+		}
+	}
+
+	return lines.join('\n');
+}
+
+/**
+ * List every stored reply audio file of a conversation (all branches and versions), with readable names
+ * @param {Object} conversation - Conversation object
+ * @param {Array} voices - All voices, for display names
+ * @returns {Array<{file: string, source: string, messageId: string, versionId: string|null, turnId: string, voiceName: string, timestamp: string, onActiveBranch: boolean}>}
+ */
+function listAudioFiles(conversation, voices) {
+	const activeIds = new Set(messageTree.getActivePath(conversation).map((m) => m.id));
+	const sessionDir = storage.getSessionDir(conversation.id);
+	const files = [];
+
+	conversation.messages
+		.filter((m) => m.role === 'assistant')
+		.forEach((message, index) => {
+			const voiceName = voices.find((v) => v.id === (message.voiceId || conversation.voiceId))?.name || 'voice';
+			const versions = Array.isArray(message.versions) ? message.versions : [{ id: message.id, audioUrl: message.audioUrl, timestamp: message.timestamp }];
+
+			versions.forEach((version, versionIndex) => {
+				const source = path.join(sessionDir, path.basename(version.audioUrl || `${version.id}.mp3`));
+				if (!fs.existsSync(source)) return;
+
+				const suffix = versions.length > 1 ? `-v${versionIndex + 1}` : '';
+				files.push({
+					file: `audio/${String(index + 1).padStart(3, '0')}-${slugify(voiceName, 'voice')}${suffix}.mp3`,
+					source,
+					messageId: message.id,
+					versionId: versions.length > 1 ? version.id : null,
+					turnId: message.turnId,
+					voiceName,
+					timestamp: version.timestamp || message.timestamp,
+					onActiveBranch: activeIds.has(message.id),
+				});
+			});
+		});
+
+	return files;
+}
+
+/**
+ * Stream a ZIP of the conversation: transcript.md, conversation.json, manifest.json and audio/*.mp3
+ * @param {Object} conversation - Conversation object
+ * @param {Array} voices - All voices, for display names
+ * @param {Stream} output - Writable stream (e.g. the HTTP response)
+ * @returns {Promise} Resolves once the archive is fully written
+ */
+function writeZip(conversation, voices, output) {
+	const audioFiles = listAudioFiles(conversation, voices);
+	const audioByMessage = new Map(audioFiles.map((a) => [a.versionId || a.messageId, a.file]));
+
+	const manifest = {
+		format: EXPORT_FORMAT,
+		version: EXPORT_VERSION,
+		exportedAt: new Date().toISOString(),
+		conversationId: conversation.id,
+		title: conversation.title,
+		transcript: 'transcript.md',
+		conversation: 'conversation.json',
+		audio: audioFiles.map(({ source, ...entry }) => entry),
+	};
+
+	const archive = archiver('zip', { zlib: { level: 9 } });
+	const done = new Promise((resolve, reject) => {
+		archive.on('error', reject);
+		output.on('error', reject);
+		output.on('close', resolve);
+		output.on('finish', resolve);
+	});
+
+	archive.on('warning', (warning) => console.warn(`⚠️ Export warning: ${warning.message}`));
+	archive.pipe(output);
+	archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+	archive.append(toMarkdown(conversation, voices, audioByMessage), { name: 'transcript.md' });
+	archive.append(JSON.stringify(toJson(conversation, voices), null, 2), { name: 'conversation.json' });
+	// MP3s are already compressed
+	audioFiles.forEach(({ source, file }) => archive.file(source, { name: file, store: true }));
+	archive.finalize();
+
+	return done;
+}
+
+module.exports = {
+	EXPORT_FORMAT,
+	EXPORT_VERSION,
+	getExportFileName,
+	toJson,
+	toMarkdown,
+	writeZip,
+};
@@ -0,0 +1,206 @@
+/**
+ * Conversation Import Service
+ * Restores a conversation from a JSON or ZIP export (see conversationExport).
+ * Everything gets new IDs so an export can be imported alongside the original,
+ * and voices are matched to the voices of this install by name.
+ */
+
+const AdmZip = require('adm-zip');
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+const storage = require('./storage');
+const messageTree = require('./messageTree');
+const conversationTags = require('./conversationTags');
+const { EXPORT_FORMAT, EXPORT_VERSION } = require('./conversationExport');
+
+// Message fields that reference a voice
+const VOICE_ID_FIELDS = ['voiceId', 'fromVoiceId', 'toVoiceId'];
+
+/**
+ * Create a 400 error for an unusable import file
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function invalidImport(message) {
+	const err = new Error(message);
+	err.status = 400;
+	return err;
+}
+
+/**
+ * Read an export file: the conversation JSON plus, for a ZIP, its audio keyed by the exported message/version ID
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {{exported: Object, audio: Map<string, Buffer>}}
+ * @throws {Error} 400 if the file is not a VoiceRA export
+ */
+function readExportFile(buffer) {
+	const audio = new Map();
+	let json;
+
+	// ZIP files start with "PK\x03\x04"
+	if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+		let zip;
+		try {
+			zip = new AdmZip(buffer);
+		} catch (error) {
+			throw invalidImport(`Could not read ZIP file: ${error.message}`);
+		}
+
+		const conversationEntry = zip.getEntry('conversation.json');
+		const manifestEntry = zip.getEntry('manifest.json');
+		if (!conversationEntry || !manifestEntry) {
+			throw invalidImport('ZIP file is missing conversation.json or manifest.json');
+		}
+		json = conversationEntry.getData().toString('utf-8');
+
+		let manifest;
+		try {
+			manifest = JSON.parse(manifestEntry.getData().toString('utf-8'));
+		} catch (error) {
+			throw invalidImport('manifest.json is not valid JSON');
+		}
+		for (const entry of manifest.audio || []) {
+			const file = zip.getEntry(entry.file);
+			if (file) audio.set(entry.versionId || entry.messageId, file.getData());
+		}
+	} else {
+		json = buffer.toString('utf-8');
+	}
+
+	let exported;
+	try {
+		exported = JSON.parse(json);
+	} catch (error) {
+		throw invalidImport('File is not valid JSON');
+	}
+
+	const isExport = exported?.format === EXPORT_FORMAT && Array.isArray(exported.conversation?.messages) && Array.isArray(exported.voices);
+	if (!isExport || exported.voices.some((v) => !v || typeof v !== 'object')) {
+		throw invalidImport('File is not a VoiceRA conversation export');
+	}
+	if (exported.version > EXPORT_VERSION) {
+		throw invalidImport(`Export version ${exported.version} is newer than this server supports`);
+	}
+
+	return { exported, audio };
+}
+
+/**
+ * Map the voices referenced by an export onto this install's voices by name (case-insensitive)
+ * @param {Array<{id: string, name: string}>} exportedVoices - Voices listed in the export
+ * @param {Array} voices - Existing voices
+ * @returns {{voiceMap: Map<string, string>, unresolvedVoices: Array<{id: string, name: string}>}}
+ */
+function resolveVoices(exportedVoices, voices) {
+	const voiceMap = new Map();
+	const unresolvedVoices = [];
+
+	for (const exportedVoice of exportedVoices) {
+		const match = voices.find((v) => v.name.trim().toLowerCase() === (exportedVoice.name || '').trim().toLowerCase());
+		if (match) {
+			voiceMap.set(exportedVoice.id, match.id);
+		} else {
+			unresolvedVoices.push({ id: exportedVoice.id, name: exportedVoice.name });
+		}
+	}
+
+	return { voiceMap, unresolvedVoices };
+}
+
+/**
+ * Import an exported conversation as a new conversation.
+ * Message, version and conversation IDs are regenerated; audio from a ZIP is stored under the new IDs.
+ * Voices that match no existing voice by name keep their exported IDs and are reported as unresolved
+ * (the conversation's voice is then recovered on first load, like any conversation whose voice is gone).
+ * @param {Buffer} buffer - Uploaded JSON or ZIP export
+ * @returns {Promise<{conversation: Object, unresolvedVoices: Array<{id: string, name: string}>, audioFiles: number}>}
+ * @throws {Error} 400 if the file is not a usable export
+ */
+async function importConversation(buffer) {
+	const { exported, audio } = readExportFile(buffer);
+	const source = exported.conversation;
+	const { voiceMap, unresolvedVoices } = resolveVoices(exported.voices, await dataStore.getVoices());
+
+	const conversationId = uuidv4();
+	const idMap = new Map(source.messages.map((m) => [m.id, uuidv4()]));
+	const newId = (id) => (id ? idMap.get(id) || null : null);
+	const newVoiceId = (id) => voiceMap.get(id) || id;
+
+	// Store a reply's audio under its new file ID, if the export carried it
+	let audioFiles = 0;
+	const restoreAudio = async (exportedId, fileId) => {
+		const data = audio.get(exportedId);
+		if (!data) return null;
+
+		await storage.uploadFile(conversationId, `${fileId}.mp3`, data, { originalFilename: `${exportedId}.mp3`, mimeType: 'audio/mpeg' });
+		audioFiles++;
+		return `/api/audio/${conversationId}/${fileId}.mp3`;
+	};
+
+	try {
+		const messages = [];
+		for (const original of source.messages) {
+			const message = { ...original, id: newId(original.id), parentId: original.parentId === undefined ? undefined : newId(original.parentId) };
+			VOICE_ID_FIELDS.forEach((field) => {
+				if (message[field]) message[field] = newVoiceId(message[field]);
+			});
+
+			if (message.role === 'assistant') {
+				if (Array.isArray(original.versions)) {
+					// The first version shares the message's ID
+					message.versions = [];
+					for (const version of original.versions) {
+						const versionId = version.id === original.id ? message.id : uuidv4();
+						message.versions.push({ ...version, id: versionId, audioUrl: await restoreAudio(version.id, versionId) });
+						if (version.id === (original.activeVersionId || original.id)) {
+							message.activeVersionId = versionId;
+							message.audioUrl = message.versions[message.versions.length - 1].audioUrl;
+						}
+					}
+				} else {
+					message.audioUrl = await restoreAudio(original.id, message.id);
+				}
+			}
+
+			messages.push(message);
+		}
+
+		const now = new Date().toISOString();
+		const conversation = {
+			id: conversationId,
+			voiceId: newVoiceId(source.voiceId),
+			title: source.title || 'Imported Conversation',
+			activeLanguage: source.activeLanguage || null,
+			activeLlmModel: source.activeLlmModel || null,
+			activeLeafId: newId(source.activeLeafId),
+			summary: source.summary?.throughMessageId && idMap.has(source.summary.throughMessageId) ? { ...source.summary, throughMessageId: newId(source.summary.throughMessageId) } : null,
+			speakReplies: source.speakReplies !== false,
+			participantIds: Array.isArray(source.participantIds) ? source.participantIds.map(newVoiceId) : null,
+			turnPolicy: source.turnPolicy || null,
+			tags: Array.isArray(source.tags) && !conversationTags.getTagsError(source.tags) ? conversationTags.normalizeTags(source.tags) : [],
+			messages: messageTree.normalizeTree(messages),
+			createdAt: source.createdAt || now,
+			updatedAt: now,
+		};
+
+		await dataStore.saveConversation(conversation);
+		console.log(`📥 Imported conversation ${conversationId} (${messages.length} messages, ${audioFiles} audio files)`);
+		if (unresolvedVoices.length > 0) {
+			console.warn(`⚠️ Imported conversation ${conversationId} references unknown voices: ${unresolvedVoices.map((v) => v.name).join(', ')}`);
+		}
+
+		return { conversation, unresolvedVoices, audioFiles };
+	} catch (error) {
+		// Don't leave audio behind for a conversation that was never saved
+		if (audioFiles > 0) {
+			await storage.deleteSession(conversationId).catch((cleanupError) => {
+				console.warn(`⚠️ Failed to cleanup imported audio: ${cleanupError.message}`);
+			});
+		}
+		throw error;
+	}
+}
+
+module.exports = {
+	importConversation,
+};
@@ -0,0 +1,92 @@
+/**
+ * Conversation Tags
+ * User-defined tags for organizing conversations (conversation.tags), e.g. "Grandma's stories" or "Recipes".
+ * Tags are case-insensitive: "recipes" and "Recipes" are the same tag, spelled as it was first added.
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Trim tags and drop duplicates, keeping the first spelling of each
+ * @param {Array<string>} tags - Tags
+ * @returns {Array<string>}
+ */
+function normalizeTags(tags) {
+	const seen = new Set();
+	const result = [];
+	for (const tag of tags.map((t) => t.trim()).filter(Boolean)) {
+		if (seen.has(tag.toLowerCase())) continue;
+		seen.add(tag.toLowerCase());
+		result.push(tag);
+	}
+	return result;
+}
+
+/**
+ * Check a list of tags from a request
+ * @param {*} tags - Requested tags
+ * @returns {string|null} Error message, or null if valid
+ */
+function getTagsError(tags) {
+	if (!Array.isArray(tags) || tags.some((t) => typeof t !== 'string' || !t.trim() || t.trim().length > MAX_TAG_LENGTH)) {
+		return `tags must be a list of names of 1 to ${MAX_TAG_LENGTH} characters`;
+	}
+	if (normalizeTags(tags).length > MAX_TAGS) {
+		return `A conversation can have at most ${MAX_TAGS} tags`;
+	}
+	return null;
+}
+
+/**
+ * Add tags to a conversation
+ * @param {Object} conversation - Conversation object (mutated)
+ * @param {Array<string>} tags - Valid tags to add
+ * @throws {Error} 400 if the conversation would end up with too many tags
+ */
+function addTags(conversation, tags) {
+	const merged = normalizeTags([...conversation.tags, ...tags]);
+	if (merged.length > MAX_TAGS) {
+		const err = new Error(`A conversation can have at most ${MAX_TAGS} tags`);
+		err.status = 400;
+		throw err;
+	}
+	conversation.tags = merged;
+}
+
+/**
+ * Remove tags from a conversation (case-insensitive)
+ * @param {Object} conversation - Conversation object (mutated)
+ * @param {Array<string>} tags - Tags to remove
+ */
+function removeTags(conversation, tags) {
+	const removed = new Set(tags.map((t) => t.trim().toLowerCase()));
+	conversation.tags = conversation.tags.filter((t) => !removed.has(t.toLowerCase()));
+}
+
+/**
+ * Count how many conversations carry each tag
+ * @param {Array} conversations - Conversations (or conversation list entries)
+ * @returns {Array<{tag: string, count: number}>} Sorted by tag
+ */
+function countTags(conversations) {
+	const counts = new Map();
+	for (const conversation of conversations) {
+		for (const tag of conversation.tags) {
+			const entry = counts.get(tag.toLowerCase()) || { tag, count: 0 };
+			entry.count++;
+			counts.set(tag.toLowerCase(), entry);
+		}
+	}
+	return [...counts.values()].sort((a, b) => a.tag.localeCompare(b.tag, undefined, { sensitivity: 'base' }));
+}
+
+module.exports = {
+	MAX_TAGS,
+	MAX_TAG_LENGTH,
+	normalizeTags,
+	getTagsError,
+	addTags,
+	removeTags,
+	countTags,
+};
@@ -1,9 +1,10 @@
 /**
  * Data Store Service
- * Handles persistent storage for voices, conversations, and audio files
+ * Handles persistent storage for voices, conversations, persona memories, schedules, and audio files
  */
 
 const db = require('./db');
+const messageTree = require('./messageTree');
 
 /**
  * Private helper to convert DB row to voice object
@@ -20,6 +21,93 @@ function rowToVoice(row) {
 	};
 }
 
+/**
+ * Private helper to convert DB row to memory object
+ * @param {Object} row - Database row
+ * @returns {Object} Memory object
+ */
+function rowToMemory(row) {
+	return {
+		id: row.id,
+		voiceId: row.voice_id,
+		content: row.content,
+		conversationId: row.conversation_id,
+		turnId: row.turn_id,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * Private helper to convert DB row to document object (without its text)
+ * @param {Object} row - Database row
+ * @returns {Object} Document object
+ */
+function rowToDocument(row) {
+	return {
+		id: row.id,
+		voiceId: row.voice_id,
+		name: row.name,
+		chunkCount: Number(row.chunk_count),
+		createdAt: row.created_at,
+	};
+}
+
+/**
+ * Private helper to convert DB row to schedule object
+ * @param {Object} row - Database row
+ * @returns {Object} Schedule object
+ */
+function rowToSchedule(row) {
+	return {
+		id: row.id,
+		name: row.name,
+		voiceId: row.voice_id,
+		conversationId: row.conversation_id,
+		cron: row.cron,
+		timezone: row.timezone,
+		prompt: row.prompt,
+		enabled: Boolean(Number(row.enabled)),
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * Private helper to convert DB row to schedule run object
+ * @param {Object} row - Database row
+ * @returns {Object} Schedule run object
+ */
+function rowToScheduleRun(row) {
+	return {
+		id: row.id,
+		scheduleId: row.schedule_id,
+		status: row.status,
+		messageId: row.message_id,
+		error: row.error,
+		startedAt: row.started_at,
+		finishedAt: row.finished_at,
+	};
+}
+
+/**
+ * Private helper to convert DB row to cleanup run object
+ * @param {Object} row - Database row
+ * @returns {Object} Cleanup run object
+ */
+function rowToCleanupRun(row) {
+	return {
+		id: row.id,
+		trigger: row.trigger,
+		ageHours: Number(row.age_hours),
+		removed: JSON.parse(row.removed),
+		bytesFreed: Number(row.bytes_freed),
+		error: row.error,
+		startedAt: row.started_at,
+		finishedAt: row.finished_at,
+	};
+}
+
 /**
  * Private helper to convert DB row to conversation object
  * @param {Object} row - Database row
@@ -39,12 +127,39 @@ function rowToConversation(row) {
 		title: row.title,
 		activeLanguage: row.active_language,
 		activeLlmModel: row.active_llm_model,
-		messages: messages,
+		activeLeafId: row.active_leaf_id ?? null,
+		summary: row.summary ? JSON.parse(row.summary) : null,
+		speakReplies: row.speak_replies !== 0, // NULL for conversations created before the setting existed
+		participantIds: row.participant_ids ? JSON.parse(row.participant_ids) : null,
+		turnPolicy: row.turn_policy || null,
+		retention: row.retention ? JSON.parse(row.retention) : null,
+		pinned: row.pinned === 1,
+		archived: row.archived === 1,
+		tags: row.tags ? JSON.parse(row.tags) : [],
+		messages: messageTree.normalizeTree(messages || []),
 		createdAt: row.created_at,
 		updatedAt: row.updated_at,
+		lastActivityAt: row.last_activity_at || row.updated_at, // NULL until first saved with the column
 	};
 }
 
+/**
+ * Private helper to find when a conversation was last active: its newest message or reply version.
+ * Changes to its settings, such as its retention policy, do not count.
+ * @param {Object} conv - Conversation object
+ * @returns {string} ISO timestamp
+ */
+function getLastActivityAt(conv) {
+	let latest = conv.createdAt;
+	for (const message of conv.messages || []) {
+		if (message.role !== 'user' && message.role !== 'assistant') continue;
+		for (const target of [message, ...(message.versions || [])]) {
+			if (target.timestamp && (!latest || target.timestamp > latest)) latest = target.timestamp;
+		}
+	}
+	return latest;
+}
+
 /**
  * Get all voices
  * @returns {Promise<Array>}
@@ -129,23 +244,63 @@ async function getConversation(id) {
 async function saveConversation(conv) {
 	try {
 		const messagesJson = JSON.stringify(conv.messages);
-		const params = [conv.id, conv.voiceId, conv.title, conv.activeLanguage, conv.activeLlmModel, messagesJson, conv.createdAt, conv.updatedAt];
+		const summaryJson = conv.summary ? JSON.stringify(conv.summary) : null;
+		const participantsJson = conv.participantIds ? JSON.stringify(conv.participantIds) : null;
+		const retentionJson = conv.retention ? JSON.stringify(conv.retention) : null;
+		conv.lastActivityAt = getLastActivityAt(conv);
+		const params = [
+			conv.id,
+			conv.voiceId,
+			conv.title,
+			conv.activeLanguage,
+			conv.activeLlmModel,
+			conv.activeLeafId ?? null,
+			summaryJson,
+			conv.speakReplies === false ? 0 : 1,
+			participantsJson,
+			conv.turnPolicy ?? null,
+			retentionJson,
+			conv.pinned ? 1 : 0,
+			conv.archived ? 1 : 0,
+			JSON.stringify(conv.tags || []),
+			messagesJson,
+			conv.createdAt,
+			conv.updatedAt,
+			conv.lastActivityAt,
+		];
 
 		const sql = db.IS_POSTGRES
-			? `INSERT INTO conversations (id, voice_id, title, active_language, active_llm_model, messages, created_at, updated_at)
-			   VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+			? `INSERT INTO conversations (id, voice_id, title, active_language, active_llm_model, active_leaf_id, summary, speak_replies, participant_ids, turn_policy, retention, pinned, archived, tags, messages, created_at, updated_at, last_activity_at)
+			   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
 			   ON CONFLICT (id) DO UPDATE SET
 			   voice_id = EXCLUDED.voice_id,
 			   title = EXCLUDED.title,
 			   active_language = EXCLUDED.active_language,
 			   active_llm_model = EXCLUDED.active_llm_model,
+			   active_leaf_id = EXCLUDED.active_leaf_id,
+			   summary = EXCLUDED.summary,
+			   speak_replies = EXCLUDED.speak_replies,
+			   participant_ids = EXCLUDED.participant_ids,
+			   turn_policy = EXCLUDED.turn_policy,
+			   retention = EXCLUDED.retention,
+			   pinned = EXCLUDED.pinned,
+			   archived = EXCLUDED.archived,
+			   tags = EXCLUDED.tags,
 			   messages = EXCLUDED.messages,
 			   created_at = EXCLUDED.created_at,
-			   updated_at = EXCLUDED.updated_at`
-			: `INSERT OR REPLACE INTO conversations (id, voice_id, title, active_language, active_llm_model, messages, created_at, updated_at)
-			   VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+			   updated_at = EXCLUDED.updated_at,
+			   last_activity_at = EXCLUDED.last_activity_at`
+			: `INSERT OR REPLACE INTO conversations (id, voice_id, title, active_language, active_llm_model, active_leaf_id, summary, speak_replies, participant_ids, turn_policy, retention, pinned, archived, tags, messages, created_at, updated_at, last_activity_at)
+			   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
 		await db.run(sql, params);
+
+		// The conversation is saved at this point, so callers must not treat an index failure as a failed save
+		try {
+			await indexConversationMessages(conv);
+		} catch (indexError) {
+			console.warn(`⚠️ Failed to update search index for conversation ${conv.id} (caught up on the next save): ${indexError.message}`);
+		}
 		console.log(`✅ Saved conversation ${conv.id}`);
 	} catch (error) {
 		console.error(`❌ Failed to save conversation ${conv.id}:`, error.message);
@@ -154,19 +309,42 @@ async function saveConversation(conv) {
 }
 
 /**
- * List all conversations (without message content)
+ * List conversations (without message content), pinned first, then most recently active
+ * @param {Object} [filter]
+ * @param {boolean} [filter.archived] - Only archived (true) or only unarchived (false) conversations; all when omitted
+ * @param {string} [filter.tag] - Only conversations with this tag (case-insensitive)
  * @returns {Promise<Array>}
  */
-async function listConversations() {
+async function listConversations({ archived, tag } = {}) {
 	try {
-		const rows = await db.query('SELECT id, voice_id, title, created_at, updated_at FROM conversations ORDER BY updated_at DESC');
+		let sql = 'SELECT id, voice_id, title, participant_ids, retention, pinned, archived, tags, created_at, updated_at, last_activity_at FROM conversations';
+		if (archived !== undefined) {
+			sql += archived ? ' WHERE archived = 1' : ' WHERE archived IS NULL OR archived = 0';
+		}
+		sql += ' ORDER BY COALESCE(pinned, 0) DESC, COALESCE(last_activity_at, updated_at) DESC';
+
+		const rows = await db.query(sql);
 		const conversations = rows.map((row) => ({
 			id: row.id,
 			voiceId: row.voice_id,
 			title: row.title,
+			participantIds: row.participant_ids ? JSON.parse(row.participant_ids) : null,
+			retention: row.retention ? JSON.parse(row.retention) : null,
+			pinned: row.pinned === 1,
+			archived: row.archived === 1,
+			tags: row.tags ? JSON.parse(row.tags) : [],
 			createdAt: row.created_at,
 			updatedAt: row.updated_at,
+			lastActivityAt: row.last_activity_at || row.updated_at,
 		}));
+
+		// Tags are stored as a JSON array, so they are matched here rather than in SQL
+		if (tag !== undefined) {
+			const wanted = tag.toLowerCase();
+			const tagged = conversations.filter((conv) => conv.tags.some((t) => t.toLowerCase() === wanted));
+			console.log(`✅ Listed ${tagged.length} conversations tagged "${tag}"`);
+			return tagged;
+		}
 		console.log(`✅ Listed ${conversations.length} conversations`);
 		return conversations;
 	} catch (error) {
@@ -175,6 +353,17 @@ async function listConversations() {
 	}
 }
 
+/**
+ * List the IDs of conversations that may have replies whose audio failed.
+ * A cheap text match on the stored messages; callers check the messages themselves.
+ * @returns {Promise<Array<string>>}
+ */
+async function listConversationIdsWithFailedAudio() {
+	const sql = db.IS_POSTGRES ? "SELECT id FROM conversations WHERE messages::text LIKE '%\"audioStatus\"%'" : "SELECT id FROM conversations WHERE messages LIKE '%\"audioStatus\"%'";
+	const rows = await db.query(sql);
+	return rows.map((row) => row.id);
+}
+
 /**
  * Delete conversation
  * @param {string} id - Conversation ID
@@ -194,6 +383,16 @@ async function deleteConversation(id) {
 		// Delete the conversation
 		const deleteSql = db.IS_POSTGRES ? 'DELETE FROM conversations WHERE id = $1' : 'DELETE FROM conversations WHERE id = ?';
 		await db.run(deleteSql, [id]);
+		const searchSql = db.IS_POSTGRES ? 'DELETE FROM message_search WHERE conversation_id = $1' : 'DELETE FROM message_search WHERE conversation_id = ?';
+		await db.run(searchSql, [id]);
+		const journalSql = db.IS_POSTGRES ? 'DELETE FROM turn_journal WHERE conversation_id = $1' : 'DELETE FROM turn_journal WHERE conversation_id = ?';
+		await db.run(journalSql, [id]);
+		const runsSql = db.IS_POSTGRES
+			? 'DELETE FROM schedule_runs WHERE schedule_id IN (SELECT id FROM schedules WHERE conversation_id = $1)'
+			: 'DELETE FROM schedule_runs WHERE schedule_id IN (SELECT id FROM schedules WHERE conversation_id = ?)';
+		await db.run(runsSql, [id]);
+		const schedulesSql = db.IS_POSTGRES ? 'DELETE FROM schedules WHERE conversation_id = $1' : 'DELETE FROM schedules WHERE conversation_id = ?';
+		await db.run(schedulesSql, [id]);
 
 		console.log(`✅ Deleted conversation ${id}`);
 	} catch (error) {
@@ -204,11 +403,612 @@ async function deleteConversation(id) {
 	}
 }
 
+/**
+ * Private helper to bring a conversation's rows in the message search index up to date.
+ * Every user and assistant message is indexed, including those on inactive branches. Only messages
+ * that are new, changed or gone are written, compared with what the index holds, so a save that
+ * failed to update the index is caught up by the next one.
+ * @param {Object} conv - Conversation object
+ * @returns {Promise}
+ */
+async function indexConversationMessages(conv) {
+	const selectSql = db.IS_POSTGRES ? 'SELECT message_id, content FROM message_search WHERE conversation_id = $1' : 'SELECT message_id, content FROM message_search WHERE conversation_id = ?';
+	const indexed = new Map((await db.query(selectSql, [conv.id])).map((row) => [row.message_id, row.content]));
+
+	const deleteSql = db.IS_POSTGRES ? 'DELETE FROM message_search WHERE conversation_id = $1 AND message_id = $2' : 'DELETE FROM message_search WHERE conversation_id = ? AND message_id = ?';
+	const insertSql = db.IS_POSTGRES
+		? 'INSERT INTO message_search (message_id, conversation_id, role, timestamp, content) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (message_id) DO NOTHING'
+		: 'INSERT INTO message_search (message_id, conversation_id, role, timestamp, content) VALUES (?, ?, ?, ?, ?)';
+
+	const current = new Set();
+	for (const message of conv.messages || []) {
+		if ((message.role !== 'user' && message.role !== 'assistant') || !message.content) continue;
+		current.add(message.id);
+		if (indexed.get(message.id) === message.content) continue;
+
+		// The full-text table has no key to upsert on, so a changed message is replaced
+		if (indexed.has(message.id)) await db.run(deleteSql, [conv.id, message.id]);
+		await db.run(insertSql, [message.id, conv.id, message.role, message.timestamp || null, message.content]);
+	}
+
+	for (const messageId of indexed.keys()) {
+		if (!current.has(messageId)) await db.run(deleteSql, [conv.id, messageId]);
+	}
+}
+
+/**
+ * Index conversations stored before message search existed
+ * @returns {Promise<number>} Number of conversations indexed
+ */
+async function backfillSearchIndex() {
+	const rows = await db.query('SELECT * FROM conversations WHERE id NOT IN (SELECT conversation_id FROM message_search)');
+	for (const row of rows) {
+		await indexConversationMessages(rowToConversation(row));
+	}
+
+	if (rows.length > 0) {
+		console.log(`✅ Indexed ${rows.length} conversations for search`);
+	}
+	return rows.length;
+}
+
+/**
+ * Private helper to escape text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeHtml(text) {
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Search message content across all conversations.
+ * Every word of the query must match, as a whole word or a word prefix.
+ * @param {string} query - Search text
+ * @param {number} [limit=50] - Maximum number of hits
+ * @returns {Promise<Array<{conversationId: string, conversationTitle: string, voiceId: string, messageId: string, role: string, timestamp: string, snippet: string}>>}
+ *   Best matches first; snippet is HTML-escaped with the matched words wrapped in <mark>
+ */
+async function searchMessages(query, limit = 50) {
+	const terms = (query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+	if (terms.length === 0) return [];
+
+	// Control characters mark the matches so the text can be escaped before they become <mark> tags
+	const sql = db.IS_POSTGRES
+		? `SELECT m.message_id, m.conversation_id, m.role, m.timestamp, c.title, c.voice_id,
+		          ts_headline('simple', m.content, q, $2) AS snippet
+		   FROM message_search m, to_tsquery('simple', $1) q, conversations c
+		   WHERE m.search @@ q AND c.id = m.conversation_id
+		   ORDER BY ts_rank(m.search, q) DESC
+		   LIMIT $3`
+		: `SELECT m.message_id, m.conversation_id, m.role, m.timestamp, c.title, c.voice_id,
+		          snippet(message_search, 0, char(1), char(2), '…', 16) AS snippet
+		   FROM message_search m JOIN conversations c ON c.id = m.conversation_id
+		   WHERE message_search MATCH ?
+		   ORDER BY rank
+		   LIMIT ?`;
+	const params = db.IS_POSTGRES
+		? [terms.map((t) => `${t}:*`).join(' & '), 'StartSel=\u0001, StopSel=\u0002, MaxWords=24, MinWords=10', limit]
+		: [terms.map((t) => `"${t}"*`).join(' '), limit];
+
+	try {
+		const rows = await db.query(sql, params);
+		return rows.map((row) => ({
+			conversationId: row.conversation_id,
+			conversationTitle: row.title,
+			voiceId: row.voice_id,
+			messageId: row.message_id,
+			role: row.role,
+			timestamp: row.timestamp,
+			snippet: escapeHtml(row.snippet || '').replace(/\u0001/g, '<mark>').replace(/\u0002/g, '</mark>'),
+		}));
+	} catch (error) {
+		console.error('❌ Failed to search messages:', error.message);
+		throw error;
+	}
+}
+
+/**
+ * Get the memories of a voice, most recently updated first
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise<Array>}
+ */
+async function getMemories(voiceId) {
+	try {
+		const sql = db.IS_POSTGRES ? 'SELECT * FROM memories WHERE voice_id = $1 ORDER BY updated_at DESC' : 'SELECT * FROM memories WHERE voice_id = ? ORDER BY updated_at DESC';
+		const rows = await db.query(sql, [voiceId]);
+		return rows.map(rowToMemory);
+	} catch (error) {
+		console.error(`❌ Failed to get memories for voice ${voiceId}:`, error.message);
+		throw error;
+	}
+}
+
+/**
+ * Get a memory by ID
+ * @param {string} id - Memory ID
+ * @returns {Promise<Object>}
+ */
+async function getMemory(id) {
+	const sql = db.IS_POSTGRES ? 'SELECT * FROM memories WHERE id = $1' : 'SELECT * FROM memories WHERE id = ?';
+	const row = await db.queryOne(sql, [id]);
+
+	if (!row) {
+		const err = new Error(`Memory not found: ${id}`);
+		err.status = 404;
+		throw err;
+	}
+
+	return rowToMemory(row);
+}
+
+/**
+ * Save (insert or update) a memory
+ * @param {Object} memory - Memory object
+ * @returns {Promise}
+ */
+async function saveMemory(memory) {
+	try {
+		const params = [memory.id, memory.voiceId, memory.content, memory.conversationId ?? null, memory.turnId ?? null, memory.createdAt, memory.updatedAt];
+
+		const sql = db.IS_POSTGRES
+			? `INSERT INTO memories (id, voice_id, content, conversation_id, turn_id, created_at, updated_at)
+			   VALUES ($1, $2, $3, $4, $5, $6, $7)
+			   ON CONFLICT (id) DO UPDATE SET
+			   voice_id = EXCLUDED.voice_id,
+			   content = EXCLUDED.content,
+			   conversation_id = EXCLUDED.conversation_id,
+			   turn_id = EXCLUDED.turn_id,
+			   created_at = EXCLUDED.created_at,
+			   updated_at = EXCLUDED.updated_at`
+			: `INSERT OR REPLACE INTO memories (id, voice_id, content, conversation_id, turn_id, created_at, updated_at)
+			   VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+		await db.run(sql, params);
+	} catch (error) {
+		console.error(`❌ Failed to save memory ${memory.id}:`, error.message);
+		throw error;
+	}
+}
+
+/**
+ * Delete a memory
+ * @param {string} id - Memory ID
+ * @returns {Promise}
+ */
+async function deleteMemory(id) {
+	await getMemory(id); // Propagates 404
+
+	const sql = db.IS_POSTGRES ? 'DELETE FROM memories WHERE id = $1' : 'DELETE FROM memories WHERE id = ?';
+	await db.run(sql, [id]);
+	console.log(`✅ Deleted memory ${id}`);
+}
+
+/**
+ * Delete all memories of a voice
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise}
+ */
+async function deleteMemoriesForVoice(voiceId) {
+	const sql = db.IS_POSTGRES ? 'DELETE FROM memories WHERE voice_id = $1' : 'DELETE FROM memories WHERE voice_id = ?';
+	await db.run(sql, [voiceId]);
+}
+
+/**
+ * Get the documents of a voice's knowledge base, newest first (without their text)
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise<Array>}
+ */
+async function getDocuments(voiceId) {
+	try {
+		const sql = db.IS_POSTGRES
+			? 'SELECT id, voice_id, name, chunk_count, created_at FROM documents WHERE voice_id = $1 ORDER BY created_at DESC'
+			: 'SELECT id, voice_id, name, chunk_count, created_at FROM documents WHERE voice_id = ? ORDER BY created_at DESC';
+		const rows = await db.query(sql, [voiceId]);
+		return rows.map(rowToDocument);
+	} catch (error) {
+		console.error(`❌ Failed to get documents for voice ${voiceId}:`, error.message);
+		throw error;
+	}
+}
+
+/**
+ * Get a document by ID, including its text
+ * @param {string} id - Document ID
+ * @returns {Promise<Object>}
+ */
+async function getDocument(id) {
+	const sql = db.IS_POSTGRES ? 'SELECT * FROM documents WHERE id = $1' : 'SELECT * FROM documents WHERE id = ?';
+	const row = await db.queryOne(sql, [id]);
+
+	if (!row) {
+		const err = new Error(`Document not found: ${id}`);
+		err.status = 404;
+		throw err;
+	}
+
+	return { ...rowToDocument(row), content: row.content };
+}
+
+/**
+ * Save a new document together with its chunks
+ * @param {Object} document - Document object ({ id, voiceId, name, content, createdAt })
+ * @param {Array<{id: string, content: string, embedding: Object|null}>} chunks - Chunks in document order
+ * @returns {Promise}
+ */
+async function saveDocument(document, chunks) {
+	try {
+		const documentSql = db.IS_POSTGRES
+			? 'INSERT INTO documents (id, voice_id, name, content, chunk_count, created_at) VALUES ($1, $2, $3, $4, $5, $6)'
+			: 'INSERT INTO documents (id, voice_id, name, content, chunk_count, created_at) VALUES (?, ?, ?, ?, ?, ?)';
+		await db.run(documentSql, [document.id, document.voiceId, document.name, document.content, chunks.length, document.createdAt]);
+
+		const chunkSql = db.IS_POSTGRES
+			? 'INSERT INTO document_chunks (id, document_id, voice_id, position, content, embedding) VALUES ($1, $2, $3, $4, $5, $6)'
+			: 'INSERT INTO document_chunks (id, document_id, voice_id, position, content, embedding) VALUES (?, ?, ?, ?, ?, ?)';
+		for (const [position, chunk] of chunks.entries()) {
+			const embeddingJson = chunk.embedding ? JSON.stringify(chunk.embedding) : null;
+			await db.run(chunkSql, [chunk.id, document.id, document.voiceId, position, chunk.content, embeddingJson]);
+		}
+
+		console.log(`✅ Saved document ${document.id} (${chunks.length} chunks)`);
+	} catch (error) {
+		console.error(`❌ Failed to save document ${document.id}:`, error.message);
+		throw error;
+	}
+}
+
+/**
+ * Get every chunk of a voice's knowledge base, with the name of its document
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise<Array<{id: string, documentId: string, documentName: string, position: number, content: string, embedding: Object|null}>>}
+ */
+async function getDocumentChunks(voiceId) {
+	const sql = db.IS_POSTGRES
+		? `SELECT c.*, d.name AS document_name FROM document_chunks c JOIN documents d ON d.id = c.document_id
+		   WHERE c.voice_id = $1 ORDER BY c.document_id, c.position`
+		: `SELECT c.*, d.name AS document_name FROM document_chunks c JOIN documents d ON d.id = c.document_id
+		   WHERE c.voice_id = ? ORDER BY c.document_id, c.position`;
+	const rows = await db.query(sql, [voiceId]);
+
+	return rows.map((row) => ({
+		id: row.id,
+		documentId: row.document_id,
+		documentName: row.document_name,
+		position: Number(row.position),
+		content: row.content,
+		embedding: row.embedding ? JSON.parse(row.embedding) : null,
+	}));
+}
+
+/**
+ * Delete a document and its chunks
+ * @param {string} id - Document ID
+ * @returns {Promise}
+ */
+async function deleteDocument(id) {
+	await getDocument(id); // Propagates 404
+
+	const chunkSql = db.IS_POSTGRES ? 'DELETE FROM document_chunks WHERE document_id = $1' : 'DELETE FROM document_chunks WHERE document_id = ?';
+	await db.run(chunkSql, [id]);
+	const sql = db.IS_POSTGRES ? 'DELETE FROM documents WHERE id = $1' : 'DELETE FROM documents WHERE id = ?';
+	await db.run(sql, [id]);
+	console.log(`✅ Deleted document ${id}`);
+}
+
+/**
+ * Delete a voice's whole knowledge base
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise}
+ */
+async function deleteDocumentsForVoice(voiceId) {
+	const chunkSql = db.IS_POSTGRES ? 'DELETE FROM document_chunks WHERE voice_id = $1' : 'DELETE FROM document_chunks WHERE voice_id = ?';
+	await db.run(chunkSql, [voiceId]);
+	const sql = db.IS_POSTGRES ? 'DELETE FROM documents WHERE voice_id = $1' : 'DELETE FROM documents WHERE voice_id = ?';
+	await db.run(sql, [voiceId]);
+}
+
+/**
+ * Get the stages an unfinished turn has already completed
+ * @param {string} conversationId - Conversation ID
+ * @param {string} turnId - Turn ID
+ * @returns {Promise<Object|null>} Stage results by stage name, or null if the turn has no journal
+ */
+async function getTurnJournal(conversationId, turnId) {
+	const sql = db.IS_POSTGRES ? 'SELECT stages FROM turn_journal WHERE conversation_id = $1 AND turn_id = $2' : 'SELECT stages FROM turn_journal WHERE conversation_id = ? AND turn_id = ?';
+	const row = await db.queryOne(sql, [conversationId, turnId]);
+	return row ? JSON.parse(row.stages) : null;
+}
+
+/**
+ * Save (insert or update) the journal of an unfinished turn
+ * @param {string} conversationId - Conversation ID
+ * @param {string} turnId - Turn ID
+ * @param {Object} stages - Stage results by stage name
+ * @returns {Promise}
+ */
+async function saveTurnJournal(conversationId, turnId, stages) {
+	try {
+		const params = [conversationId, turnId, JSON.stringify(stages), new Date().toISOString()];
+
+		const sql = db.IS_POSTGRES
+			? `INSERT INTO turn_journal (conversation_id, turn_id, stages, updated_at)
+			   VALUES ($1, $2, $3, $4)
+			   ON CONFLICT (conversation_id, turn_id) DO UPDATE SET
+			   stages = EXCLUDED.stages,
+			   updated_at = EXCLUDED.updated_at`
+			: `INSERT OR REPLACE INTO turn_journal (conversation_id, turn_id, stages, updated_at)
+			   VALUES (?, ?, ?, ?)`;
+
+		await db.run(sql, params);
+	} catch (error) {
+		console.error(`❌ Failed to save journal for turn ${turnId}:`, error.message);
+		throw error;
+	}
+}
+
+/**
+ * Delete the journal of a turn (once it has been saved or abandoned)
+ * @param {string} conversationId - Conversation ID
+ * @param {string} turnId - Turn ID
+ * @returns {Promise}
+ */
+async function deleteTurnJournal(conversationId, turnId) {
+	const sql = db.IS_POSTGRES ? 'DELETE FROM turn_journal WHERE conversation_id = $1 AND turn_id = $2' : 'DELETE FROM turn_journal WHERE conversation_id = ? AND turn_id = ?';
+	await db.run(sql, [conversationId, turnId]);
+}
+
+/**
+ * List the journals of turns that were last touched before a time (abandoned turns)
+ * @param {string} before - ISO timestamp
+ * @returns {Promise<Array<{conversationId: string, turnId: string, stages: Object, updatedAt: string}>>}
+ */
+async function listTurnJournalsBefore(before) {
+	const sql = db.IS_POSTGRES ? 'SELECT * FROM turn_journal WHERE updated_at < $1' : 'SELECT * FROM turn_journal WHERE updated_at < ?';
+	const rows = await db.query(sql, [before]);
+	return rows.map((row) => ({
+		conversationId: row.conversation_id,
+		turnId: row.turn_id,
+		stages: JSON.parse(row.stages),
+		updatedAt: row.updated_at,
+	}));
+}
+
+/**
+ * List the journals of a conversation's unfinished turns
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array<{turnId: string, stages: Object, updatedAt: string}>>}
+ */
+async function listTurnJournals(conversationId) {
+	const sql = db.IS_POSTGRES ? 'SELECT * FROM turn_journal WHERE conversation_id = $1' : 'SELECT * FROM turn_journal WHERE conversation_id = ?';
+	const rows = await db.query(sql, [conversationId]);
+	return rows.map((row) => ({
+		turnId: row.turn_id,
+		stages: JSON.parse(row.stages),
+		updatedAt: row.updated_at,
+	}));
+}
+
+/**
+ * Get all schedules, oldest first
+ * @param {Object} [filter]
+ * @param {string} [filter.conversationId] - Only the schedules posting into this conversation
+ * @returns {Promise<Array>}
+ */
+async function getSchedules({ conversationId } = {}) {
+	try {
+		let rows;
+		if (conversationId) {
+			const sql = db.IS_POSTGRES ? 'SELECT * FROM schedules WHERE conversation_id = $1 ORDER BY created_at' : 'SELECT * FROM schedules WHERE conversation_id = ? ORDER BY created_at';
+			rows = await db.query(sql, [conversationId]);
+		} else {
+			rows = await db.query('SELECT * FROM schedules ORDER BY created_at');
+		}
+		return rows.map(rowToSchedule);
+	} catch (error) {
+		console.error('❌ Failed to get schedules:', error.message);
+		throw error;
+	}
+}
+
+/**
+ * Get a schedule by ID
+ * @param {string} id - Schedule ID
+ * @returns {Promise<Object>}
+ */
+async function getSchedule(id) {
+	const sql = db.IS_POSTGRES ? 'SELECT * FROM schedules WHERE id = $1' : 'SELECT * FROM schedules WHERE id = ?';
+	const row = await db.queryOne(sql, [id]);
+
+	if (!row) {
+		const err = new Error(`Schedule not found: ${id}`);
+		err.status = 404;
+		throw err;
+	}
+
+	return rowToSchedule(row);
+}
+
+/**
+ * Save (insert or update) a schedule
+ * @param {Object} schedule - Schedule object
+ * @returns {Promise}
+ */
+async function saveSchedule(schedule) {
+	try {
+		const params = [
+			schedule.id,
+			schedule.name ?? null,
+			schedule.voiceId,
+			schedule.conversationId,
+			schedule.cron,
+			schedule.timezone ?? null,
+			schedule.prompt,
+			schedule.enabled ? 1 : 0,
+			schedule.createdAt,
+			schedule.updatedAt,
+		];
+
+		const sql = db.IS_POSTGRES
+			? `INSERT INTO schedules (id, name, voice_id, conversation_id, cron, timezone, prompt, enabled, created_at, updated_at)
+			   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+			   ON CONFLICT (id) DO UPDATE SET
+			   name = EXCLUDED.name,
+			   voice_id = EXCLUDED.voice_id,
+			   conversation_id = EXCLUDED.conversation_id,
+			   cron = EXCLUDED.cron,
+			   timezone = EXCLUDED.timezone,
+			   prompt = EXCLUDED.prompt,
+			   enabled = EXCLUDED.enabled,
+			   created_at = EXCLUDED.created_at,
+			   updated_at = EXCLUDED.updated_at`
+			: `INSERT OR REPLACE INTO schedules (id, name, voice_id, conversation_id, cron, timezone, prompt, enabled, created_at, updated_at)
+			   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+		await db.run(sql, params);
+	} catch (error) {
+		console.error(`❌ Failed to save schedule ${schedule.id}:`, error.message);
+		throw error;
+	}
+}
+
+/**
+ * Delete a schedule and its run history
+ * @param {string} id - Schedule ID
+ * @returns {Promise}
+ */
+async function deleteSchedule(id) {
+	await getSchedule(id); // Propagates 404
+
+	const runsSql = db.IS_POSTGRES ? 'DELETE FROM schedule_runs WHERE schedule_id = $1' : 'DELETE FROM schedule_runs WHERE schedule_id = ?';
+	await db.run(runsSql, [id]);
+	const sql = db.IS_POSTGRES ? 'DELETE FROM schedules WHERE id = $1' : 'DELETE FROM schedules WHERE id = ?';
+	await db.run(sql, [id]);
+	console.log(`✅ Deleted schedule ${id}`);
+}
+
+/**
+ * Delete all schedules of a voice and their run history
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise}
+ */
+async function deleteSchedulesForVoice(voiceId) {
+	const runsSql = db.IS_POSTGRES
+		? 'DELETE FROM schedule_runs WHERE schedule_id IN (SELECT id FROM schedules WHERE voice_id = $1)'
+		: 'DELETE FROM schedule_runs WHERE schedule_id IN (SELECT id FROM schedules WHERE voice_id = ?)';
+	await db.run(runsSql, [voiceId]);
+	const sql = db.IS_POSTGRES ? 'DELETE FROM schedules WHERE voice_id = $1' : 'DELETE FROM schedules WHERE voice_id = ?';
+	await db.run(sql, [voiceId]);
+}
+
+/**
+ * Get the run history of a schedule, newest first
+ * @param {string} scheduleId - Schedule ID
+ * @param {number} [limit=50] - Maximum number of runs
+ * @returns {Promise<Array>}
+ */
+async function getScheduleRuns(scheduleId, limit = 50) {
+	const sql = db.IS_POSTGRES
+		? 'SELECT * FROM schedule_runs WHERE schedule_id = $1 ORDER BY started_at DESC LIMIT $2'
+		: 'SELECT * FROM schedule_runs WHERE schedule_id = ? ORDER BY started_at DESC LIMIT ?';
+	const rows = await db.query(sql, [scheduleId, limit]);
+	return rows.map(rowToScheduleRun);
+}
+
+/**
+ * Save (insert or update) a schedule run
+ * @param {Object} run - Schedule run object
+ * @returns {Promise}
+ */
+async function saveScheduleRun(run) {
+	try {
+		const params = [run.id, run.scheduleId, run.status, run.messageId ?? null, run.error ?? null, run.startedAt, run.finishedAt ?? null];
+
+		const sql = db.IS_POSTGRES
+			? `INSERT INTO schedule_runs (id, schedule_id, status, message_id, error, started_at, finished_at)
+			   VALUES ($1, $2, $3, $4, $5, $6, $7)
+			   ON CONFLICT (id) DO UPDATE SET
+			   status = EXCLUDED.status,
+			   message_id = EXCLUDED.message_id,
+			   error = EXCLUDED.error,
+			   started_at = EXCLUDED.started_at,
+			   finished_at = EXCLUDED.finished_at`
+			: `INSERT OR REPLACE INTO schedule_runs (id, schedule_id, status, message_id, error, started_at, finished_at)
+			   VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+		await db.run(sql, params);
+	} catch (error) {
+		console.error(`❌ Failed to save run ${run.id} of schedule ${run.scheduleId}:`, error.message);
+		throw error;
+	}
+}
+
+/**
+ * Get the log of cleanup runs, newest first
+ * @param {number} [limit=50] - Maximum number of runs
+ * @returns {Promise<Array>}
+ */
+async function getCleanupLog(limit = 50) {
+	const sql = db.IS_POSTGRES ? 'SELECT * FROM cleanup_log ORDER BY started_at DESC LIMIT $1' : 'SELECT * FROM cleanup_log ORDER BY started_at DESC LIMIT ?';
+	const rows = await db.query(sql, [limit]);
+	return rows.map(rowToCleanupRun);
+}
+
+/**
+ * Record a cleanup run in the log
+ * @param {Object} run - Cleanup run object
+ * @returns {Promise}
+ */
+async function saveCleanupRun(run) {
+	try {
+		const params = [run.id, run.trigger, run.ageHours, JSON.stringify(run.removed), run.bytesFreed, run.error ?? null, run.startedAt, run.finishedAt];
+
+		const sql = db.IS_POSTGRES
+			? `INSERT INTO cleanup_log (id, trigger, age_hours, removed, bytes_freed, error, started_at, finished_at)
+			   VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`
+			: `INSERT INTO cleanup_log (id, trigger, age_hours, removed, bytes_freed, error, started_at, finished_at)
+			   VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+
+		await db.run(sql, params);
+	} catch (error) {
+		console.error(`❌ Failed to log cleanup run ${run.id}:`, error.message);
+		throw error;
+	}
+}
+
 module.exports = {
 	getVoices,
 	saveVoices,
 	getConversation,
 	saveConversation,
 	listConversations,
+	listConversationIdsWithFailedAudio,
 	deleteConversation,
+	backfillSearchIndex,
+	searchMessages,
+	getMemories,
+	getMemory,
+	saveMemory,
+	deleteMemory,
+	deleteMemoriesForVoice,
+	getDocuments,
+	getDocument,
+	saveDocument,
+	getDocumentChunks,
+	deleteDocument,
+	deleteDocumentsForVoice,
+	getTurnJournal,
+	saveTurnJournal,
+	deleteTurnJournal,
+	listTurnJournals,
+	listTurnJournalsBefore,
+	getSchedules,
+	getSchedule,
+	saveSchedule,
+	deleteSchedule,
+	deleteSchedulesForVoice,
+	getScheduleRuns,
+	saveScheduleRun,
+	getCleanupLog,
+	saveCleanupRun,
 };
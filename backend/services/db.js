@@ -18,12 +18,28 @@ if (IS_POSTGRES) {
 	dbDriver.pragma('journal_mode = WAL');
 }
 
+// Columns added after a table was first created; applied to existing databases on startup
+const COLUMN_MIGRATIONS = [
+	{ table: 'conversations', column: 'active_leaf_id', type: 'TEXT' },
+	{ table: 'conversations', column: 'summary', type: 'TEXT' },
+	{ table: 'conversations', column: 'speak_replies', type: 'INTEGER' },
+	{ table: 'conversations', column: 'participant_ids', type: 'TEXT' },
+	{ table: 'conversations', column: 'turn_policy', type: 'TEXT' },
+	{ table: 'conversations', column: 'pinned', type: 'INTEGER' },
+	{ table: 'conversations', column: 'retention', type: 'TEXT' },
+	{ table: 'conversations', column: 'last_activity_at', type: 'TEXT' },
+	{ table: 'conversations', column: 'archived', type: 'INTEGER' },
+	{ table: 'conversations', column: 'tags', type: 'TEXT' },
+];
+
 async function init() {
 	if (IS_POSTGRES) {
 		await createTablesPostgres();
+		await migrateColumnsPostgres();
 		console.log('✅ PostgreSQL database connected');
 	} else {
 		createTablesSqlite();
+		migrateColumnsSqlite();
 		console.log('✅ SQLite database initialised');
 	}
 }
@@ -43,9 +59,96 @@ async function createTablesPostgres() {
             title TEXT,
             active_language TEXT,
             active_llm_model TEXT,
+            active_leaf_id TEXT,
+            summary TEXT,
+            speak_replies INTEGER,
+            participant_ids TEXT,
+            turn_policy TEXT,
+            retention TEXT,
+            pinned INTEGER,
+            archived INTEGER,
+            tags TEXT,
             messages JSONB,
             created_at TEXT,
+            updated_at TEXT,
+            last_activity_at TEXT
+        )`,
+		`CREATE TABLE IF NOT EXISTS memories (
+            id TEXT PRIMARY KEY,
+            voice_id TEXT,
+            content TEXT,
+            conversation_id TEXT,
+            turn_id TEXT,
+            created_at TEXT,
+            updated_at TEXT
+        )`,
+		`CREATE INDEX IF NOT EXISTS memories_voice_id ON memories (voice_id)`,
+		`CREATE TABLE IF NOT EXISTS documents (
+            id TEXT PRIMARY KEY,
+            voice_id TEXT,
+            name TEXT,
+            content TEXT,
+            chunk_count INTEGER,
+            created_at TEXT
+        )`,
+		`CREATE INDEX IF NOT EXISTS documents_voice_id ON documents (voice_id)`,
+		`CREATE TABLE IF NOT EXISTS document_chunks (
+            id TEXT PRIMARY KEY,
+            document_id TEXT,
+            voice_id TEXT,
+            position INTEGER,
+            content TEXT,
+            embedding TEXT
+        )`,
+		`CREATE INDEX IF NOT EXISTS document_chunks_voice_id ON document_chunks (voice_id)`,
+		`CREATE TABLE IF NOT EXISTS message_search (
+            message_id TEXT PRIMARY KEY,
+            conversation_id TEXT,
+            role TEXT,
+            timestamp TEXT,
+            content TEXT,
+            search tsvector GENERATED ALWAYS AS (to_tsvector('simple', content)) STORED
+        )`,
+		`CREATE INDEX IF NOT EXISTS message_search_search ON message_search USING GIN (search)`,
+		`CREATE INDEX IF NOT EXISTS message_search_conversation_id ON message_search (conversation_id)`,
+		`CREATE TABLE IF NOT EXISTS turn_journal (
+            conversation_id TEXT,
+            turn_id TEXT,
+            stages TEXT,
+            updated_at TEXT,
+            PRIMARY KEY (conversation_id, turn_id)
+        )`,
+		`CREATE TABLE IF NOT EXISTS schedules (
+            id TEXT PRIMARY KEY,
+            name TEXT,
+            voice_id TEXT,
+            conversation_id TEXT,
+            cron TEXT,
+            timezone TEXT,
+            prompt TEXT,
+            enabled INTEGER,
+            created_at TEXT,
             updated_at TEXT
+        )`,
+		`CREATE TABLE IF NOT EXISTS schedule_runs (
+            id TEXT PRIMARY KEY,
+            schedule_id TEXT,
+            status TEXT,
+            message_id TEXT,
+            error TEXT,
+            started_at TEXT,
+            finished_at TEXT
+        )`,
+		`CREATE INDEX IF NOT EXISTS schedule_runs_schedule_id ON schedule_runs (schedule_id)`,
+		`CREATE TABLE IF NOT EXISTS cleanup_log (
+            id TEXT PRIMARY KEY,
+            trigger TEXT,
+            age_hours REAL,
+            removed TEXT,
+            bytes_freed INTEGER,
+            error TEXT,
+            started_at TEXT,
+            finished_at TEXT
         )`,
 		`CREATE TABLE IF NOT EXISTS settings (
             id INTEGER PRIMARY KEY CHECK(id=1),
@@ -78,9 +181,94 @@ function createTablesSqlite() {
             title TEXT,
             active_language TEXT,
             active_llm_model TEXT,
+            active_leaf_id TEXT,
+            summary TEXT,
+            speak_replies INTEGER,
+            participant_ids TEXT,
+            turn_policy TEXT,
+            retention TEXT,
+            pinned INTEGER,
+            archived INTEGER,
+            tags TEXT,
             messages TEXT,
             created_at TEXT,
+            updated_at TEXT,
+            last_activity_at TEXT
+        )`,
+		`CREATE TABLE IF NOT EXISTS memories (
+            id TEXT PRIMARY KEY,
+            voice_id TEXT,
+            content TEXT,
+            conversation_id TEXT,
+            turn_id TEXT,
+            created_at TEXT,
             updated_at TEXT
+        )`,
+		`CREATE INDEX IF NOT EXISTS memories_voice_id ON memories (voice_id)`,
+		`CREATE TABLE IF NOT EXISTS documents (
+            id TEXT PRIMARY KEY,
+            voice_id TEXT,
+            name TEXT,
+            content TEXT,
+            chunk_count INTEGER,
+            created_at TEXT
+        )`,
+		`CREATE INDEX IF NOT EXISTS documents_voice_id ON documents (voice_id)`,
+		`CREATE TABLE IF NOT EXISTS document_chunks (
+            id TEXT PRIMARY KEY,
+            document_id TEXT,
+            voice_id TEXT,
+            position INTEGER,
+            content TEXT,
+            embedding TEXT
+        )`,
+		`CREATE INDEX IF NOT EXISTS document_chunks_voice_id ON document_chunks (voice_id)`,
+		`CREATE VIRTUAL TABLE IF NOT EXISTS message_search USING fts5(
+            content,
+            message_id UNINDEXED,
+            conversation_id UNINDEXED,
+            role UNINDEXED,
+            timestamp UNINDEXED,
+            tokenize = 'unicode61 remove_diacritics 2'
+        )`,
+		`CREATE TABLE IF NOT EXISTS turn_journal (
+            conversation_id TEXT,
+            turn_id TEXT,
+            stages TEXT,
+            updated_at TEXT,
+            PRIMARY KEY (conversation_id, turn_id)
+        )`,
+		`CREATE TABLE IF NOT EXISTS schedules (
+            id TEXT PRIMARY KEY,
+            name TEXT,
+            voice_id TEXT,
+            conversation_id TEXT,
+            cron TEXT,
+            timezone TEXT,
+            prompt TEXT,
+            enabled INTEGER,
+            created_at TEXT,
+            updated_at TEXT
+        )`,
+		`CREATE TABLE IF NOT EXISTS schedule_runs (
+            id TEXT PRIMARY KEY,
+            schedule_id TEXT,
+            status TEXT,
+            message_id TEXT,
+            error TEXT,
+            started_at TEXT,
+            finished_at TEXT
+        )`,
+		`CREATE INDEX IF NOT EXISTS schedule_runs_schedule_id ON schedule_runs (schedule_id)`,
+		`CREATE TABLE IF NOT EXISTS cleanup_log (
+            id TEXT PRIMARY KEY,
+            trigger TEXT,
+            age_hours REAL,
+            removed TEXT,
+            bytes_freed INTEGER,
+            error TEXT,
+            started_at TEXT,
+            finished_at TEXT
         )`,
 		`CREATE TABLE IF NOT EXISTS settings (
             id INTEGER PRIMARY KEY CHECK(id=1),
@@ -97,6 +285,21 @@ function createTablesSqlite() {
 	}
 }
 
+async function migrateColumnsPostgres() {
+	for (const { table, column, type } of COLUMN_MIGRATIONS) {
+		await dbDriver.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${type}`);
+	}
+}
+
+function migrateColumnsSqlite() {
+	for (const { table, column, type } of COLUMN_MIGRATIONS) {
+		const columns = dbDriver.prepare(`PRAGMA table_info(${table})`).all();
+		if (!columns.some((c) => c.name === column)) {
+			dbDriver.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`).run();
+		}
+	}
+}
+
 async function query(sql, params = []) {
 	if (IS_POSTGRES) {
 		const result = await dbDriver.query(sql, params);
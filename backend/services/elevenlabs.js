@@ -5,6 +5,8 @@
 
 const axios = require('axios');
 const FormData = require('form-data');
+const ttsCache = require('./ttsCache');
+const mp3 = require('./mp3');
 
 // ElevenLabs Configuration
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
@@ -13,6 +15,15 @@ const ELEVENLABS_BASE_URL = 'https://api.elevenlabs.io/v1';
 // API timeout (60 seconds as per spec)
 const API_TIMEOUT = 60000;
 
+// Number of sentence TTS requests kept in flight ahead of playback
+const SENTENCE_TTS_CONCURRENCY = 2;
+
+// Characters per TTS request (ElevenLabs supports ~5000; 4500 gives a safe margin). Longer text is split.
+const MAX_TTS_CHARS = 4500;
+
+// Characters of neighbouring text sent as previous_text/next_text when long text is split
+const STITCH_CONTEXT_CHARS = 500;
+
 // Validate configuration
 if (!ELEVENLABS_API_KEY) {
 	console.warn('⚠️  ElevenLabs API key not configured. Set ELEVENLABS_API_KEY in .env');
@@ -144,10 +155,14 @@ async function createVoiceClone(name, audioFiles) {
 }
 
 /**
- * Generate speech using a voice ID
+ * Generate speech using a voice ID.
+ * Text longer than one request allows is split at paragraph or sentence boundaries; the parts are
+ * synthesized with their neighbours as previous_text/next_text (request stitching) so prosody stays
+ * consistent, and their MP3 frames are joined into one file.
  * @param {string} voiceId - The voice ID from createVoiceClone
  * @param {string} text - Text to convert to speech
  * @param {Object} options - Optional TTS options
+ * @param {AbortSignal} [options.signal] - Aborts the request(s)
  * @returns {Promise<Buffer>} - Audio buffer (MP3)
  */
 async function generateSpeech(voiceId, text, options = {}) {
@@ -163,11 +178,43 @@ async function generateSpeech(voiceId, text, options = {}) {
 		throw new Error('Text is required for speech generation');
 	}
 
-	// Check text length (ElevenLabs supports ~5000 chars per request; 4500 gives a safe margin for LLM responses that exceed the old 2500-char limit)
-	if (text.length > 4500) {
-		throw new Error('Text exceeds maximum length of 4500 characters');
+	const { signal, ...ttsOptions } = options;
+	if (text.trim().length <= MAX_TTS_CHARS) {
+		return requestSpeech(voiceId, text, ttsOptions, signal);
+	}
+
+	const parts = splitForSpeech(text, MAX_TTS_CHARS);
+	console.log(`🔊 Splitting ${text.length} chars into ${parts.length} TTS requests`);
+
+	// One request at a time keeps long replies from tripping the concurrency limit
+	const frames = [];
+	for (let i = 0; i < parts.length; i++) {
+		const audioBuffer = await requestSpeech(
+			voiceId,
+			parts[i],
+			{
+				...ttsOptions,
+				...(i > 0 && { previous_text: parts[i - 1].slice(-STITCH_CONTEXT_CHARS) }),
+				...(i < parts.length - 1 && { next_text: parts[i + 1].slice(0, STITCH_CONTEXT_CHARS) }),
+			},
+			signal
+		);
+		// Drop each part's ID3 tag and VBR info frame, which describe only that part
+		frames.push(mp3.readFrames(audioBuffer).frames);
 	}
 
+	return Buffer.concat(frames);
+}
+
+/**
+ * Make a single TTS request (text must fit within MAX_TTS_CHARS)
+ * @param {string} voiceId - The voice ID from createVoiceClone
+ * @param {string} text - Text to convert to speech
+ * @param {Object} options - Optional TTS options
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<Buffer>} - Audio buffer (MP3)
+ */
+async function requestSpeech(voiceId, text, options, signal) {
 	const defaultOptions = {
 		model_id: process.env.ELEVENLABS_TTS_MODEL || 'eleven_multilingual_v2',
 		voice_settings: {
@@ -182,6 +229,14 @@ async function generateSpeech(voiceId, text, options = {}) {
 		...options,
 	};
 
+	// Phrases that were spoken before in the same voice and settings are not paid for again
+	const cacheKey = ttsCache.getKey(voiceId, requestBody);
+	const cachedAudio = ttsCache.get(cacheKey, requestBody.text.length);
+	if (cachedAudio) {
+		console.log(`♻️ TTS cache hit (${requestBody.text.length} chars saved) for voice ${voiceId}`);
+		return cachedAudio;
+	}
+
 	try {
 		console.log(`🔊 Generating speech (${text.length} chars) with voice ${voiceId}...`);
 
@@ -191,11 +246,13 @@ async function generateSpeech(voiceId, text, options = {}) {
 				Accept: 'audio/mpeg',
 				'xi-api-key': ELEVENLABS_API_KEY,
 			},
+			signal,
 		});
 
 		const audioBuffer = Buffer.from(response.data);
 		console.log(`✅ Speech generated: ${audioBuffer.length} bytes`);
 
+		ttsCache.set(cacheKey, audioBuffer);
 		return audioBuffer;
 	} catch (error) {
 		console.error('❌ Speech generation failed:', error.message);
@@ -241,13 +298,150 @@ async function generateSpeech(voiceId, text, options = {}) {
 	}
 }
 
+/**
+ * Split text into sentences for incremental speech generation
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Non-empty sentences in order
+ */
+function splitIntoSentences(text) {
+	if (!text) return [];
+
+	// Break after terminal punctuation followed by whitespace (so "3.5" stays intact),
+	// after CJK full stops, and at line breaks
+	return text
+		.split(/(?<=[.!?…]["'”’)\]]*)\s+|(?<=[。！？])|\n+/)
+		.map((sentence) => sentence.trim())
+		.filter((sentence) => sentence.length > 0);
+}
+
+/**
+ * Split text at word boundaries into pieces of at most maxLength characters
+ * (words longer than that are cut)
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum piece length
+ * @returns {Array<string>}
+ */
+function splitAtWords(text, maxLength) {
+	const pieces = [];
+	let current = '';
+
+	for (const word of text.split(/\s+/).filter(Boolean)) {
+		if (current && current.length + 1 + word.length <= maxLength) {
+			current += ' ' + word;
+			continue;
+		}
+		if (current) pieces.push(current);
+
+		current = word;
+		while (current.length > maxLength) {
+			pieces.push(current.slice(0, maxLength));
+			current = current.slice(maxLength);
+		}
+	}
+	if (current) pieces.push(current);
+
+	return pieces;
+}
+
+/**
+ * Split long text into parts of at most maxLength characters for separate TTS requests,
+ * packing whole paragraphs where possible, then whole sentences, then words
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Maximum part length
+ * @returns {Array<string>} - Non-empty parts in order
+ */
+function splitForSpeech(text, maxLength) {
+	const parts = [];
+	let current = '';
+
+	const add = (piece, separator) => {
+		if (current && current.length + separator.length + piece.length <= maxLength) {
+			current += separator + piece;
+			return;
+		}
+		if (current) parts.push(current);
+		current = piece;
+	};
+
+	const paragraphs = text
+		.split(/\n\s*\n/)
+		.map((paragraph) => paragraph.trim())
+		.filter((paragraph) => paragraph.length > 0);
+
+	for (const paragraph of paragraphs) {
+		if (paragraph.length <= maxLength) {
+			add(paragraph, '\n\n');
+			continue;
+		}
+
+		splitIntoSentences(paragraph)
+			.flatMap((sentence) => (sentence.length <= maxLength ? [sentence] : splitAtWords(sentence, maxLength)))
+			.forEach((piece, index) => add(piece, index === 0 ? '\n\n' : ' '));
+	}
+	if (current) parts.push(current);
+
+	return parts;
+}
+
+/**
+ * Generate speech sentence by sentence so the first sentence is playable early.
+ * Requests run ahead of playback (up to SENTENCE_TTS_CONCURRENCY at a time) while
+ * chunks are delivered strictly in order. Neighbouring sentences are sent as
+ * previous_text/next_text so prosody stays continuous across chunk boundaries.
+ * @param {string} voiceId - The voice ID from createVoiceClone
+ * @param {string} text - Text to convert to speech
+ * @param {Function} onChunk - Called with (index, buffer) for each sentence, in order
+ * @param {Object} options - Optional TTS options (options.signal aborts the requests)
+ * @returns {Promise<Buffer>} - The MP3 frames of all sentence chunks joined into one file
+ */
+async function generateSpeechBySentence(voiceId, text, onChunk, options = {}) {
+	const sentences = splitIntoSentences(text);
+	if (sentences.length === 0) {
+		throw new Error('Text is required for speech generation');
+	}
+
+	const launch = (i) => {
+		const request = generateSpeech(voiceId, sentences[i], {
+			...options,
+			...(i > 0 && { previous_text: sentences[i - 1] }),
+			...(i < sentences.length - 1 && { next_text: sentences[i + 1] }),
+		});
+		// Failures are surfaced when the chunk is awaited in order below
+		request.catch(() => {});
+		return request;
+	};
+
+	const pending = [];
+	for (let i = 0; i < Math.min(SENTENCE_TTS_CONCURRENCY, sentences.length); i++) {
+		pending[i] = launch(i);
+	}
+
+	const frames = [];
+	for (let i = 0; i < sentences.length; i++) {
+		const buffer = await pending[i];
+		const nextIndex = i + SENTENCE_TTS_CONCURRENCY;
+		if (nextIndex < sentences.length) {
+			pending[nextIndex] = launch(nextIndex);
+		}
+
+		// Chunks are played on their own, so they keep their headers; the joined file drops each
+		// chunk's ID3 tag and VBR info frame, which describe only that chunk
+		frames.push(mp3.readFrames(buffer).frames);
+		await onChunk(i, buffer);
+	}
+
+	return Buffer.concat(frames);
+}
+
 /**
  * Transcribe speech to text using ElevenLabs Speech-to-Text
  * @param {Buffer} audioBuffer - Audio buffer to transcribe
  * @param {string} mimeType - MIME type of audio (e.g., 'audio/webm', 'audio/mp3')
+ * @param {Object} options - Optional parameters
+ * @param {AbortSignal} [options.signal] - Aborts the request
  * @returns {Promise<{text: string, languageCode: string}>} - Transcribed text and language code
  */
-async function transcribeSpeech(audioBuffer, mimeType) {
+async function transcribeSpeech(audioBuffer, mimeType, options = {}) {
 	if (!isConfigured()) {
 		throw new Error('ElevenLabs API key not configured');
 	}
@@ -259,7 +453,7 @@ async function transcribeSpeech(audioBuffer, mimeType) {
 	try {
 		const formData = new FormData();
 		formData.append('file', audioBuffer, {
-			filename: 'audio.webm',
+			filename: mimeType === 'audio/wav' ? 'audio.wav' : 'audio.webm',
 			contentType: mimeType,
 		});
 		formData.append('model_id', process.env.ELEVENLABS_STT_MODEL || 'scribe_v1');
@@ -271,6 +465,7 @@ async function transcribeSpeech(audioBuffer, mimeType) {
 				...formData.getHeaders(),
 				'xi-api-key': ELEVENLABS_API_KEY,
 			},
+			signal: options.signal,
 		});
 
 		const text = response.data.text;
@@ -395,6 +590,8 @@ module.exports = {
 	isConfigured,
 	createVoiceClone,
 	generateSpeech,
+	generateSpeechBySentence,
+	splitIntoSentences,
 	transcribeSpeech,
 	getVoices,
 	deleteVoiceClone,
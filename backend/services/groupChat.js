@@ -0,0 +1,103 @@
+/**
+ * Group Chat Service
+ * Conversations with several personas at once (conversation.participantIds). Each turn is answered
+ * by one participant: the one the user addresses by name, otherwise whoever the conversation's
+ * turn-taking policy (conversation.turnPolicy) picks. Replies record who spoke in their voiceId,
+ * and the conversation's voiceId is whoever spoke last.
+ */
+
+// Turn-taking policies for turns that address nobody by name
+const TURN_POLICIES = {
+	rotate: 'Participants take turns, in the order they joined',
+	sticky: 'Whoever spoke last keeps answering until someone else is addressed',
+};
+
+const DEFAULT_TURN_POLICY = 'rotate';
+
+/**
+ * Check whether a conversation is a group conversation
+ * @param {Object} conversation - Conversation object
+ * @returns {boolean}
+ */
+function isGroup(conversation) {
+	return Array.isArray(conversation.participantIds) && conversation.participantIds.length > 1;
+}
+
+/**
+ * Get the participants of a group conversation that still exist, in the order they joined
+ * @param {Object} conversation - Conversation object
+ * @param {Array} voices - All voices
+ * @returns {Array} Voice records
+ */
+function getParticipants(conversation, voices) {
+	return conversation.participantIds.map((id) => voices.find((v) => v.id === id)).filter(Boolean);
+}
+
+/**
+ * Find the participant the user addresses by name (the earliest name mentioned wins)
+ * @param {Array} participants - Participant voices
+ * @param {string} text - User message
+ * @returns {Object|null} Voice record
+ */
+function findAddressedVoice(participants, text) {
+	let addressed = null;
+	let addressedAt = Infinity;
+
+	for (const voice of participants) {
+		const escapedName = voice.name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		if (!escapedName) continue;
+
+		const match = new RegExp(`(^|[^\\p{L}\\p{N}])${escapedName}(?![\\p{L}\\p{N}])`, 'iu').exec(text);
+		if (match && match.index < addressedAt) {
+			addressed = voice;
+			addressedAt = match.index;
+		}
+	}
+
+	return addressed;
+}
+
+/**
+ * Choose which participant answers a turn
+ * @param {Object} conversation - Conversation object
+ * @param {Array} participants - Participant voices
+ * @param {string} userText - User message
+ * @param {Array} historyPath - Messages before the user message, oldest first
+ * @returns {Object} Voice record
+ */
+function chooseResponder(conversation, participants, userText, historyPath) {
+	const addressed = findAddressedVoice(participants, userText);
+	if (addressed) return addressed;
+
+	const lastReply = historyPath.findLast((m) => m.role === 'assistant' && m.voiceId);
+	const lastIndex = lastReply ? participants.findIndex((v) => v.id === lastReply.voiceId) : -1;
+	if (lastIndex === -1) return participants[0];
+	if (conversation.turnPolicy === 'sticky') return participants[lastIndex];
+
+	return participants[(lastIndex + 1) % participants.length];
+}
+
+/**
+ * Tell a participant who else is in the conversation and how their lines appear in the history
+ * @param {Object} voice - Responding voice
+ * @param {Array} participants - Participant voices
+ * @returns {string}
+ */
+function buildGroupInstruction(voice, participants) {
+	const others = participants.filter((v) => v.id !== voice.id).map((v) => v.name);
+	return (
+		`You are ${voice.name}, in a group conversation with the user and ${others.join(', ')}. ` +
+		`Earlier lines by the others start with their name, like "${others[0]}: …". ` +
+		`Reply only as ${voice.name}, without a name prefix, and never speak for the others.`
+	);
+}
+
+module.exports = {
+	TURN_POLICIES,
+	DEFAULT_TURN_POLICY,
+	isGroup,
+	getParticipants,
+	findAddressedVoice,
+	chooseResponder,
+	buildGroupInstruction,
+};
@@ -0,0 +1,322 @@
+/**
+ * Knowledge Base Service
+ * Keeps documents (letters, diaries, recipes, stories) per voice, split into passages,
+ * and finds the passages most relevant to what the user just said.
+ *
+ * Retrieval is local: BM25 keyword scoring by default, or cosine similarity of embeddings
+ * from the Ollama endpoint when KNOWLEDGE_EMBED_MODEL is set.
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+
+// Embeddings configuration (optional)
+const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+const KNOWLEDGE_EMBED_MODEL = process.env.KNOWLEDGE_EMBED_MODEL;
+
+// Target passage length in characters; paragraphs are kept together where possible
+const CHUNK_SIZE = 1000;
+
+// Passages injected into the system prompt per turn
+const MAX_PROMPT_PASSAGES = 3;
+
+// Embedding matches below this cosine similarity are not worth injecting
+const MIN_EMBEDDING_SIMILARITY = 0.35;
+
+// Texts sent to the embeddings endpoint per request
+const EMBED_BATCH_SIZE = 32;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Common English words that would otherwise match every passage
+const STOPWORDS = new Set([
+	'a', 'about', 'after', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can',
+	'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if',
+	'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the',
+	'their', 'them', 'then', 'there', 'they', 'this', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'where',
+	'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+]);
+
+// BM25 indexes per voice, rebuilt after the voice's documents change
+const indexes = new Map();
+
+/**
+ * Split a long paragraph into pieces of at most CHUNK_SIZE characters, at sentence ends where possible
+ * @param {string} paragraph - Paragraph text
+ * @returns {Array<string>}
+ */
+function splitParagraph(paragraph) {
+	const sentences = paragraph.match(/[^.!?。！？]+[.!?。！？]*\s*/g) || [paragraph];
+	const pieces = [];
+	let current = '';
+
+	for (const sentence of sentences) {
+		if (current && current.length + sentence.length > CHUNK_SIZE) {
+			pieces.push(current.trim());
+			current = '';
+		}
+		current += sentence;
+	}
+	if (current.trim()) pieces.push(current.trim());
+
+	// A single sentence longer than a chunk is cut at the chunk size
+	return pieces.flatMap((piece) => {
+		const parts = [];
+		for (let i = 0; i < piece.length; i += CHUNK_SIZE) {
+			parts.push(piece.slice(i, i + CHUNK_SIZE));
+		}
+		return parts;
+	});
+}
+
+/**
+ * Split a document into passages of up to CHUNK_SIZE characters, packing whole paragraphs together
+ * @param {string} text - Document text
+ * @returns {Array<string>}
+ */
+function chunkText(text) {
+	const paragraphs = text
+		.replace(/\r\n/g, '\n')
+		.split(/\n\s*\n/)
+		.map((p) => p.trim())
+		.filter(Boolean);
+	const pieces = paragraphs.flatMap((p) => (p.length <= CHUNK_SIZE ? [p] : splitParagraph(p)));
+
+	const chunks = [];
+	let current = '';
+	for (const piece of pieces) {
+		if (current && current.length + piece.length + 2 > CHUNK_SIZE) {
+			chunks.push(current);
+			current = '';
+		}
+		current = current ? current + '\n\n' + piece : piece;
+	}
+	if (current) chunks.push(current);
+
+	return chunks;
+}
+
+/**
+ * Lower-case word tokens of a text, without stopwords
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+	return ((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((t) => !STOPWORDS.has(t));
+}
+
+/**
+ * Embed texts with the configured Ollama embeddings model
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function embed(texts) {
+	const vectors = [];
+	for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+		const response = await axios.post(
+			`${OLLAMA_BASE_URL}/api/embed`,
+			{ model: KNOWLEDGE_EMBED_MODEL, input: texts.slice(i, i + EMBED_BATCH_SIZE) },
+			{ timeout: 60000 }
+		);
+		vectors.push(...response.data.embeddings);
+	}
+	return vectors;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+	let dot = 0;
+	let normA = 0;
+	let normB = 0;
+	for (let i = 0; i < a.length; i++) {
+		dot += a[i] * b[i];
+		normA += a[i] * a[i];
+		normB += b[i] * b[i];
+	}
+	return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Load (or reuse) the BM25 index of a voice's passages
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise<{entries: Array, docFreq: Map, avgLength: number}>}
+ */
+async function getIndex(voiceId) {
+	if (indexes.has(voiceId)) return indexes.get(voiceId);
+
+	const chunks = await dataStore.getDocumentChunks(voiceId);
+	const entries = chunks.map((chunk) => {
+		const terms = tokenize(chunk.content);
+		const termFreq = new Map();
+		terms.forEach((t) => termFreq.set(t, (termFreq.get(t) || 0) + 1));
+		return { chunk, termFreq, length: terms.length };
+	});
+
+	const docFreq = new Map();
+	entries.forEach((entry) => {
+		for (const term of entry.termFreq.keys()) {
+			docFreq.set(term, (docFreq.get(term) || 0) + 1);
+		}
+	});
+	const avgLength = entries.reduce((total, e) => total + e.length, 0) / (entries.length || 1);
+
+	const index = { entries, docFreq, avgLength };
+	indexes.set(voiceId, index);
+	return index;
+}
+
+/**
+ * Score passages against a query with BM25
+ * @param {Object} index - Index from getIndex
+ * @param {string} query - Query text
+ * @returns {Array<{chunk: Object, score: number}>} Passages sharing at least one term with the query
+ */
+function scoreKeywords(index, query) {
+	const terms = [...new Set(tokenize(query))];
+	const count = index.entries.length;
+
+	return index.entries
+		.map(({ chunk, termFreq, length }) => {
+			let score = 0;
+			for (const term of terms) {
+				const tf = termFreq.get(term);
+				if (!tf) continue;
+				const df = index.docFreq.get(term);
+				const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+				score += (idf * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + (BM25_B * length) / (index.avgLength || 1)));
+			}
+			return { chunk, score };
+		})
+		.filter((r) => r.score > 0);
+}
+
+/**
+ * Score passages against a query by embedding similarity
+ * @param {Object} index - Index from getIndex (every passage embedded with the configured model)
+ * @param {string} query - Query text
+ * @returns {Promise<Array<{chunk: Object, score: number}>>}
+ */
+async function scoreEmbeddings(index, query) {
+	const [queryVector] = await embed([query]);
+	return index.entries
+		.map(({ chunk }) => ({ chunk, score: cosineSimilarity(queryVector, chunk.embedding.vector) }))
+		.filter((r) => r.score >= MIN_EMBEDDING_SIMILARITY);
+}
+
+/**
+ * Find the passages of a voice's documents most relevant to a query
+ * @param {string} voiceId - Voice ID
+ * @param {string} query - What the user said
+ * @returns {Promise<Array<{chunkId: string, documentId: string, documentName: string, content: string, score: number}>>}
+ *   Best passages first, at most MAX_PROMPT_PASSAGES
+ */
+async function retrieve(voiceId, query) {
+	const index = await getIndex(voiceId);
+	if (index.entries.length === 0 || !(query || '').trim()) return [];
+
+	// Embeddings only when every passage was embedded with the current model
+	let results = null;
+	if (KNOWLEDGE_EMBED_MODEL && index.entries.every((e) => e.chunk.embedding?.model === KNOWLEDGE_EMBED_MODEL)) {
+		try {
+			results = await scoreEmbeddings(index, query);
+		} catch (error) {
+			console.warn(`⚠️ Embedding search failed, using keyword search: ${error.message}`);
+		}
+	}
+	if (!results) {
+		results = scoreKeywords(index, query);
+	}
+
+	return results
+		.sort((a, b) => b.score - a.score)
+		.slice(0, MAX_PROMPT_PASSAGES)
+		.map(({ chunk, score }) => ({
+			chunkId: chunk.id,
+			documentId: chunk.documentId,
+			documentName: chunk.documentName,
+			content: chunk.content,
+			score,
+		}));
+}
+
+/**
+ * Add a document to a voice's knowledge base
+ * @param {string} voiceId - Voice ID
+ * @param {Object} input - Document input
+ * @param {string} input.name - Display name (e.g. file name)
+ * @param {string} input.text - Document text
+ * @returns {Promise<Object>} Stored document (without its text)
+ * @throws {Error} 400 if the document has no text
+ */
+async function addDocument(voiceId, { name, text }) {
+	const passages = chunkText(text || '');
+	if (passages.length === 0) {
+		const err = new Error('Document has no text');
+		err.status = 400;
+		throw err;
+	}
+
+	// Embed when configured; a failure only costs the document its semantic search
+	let vectors = null;
+	if (KNOWLEDGE_EMBED_MODEL) {
+		try {
+			vectors = await embed(passages);
+		} catch (error) {
+			console.warn(`⚠️ Failed to embed document ${name}, using keyword search: ${error.message}`);
+		}
+	}
+
+	const document = {
+		id: uuidv4(),
+		voiceId,
+		name,
+		content: text,
+		createdAt: new Date().toISOString(),
+	};
+	const chunks = passages.map((content, i) => ({
+		id: uuidv4(),
+		content,
+		embedding: vectors ? { model: KNOWLEDGE_EMBED_MODEL, vector: vectors[i] } : null,
+	}));
+
+	await dataStore.saveDocument(document, chunks);
+	indexes.delete(voiceId);
+	console.log(`📚 Added document ${name} to voice ${voiceId} (${chunks.length} passages)`);
+
+	return { id: document.id, voiceId, name, chunkCount: chunks.length, createdAt: document.createdAt };
+}
+
+/**
+ * Remove a document from its voice's knowledge base
+ * @param {Object} document - Document to remove
+ * @returns {Promise}
+ */
+async function deleteDocument(document) {
+	await dataStore.deleteDocument(document.id);
+	indexes.delete(document.voiceId);
+}
+
+/**
+ * Remove a voice's whole knowledge base
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise}
+ */
+async function deleteVoiceDocuments(voiceId) {
+	await dataStore.deleteDocumentsForVoice(voiceId);
+	indexes.delete(voiceId);
+}
+
+module.exports = {
+	retrieve,
+	addDocument,
+	deleteDocument,
+	deleteVoiceDocuments,
+};
@@ -4,6 +4,7 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { runToolLoop, isToolsUnsupportedError, markToolsUnsupported } = require('./tools');
 
 // Gemini Configuration
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
@@ -24,9 +25,14 @@ function isConfigured() {
 /**
  * Chat with Gemini
  * @param {Array<{role: string, content: string}>} messages - Array of messages
+ * @param {Object} options - Optional parameters
+ * @param {Function} [options.onToken] - Stream the reply, passing each text delta to this callback
+ * @param {Array} [options.tools] - Tool definitions the model may call (see ./tools)
+ * @param {Function} [options.onToolCall] - Called with (name, args) for each tool call; returns the result text
+ * @param {AbortSignal} [options.signal] - Aborts the request
  * @returns {Promise<string>} - Response content
  */
-async function chat(messages) {
+async function chat(messages, options = {}) {
 	if (!isConfigured()) {
 		throw new Error('Gemini API key not configured');
 	}
@@ -75,6 +81,7 @@ async function chat(messages) {
 		const model = genAI.getGenerativeModel({
 			model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
 			systemInstruction: systemInstruction,
+			...(options.tools && { tools: [{ functionDeclarations: options.tools }] }),
 		});
 
 		// Start chat and send message
@@ -82,15 +89,57 @@ async function chat(messages) {
 			history: history,
 		});
 
-		const result = await chatInstance.sendMessage(lastMessage);
-		const response = await result.response;
-		const content = response.text();
+		// One request in the chat session; tool results are sent back as function responses.
+		// Tools are declared for the whole session, so the final round continues the chat in a session
+		// with function calling turned off, which makes the model answer in text.
+		const sendRound = async (allowTools, previousResults = []) => {
+			const request = previousResults.length > 0 ? previousResults.map(({ call, result }) => ({ functionResponse: { name: call.name, response: { result } } })) : lastMessage;
+			const session =
+				allowTools || !options.tools
+					? chatInstance
+					: model.startChat({ history: await chatInstance.getHistory(), toolConfig: { functionCallingConfig: { mode: 'NONE' } } });
+
+			let content = '';
+			let functionCalls = [];
+			if (options.onToken) {
+				const streamResult = await session.sendMessageStream(request, { signal: options.signal });
+				for await (const chunk of streamResult.stream) {
+					const delta = chunk.text();
+					if (delta) {
+						content += delta;
+						options.onToken(delta);
+					}
+					functionCalls.push(...(chunk.functionCalls() || []));
+				}
+				// Wait for the aggregated response so the session history includes this round
+				await streamResult.response;
+			} else {
+				const result = await session.sendMessage(request, { signal: options.signal });
+				const response = await result.response;
+				content = response.text();
+				functionCalls = response.functionCalls() || [];
+			}
+
+			return { content, toolCalls: functionCalls.map((c) => ({ name: c.name, args: c.args || {} })) };
+		};
+
+		if (options.tools) {
+			const content = await runToolLoop(options.onToolCall, sendRound);
+			console.log('✅ Gemini response received');
 
-		console.log('✅ Gemini response received');
+			return content;
+		}
+
+		const { content } = await sendRound(false);
+		console.log(options.onToken ? '✅ Gemini stream complete' : '✅ Gemini response received');
 
 		return content;
 	} catch (error) {
 		console.error('❌ Gemini chat failed:', error.message);
+
+		if (options.tools && isToolsUnsupportedError(error.status, error.message)) {
+			throw markToolsUnsupported(new Error(`❌ Gemini: model does not support tools (${error.message})`));
+		}
 		throw new Error(`❌ Gemini chat failed: ${error.message}`);
 	}
 }
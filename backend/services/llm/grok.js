@@ -4,6 +4,7 @@
  */
 
 const axios = require('axios');
+const { toOpenAiTools, parseToolArguments, accumulateToolCallDeltas, runToolLoop, isToolsUnsupportedError, markToolsUnsupported } = require('./tools');
 
 // Grok Configuration
 const GROK_API_KEY = process.env.GROK_API_KEY;
@@ -21,12 +22,88 @@ function isConfigured() {
 	return !!GROK_API_KEY;
 }
 
+/**
+ * Read a streamed chat completion (SSE "data:" lines) and forward each text delta
+ * @param {Stream} stream - Axios response stream
+ * @param {Function} onToken - Callback for each text delta
+ * @returns {Promise<{content: string, toolCalls: Array}>} - Full response content and raw tool calls
+ */
+async function readCompletionStream(stream, onToken) {
+	let content = '';
+	let buffer = '';
+	const toolCalls = [];
+
+	for await (const chunk of stream) {
+		buffer += chunk.toString('utf-8');
+		const lines = buffer.split('\n');
+		buffer = lines.pop();
+
+		for (const line of lines) {
+			const trimmed = line.trim();
+			if (!trimmed.startsWith('data:')) continue;
+
+			const payload = trimmed.slice(5).trim();
+			if (payload === '[DONE]') return { content, toolCalls };
+
+			try {
+				const delta = JSON.parse(payload).choices?.[0]?.delta;
+				if (delta?.content) {
+					content += delta.content;
+					onToken(delta.content);
+				}
+				if (delta?.tool_calls) {
+					accumulateToolCallDeltas(toolCalls, delta.tool_calls);
+				}
+			} catch (e) {
+				// Ignore keep-alive or partial lines
+			}
+		}
+	}
+
+	return { content, toolCalls };
+}
+
+/**
+ * Send one chat completion request, streaming it when onToken is set
+ * @param {Object} body - Request body (model, messages, tools)
+ * @param {Function} [onToken] - Callback for each text delta
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<{content: string, toolCalls: Array}>} - Reply text and raw tool calls
+ */
+async function createCompletion(body, onToken, signal) {
+	const streaming = !!onToken;
+	const response = await axios.post(
+		'https://api.x.ai/v1/chat/completions',
+		{ ...body, stream: streaming },
+		{
+			headers: {
+				Authorization: `Bearer ${GROK_API_KEY}`,
+				'Content-Type': 'application/json',
+			},
+			responseType: streaming ? 'stream' : 'json',
+			signal,
+		}
+	);
+
+	if (streaming) {
+		return readCompletionStream(response.data, onToken);
+	}
+
+	const message = response.data.choices[0].message;
+	return { content: message.content || '', toolCalls: message.tool_calls || [] };
+}
+
 /**
  * Chat with Grok
  * @param {Array<{role: string, content: string}>} messages - Array of messages
+ * @param {Object} options - Optional parameters
+ * @param {Function} [options.onToken] - Stream the reply, passing each text delta to this callback
+ * @param {Array} [options.tools] - Tool definitions the model may call (see ./tools)
+ * @param {Function} [options.onToolCall] - Called with (name, args) for each tool call; returns the result text
+ * @param {AbortSignal} [options.signal] - Aborts the request
  * @returns {Promise<string>} - Response content
  */
-async function chat(messages) {
+async function chat(messages, options = {}) {
 	if (!isConfigured()) {
 		throw new Error('Grok API key not configured');
 	}
@@ -34,22 +111,34 @@ async function chat(messages) {
 	try {
 		console.log('🤖 Sending request to Grok...');
 
-		const response = await axios.post(
-			'https://api.x.ai/v1/chat/completions',
-			{
-				model: process.env.GROK_MODEL || 'grok-3',
-				messages: messages,
-			},
-			{
-				headers: {
-					Authorization: `Bearer ${GROK_API_KEY}`,
-					'Content-Type': 'application/json',
-				},
-			}
-		);
+		const model = process.env.GROK_MODEL || 'grok-3';
+
+		if (options.tools) {
+			const history = [...messages];
+			const tools = toOpenAiTools(options.tools);
+
+			const content = await runToolLoop(options.onToolCall, async (allowTools, previousResults) => {
+				for (const { call, result } of previousResults) {
+					history.push({ role: 'tool', tool_call_id: call.id, content: result });
+				}
+
+				const round = await createCompletion({ model, messages: history, tools, tool_choice: allowTools ? 'auto' : 'none' }, options.onToken, options.signal);
+				if (round.toolCalls.length > 0) {
+					history.push({ role: 'assistant', content: round.content || null, tool_calls: round.toolCalls });
+				}
+
+				return {
+					content: round.content,
+					toolCalls: round.toolCalls.map((c) => ({ id: c.id, name: c.function.name, args: parseToolArguments(c.function.arguments) })),
+				};
+			});
+			console.log('✅ Grok response received');
+
+			return content;
+		}
 
-		const content = response.data.choices[0].message.content;
-		console.log('✅ Grok response received');
+		const { content } = await createCompletion({ model, messages: messages }, options.onToken, options.signal);
+		console.log(options.onToken ? '✅ Grok stream complete' : '✅ Grok response received');
 
 		return content;
 	} catch (error) {
@@ -57,8 +146,11 @@ async function chat(messages) {
 
 		if (error.response) {
 			const status = error.response.status;
+			const detail = typeof error.response.data?.error === 'string' ? error.response.data.error : error.response.data?.error?.message;
 
-			if (status === 401) {
+			if (options.tools && isToolsUnsupportedError(status, detail)) {
+				throw markToolsUnsupported(new Error(`❌ Grok: model does not support tools (${detail})`));
+			} else if (status === 401) {
 				throw new Error('❌ Grok: Invalid API key');
 			} else if (status === 429) {
 				throw new Error('❌ Grok: Rate limit exceeded');
@@ -4,6 +4,7 @@
  */
 
 const axios = require('axios');
+const { toOpenAiTools, runToolLoop, isToolsUnsupportedError, markToolsUnsupported } = require('./tools');
 
 // Ollama Configuration
 const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL;
@@ -22,12 +23,93 @@ function isConfigured() {
 	return !!(OLLAMA_BASE_URL && OLLAMA_MODEL);
 }
 
+/**
+ * Read a streamed Ollama chat response (one JSON object per line) and forward each text delta
+ * @param {Stream} stream - Axios response stream
+ * @param {Function} onToken - Callback for each text delta
+ * @returns {Promise<{content: string, toolCalls: Array}>} - Full response content and tool calls
+ */
+async function readChatStream(stream, onToken) {
+	let content = '';
+	let buffer = '';
+	const toolCalls = [];
+
+	const handleLine = (line) => {
+		if (!line.trim()) return;
+		const parsed = JSON.parse(line);
+		if (parsed.error) {
+			throw new Error(parsed.error);
+		}
+		const delta = parsed.message?.content;
+		if (delta) {
+			content += delta;
+			onToken(delta);
+		}
+		if (parsed.message?.tool_calls) {
+			toolCalls.push(...parsed.message.tool_calls);
+		}
+	};
+
+	for await (const chunk of stream) {
+		buffer += chunk.toString('utf-8');
+		const lines = buffer.split('\n');
+		buffer = lines.pop();
+		lines.forEach(handleLine);
+	}
+	handleLine(buffer);
+
+	return { content, toolCalls };
+}
+
+/**
+ * Send one chat request, streaming it when onToken is set
+ * @param {Object} body - Request body (messages, tools)
+ * @param {Function} [onToken] - Callback for each text delta
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<{content: string, toolCalls: Array}>} - Reply text and tool calls
+ */
+async function createChat(body, onToken, signal) {
+	const streaming = !!onToken;
+	const response = await axios.post(`${OLLAMA_BASE_URL}/api/chat`, { model: OLLAMA_MODEL, ...body, stream: streaming }, { responseType: streaming ? 'stream' : 'json', signal });
+
+	if (streaming) {
+		return readChatStream(response.data, onToken);
+	}
+
+	const { message } = response.data;
+	return { content: message.content || '', toolCalls: message.tool_calls || [] };
+}
+
+/**
+ * Read the error message Ollama sent with a failed request (the body is a stream when streaming)
+ * @param {Object} error - Axios error
+ * @returns {Promise<string>}
+ */
+async function readErrorDetail(error) {
+	let data = error.response?.data;
+	if (data && typeof data.on === 'function') {
+		let body = '';
+		for await (const chunk of data) body += chunk.toString('utf-8');
+		try {
+			data = JSON.parse(body);
+		} catch (e) {
+			return body;
+		}
+	}
+	return data?.error || error.message;
+}
+
 /**
  * Chat with Ollama
  * @param {Array<{role: string, content: string}>} messages - Array of messages
+ * @param {Object} options - Optional parameters
+ * @param {Function} [options.onToken] - Stream the reply, passing each text delta to this callback
+ * @param {Array} [options.tools] - Tool definitions the model may call (see ./tools)
+ * @param {Function} [options.onToolCall] - Called with (name, args) for each tool call; returns the result text
+ * @param {AbortSignal} [options.signal] - Aborts the request
  * @returns {Promise<string>} - Response content
  */
-async function chat(messages) {
+async function chat(messages, options = {}) {
 	if (!isConfigured()) {
 		throw new Error('Ollama not fully configured. Set OLLAMA_BASE_URL and OLLAMA_MODEL in .env');
 	}
@@ -35,21 +117,43 @@ async function chat(messages) {
 	try {
 		console.log('🤖 Sending request to Ollama...');
 
-		const response = await axios.post(
-			`${OLLAMA_BASE_URL}/api/chat`,
-			{
-				model: OLLAMA_MODEL,
-				messages: messages,
-				stream: false,
-			}
-		);
+		if (options.tools) {
+			const history = [...messages];
+			const tools = toOpenAiTools(options.tools);
+
+			// Ollama has no tool_choice, so the final round simply omits the tools
+			const content = await runToolLoop(options.onToolCall, async (allowTools, previousResults) => {
+				for (const { call, result } of previousResults) {
+					history.push({ role: 'tool', tool_name: call.name, content: result });
+				}
+
+				const round = await createChat(allowTools ? { messages: history, tools } : { messages: history }, options.onToken, options.signal);
+				if (round.toolCalls.length > 0) {
+					history.push({ role: 'assistant', content: round.content, tool_calls: round.toolCalls });
+				}
 
-		const content = response.data.message.content;
-		console.log('✅ Ollama response received');
+				return {
+					content: round.content,
+					toolCalls: round.toolCalls.map((c) => ({ name: c.function.name, args: c.function.arguments || {} })),
+				};
+			});
+			console.log('✅ Ollama response received');
+
+			return content;
+		}
+
+		const { content } = await createChat({ messages: messages }, options.onToken, options.signal);
+		console.log(options.onToken ? '✅ Ollama stream complete' : '✅ Ollama response received');
 
 		return content;
 	} catch (error) {
-		console.error('❌ Ollama chat failed:', error.message);
+		const detail = error.response ? await readErrorDetail(error).catch(() => error.message) : error.message;
+		console.error('❌ Ollama chat failed:', detail);
+
+		// e.g. 400 "llama2 does not support tools"
+		if (options.tools && error.response && isToolsUnsupportedError(error.response.status, detail)) {
+			throw markToolsUnsupported(new Error(`❌ Ollama: model does not support tools (${detail})`));
+		}
 		throw new Error(`❌ Ollama chat failed: ${error.message}`);
 	}
 }
@@ -4,6 +4,7 @@
  */
 
 const OpenAI = require('openai');
+const { toOpenAiTools, parseToolArguments, accumulateToolCallDeltas, runToolLoop, isToolsUnsupportedError, markToolsUnsupported } = require('./tools');
 
 // OpenAI Configuration
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
@@ -26,12 +27,50 @@ function isConfigured() {
 	return !!OPENAI_API_KEY;
 }
 
+/**
+ * Send one chat completion request, streaming it when onToken is set
+ * @param {Object} params - Request parameters (model, messages, tools)
+ * @param {Function} [onToken] - Callback for each text delta
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<{content: string, toolCalls: Array}>} - Reply text and raw tool calls
+ */
+async function createCompletion(params, onToken, signal) {
+	if (onToken) {
+		const stream = await client.chat.completions.create({ ...params, stream: true }, { signal });
+
+		let content = '';
+		const toolCalls = [];
+		for await (const chunk of stream) {
+			const delta = chunk.choices[0]?.delta;
+			if (delta?.content) {
+				content += delta.content;
+				onToken(delta.content);
+			}
+			if (delta?.tool_calls) {
+				accumulateToolCallDeltas(toolCalls, delta.tool_calls);
+			}
+		}
+
+		return { content, toolCalls };
+	}
+
+	const response = await client.chat.completions.create(params, { signal });
+	const message = response.choices[0].message;
+
+	return { content: message.content || '', toolCalls: message.tool_calls || [] };
+}
+
 /**
  * Chat with OpenAI
  * @param {Array<{role: string, content: string}>} messages - Array of messages
+ * @param {Object} options - Optional parameters
+ * @param {Function} [options.onToken] - Stream the reply, passing each text delta to this callback
+ * @param {Array} [options.tools] - Tool definitions the model may call (see ./tools)
+ * @param {Function} [options.onToolCall] - Called with (name, args) for each tool call; returns the result text
+ * @param {AbortSignal} [options.signal] - Aborts the request
  * @returns {Promise<string>} - Response content
  */
-async function chat(messages) {
+async function chat(messages, options = {}) {
 	if (!isConfigured()) {
 		throw new Error('OpenAI API key not configured');
 	}
@@ -39,19 +78,42 @@ async function chat(messages) {
 	try {
 		console.log('🤖 Sending request to OpenAI...');
 
-		const response = await client.chat.completions.create({
-			model: process.env.OPENAI_MODEL || 'gpt-4o',
-			messages: messages,
-		});
+		const model = process.env.OPENAI_MODEL || 'gpt-4o';
+
+		if (options.tools) {
+			const history = [...messages];
+			const tools = toOpenAiTools(options.tools);
+
+			const content = await runToolLoop(options.onToolCall, async (allowTools, previousResults) => {
+				for (const { call, result } of previousResults) {
+					history.push({ role: 'tool', tool_call_id: call.id, content: result });
+				}
+
+				const round = await createCompletion({ model, messages: history, tools, tool_choice: allowTools ? 'auto' : 'none' }, options.onToken, options.signal);
+				if (round.toolCalls.length > 0) {
+					history.push({ role: 'assistant', content: round.content || null, tool_calls: round.toolCalls });
+				}
+
+				return {
+					content: round.content,
+					toolCalls: round.toolCalls.map((c) => ({ id: c.id, name: c.function.name, args: parseToolArguments(c.function.arguments) })),
+				};
+			});
+			console.log('✅ OpenAI response received');
+
+			return content;
+		}
 
-		const content = response.choices[0].message.content;
-		console.log('✅ OpenAI response received');
+		const { content } = await createCompletion({ model, messages }, options.onToken, options.signal);
+		console.log(options.onToken ? '✅ OpenAI stream complete' : '✅ OpenAI response received');
 
 		return content;
 	} catch (error) {
 		console.error('❌ OpenAI chat failed:', error.message);
 
-		if (error.status === 401) {
+		if (options.tools && isToolsUnsupportedError(error.status, error.message)) {
+			throw markToolsUnsupported(new Error(`❌ OpenAI: model does not support tools (${error.message})`));
+		} else if (error.status === 401) {
 			throw new Error('❌ OpenAI: Invalid API key');
 		} else if (error.status === 429) {
 			throw new Error('❌ OpenAI: Rate limit exceeded');
@@ -1,5 +1,6 @@
 // OpenRouter LLM Service — OpenAI-compatible gateway to 200+ models
 const OpenAI = require('openai');
+const { toOpenAiTools, parseToolArguments, accumulateToolCallDeltas, runToolLoop, isToolsUnsupportedError, markToolsUnsupported } = require('./tools');
 
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 
@@ -23,6 +24,33 @@ function isConfigured() {
 	return !!process.env.OPENROUTER_API_KEY;
 }
 
+// Send one chat completion request (streamed when onToken is set); returns reply text and raw tool calls
+async function createCompletion(params, onToken, signal) {
+	if (onToken) {
+		const stream = await client.chat.completions.create({ ...params, stream: true }, { signal });
+
+		let content = '';
+		const toolCalls = [];
+		for await (const chunk of stream) {
+			const delta = chunk.choices[0]?.delta;
+			if (delta?.content) {
+				content += delta.content;
+				onToken(delta.content);
+			}
+			if (delta?.tool_calls) {
+				accumulateToolCallDeltas(toolCalls, delta.tool_calls);
+			}
+		}
+
+		return { content, toolCalls };
+	}
+
+	const response = await client.chat.completions.create(params, { signal });
+	const message = response.choices[0].message;
+
+	return { content: message.content || '', toolCalls: message.tool_calls || [] };
+}
+
 async function chat(messages, options = {}) {
 	if (!isConfigured()) {
 		throw new Error('OpenRouter API key not configured');
@@ -33,17 +61,41 @@ async function chat(messages, options = {}) {
 
 		const model = options.modelOverride || process.env.OPENROUTER_MODEL || 'anthropic/claude-3.5-sonnet';
 
-		const response = await client.chat.completions.create({
-			model,
-			messages,
-		});
+		// Tool calling: OpenRouter rejects models without tool support, which callers treat as "use text signals"
+		if (options.tools) {
+			const history = [...messages];
+			const tools = toOpenAiTools(options.tools);
+
+			const content = await runToolLoop(options.onToolCall, async (allowTools, previousResults) => {
+				for (const { call, result } of previousResults) {
+					history.push({ role: 'tool', tool_call_id: call.id, content: result });
+				}
+
+				const round = await createCompletion({ model, messages: history, tools, tool_choice: allowTools ? 'auto' : 'none' }, options.onToken, options.signal);
+				if (round.toolCalls.length > 0) {
+					history.push({ role: 'assistant', content: round.content || null, tool_calls: round.toolCalls });
+				}
+
+				return {
+					content: round.content,
+					toolCalls: round.toolCalls.map((c) => ({ id: c.id, name: c.function.name, args: parseToolArguments(c.function.arguments) })),
+				};
+			});
+
+			console.log('✅ OpenRouter response received');
+			return content;
+		}
+
+		const { content } = await createCompletion({ model, messages }, options.onToken, options.signal);
 
-		console.log('✅ OpenRouter response received');
-		return response.choices[0].message.content;
+		console.log(options.onToken ? '✅ OpenRouter stream complete' : '✅ OpenRouter response received');
+		return content;
 	} catch (error) {
 		console.log(`❌ OpenRouter chat failed: ${error.message}`);
 
-		if (error.status === 401) {
+		if (options.tools && isToolsUnsupportedError(error.status, error.message)) {
+			throw markToolsUnsupported(new Error(`❌ OpenRouter: model does not support tools (${error.message})`));
+		} else if (error.status === 401) {
 			throw new Error('❌ OpenRouter: Invalid API key');
 		} else if (error.status === 429) {
 			throw new Error('❌ OpenRouter: Rate limit exceeded');
@@ -0,0 +1,123 @@
+/**
+ * LLM Tool Calling Helpers
+ * Shared by the providers that support native tool/function calling.
+ *
+ * Tools are described provider-neutrally as { name, description, parameters } where
+ * parameters is a JSON Schema object. Providers report each call to options.onToolCall(name, args),
+ * send its (string) result back to the model and keep going until the model answers in text.
+ */
+
+// Maximum tool-calling rounds before the model is asked to answer without tools
+const MAX_TOOL_ROUNDS = 3;
+
+/**
+ * Convert neutral tool definitions to the OpenAI-compatible `tools` format (also used by Grok and Ollama)
+ * @param {Array<{name: string, description: string, parameters: Object}>} tools - Tool definitions
+ * @returns {Array}
+ */
+function toOpenAiTools(tools) {
+	return tools.map((tool) => ({
+		type: 'function',
+		function: {
+			name: tool.name,
+			description: tool.description,
+			parameters: tool.parameters,
+		},
+	}));
+}
+
+/**
+ * Parse tool call arguments, which arrive as a JSON string (or already parsed from Ollama)
+ * @param {string|Object} args - Raw arguments
+ * @returns {Object}
+ */
+function parseToolArguments(args) {
+	if (args && typeof args === 'object') return args;
+
+	try {
+		return JSON.parse(args || '{}');
+	} catch (e) {
+		return {};
+	}
+}
+
+/**
+ * Merge streamed OpenAI-style tool call fragments into complete tool calls
+ * @param {Array} toolCalls - Accumulated tool calls (mutated)
+ * @param {Array} deltas - `delta.tool_calls` from one stream chunk
+ */
+function accumulateToolCallDeltas(toolCalls, deltas) {
+	for (const delta of deltas) {
+		const index = delta.index ?? toolCalls.length;
+		if (!toolCalls[index]) {
+			toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+		}
+
+		const call = toolCalls[index];
+		if (delta.id) call.id = delta.id;
+		if (delta.function?.name) call.function.name += delta.function.name;
+		if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+	}
+}
+
+/**
+ * Run a chat that may call tools, one request per round, until the model replies without tool calls.
+ * The final round is sent without tools so the loop always ends with a text answer.
+ * @param {Function} onToolCall - Called with (name, args); returns the result text (or a promise of it)
+ * @param {Function} sendRound - Called with (allowTools, previousResults); performs one request and
+ *   resolves to { content: string, toolCalls: Array<{ name, args }> }. previousResults is
+ *   [{ call, result }] for the tool calls of the previous round (empty on the first round).
+ * @returns {Promise<string>} Reply text from all rounds
+ */
+async function runToolLoop(onToolCall, sendRound) {
+	const parts = [];
+	let previousResults = [];
+
+	for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+		const allowTools = round < MAX_TOOL_ROUNDS;
+		const { content, toolCalls } = await sendRound(allowTools, previousResults);
+		if (content && content.trim()) parts.push(content.trim());
+
+		if (!allowTools || toolCalls.length === 0) break;
+
+		previousResults = [];
+		for (const call of toolCalls) {
+			console.log(`🔧 LLM called tool ${call.name}`);
+			const result = await onToolCall(call.name, call.args);
+			previousResults.push({ call, result: String(result) });
+		}
+	}
+
+	return parts.join('\n');
+}
+
+/**
+ * Recognise provider errors caused by the model not supporting tool calling
+ * @param {number|undefined} status - HTTP status of the failed request
+ * @param {string} message - Error message (including any provider error body)
+ * @returns {boolean}
+ */
+function isToolsUnsupportedError(status, message) {
+	if (status && ![400, 404, 422].includes(status)) return false;
+	return /\b(tool|tools|tool_choice|function calling|function_call)\b/i.test(message || '');
+}
+
+/**
+ * Flag an error as "this model does not support tools" so callers can retry without them
+ * @param {Error} error - Error to flag
+ * @returns {Error} The same error
+ */
+function markToolsUnsupported(error) {
+	error.toolsUnsupported = true;
+	return error;
+}
+
+module.exports = {
+	MAX_TOOL_ROUNDS,
+	toOpenAiTools,
+	parseToolArguments,
+	accumulateToolCallDeltas,
+	runToolLoop,
+	isToolsUnsupportedError,
+	markToolsUnsupported,
+};
@@ -29,6 +29,18 @@ const openrouterStatus = require('./openrouterStatus');
 // Cache for lazily loaded OpenRouter adapter
 let openrouterAdapter = null;
 
+// Routes (provider or OpenRouter model) that rejected tool calling, so tools are not offered again
+const toolsUnsupportedRoutes = new Set();
+
+/**
+ * Identify where a request with this model override is sent
+ * @param {string} [modelOverride] - OpenRouter model ID
+ * @returns {string}
+ */
+function getRouteKey(modelOverride) {
+	return modelOverride && openrouterStatus.isActive() ? `openrouter:${modelOverride}` : providerName;
+}
+
 /**
  * Checks if the configured LLM provider has all required environment variables set
  * @returns {boolean} True if the provider is properly configured
@@ -37,36 +49,63 @@ function isConfigured() {
 	return provider.isConfigured();
 }
 
+/**
+ * Name of the baseline provider selected by LLM_PROVIDER
+ * @returns {string}
+ */
+function getProviderName() {
+	return providerName;
+}
+
+/**
+ * Whether tools should be offered for a request with this model override.
+ * Returns false once the provider or model has rejected a request with tools.
+ * @param {string} [modelOverride] - OpenRouter model ID
+ * @returns {boolean}
+ */
+function supportsTools(modelOverride) {
+	return !toolsUnsupportedRoutes.has(getRouteKey(modelOverride));
+}
+
 /**
  * Sends messages to the configured LLM provider and returns the response
  * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Optional parameters (e.g., modelOverride)
- * @returns {Promise<string>} The response text from the LLM
+ * @param {Object} options - Optional parameters (e.g., modelOverride, onToken)
+ * @param {string} [options.modelOverride] - OpenRouter model ID to use instead of the baseline provider
+ * @param {Function} [options.onToken] - When set, the reply is streamed and each text delta is passed to this callback
+ * @param {Array} [options.tools] - Tool definitions ({ name, description, parameters }) the model may call
+ * @param {Function} [options.onToolCall] - Called with (name, args) for each tool call; returns the result text
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<string>} The full response text from the LLM
+ * @throws {Error} With `toolsUnsupported` set when the model rejected the tools
  */
 async function chat(messages, options = {}) {
 	try {
-		const { modelOverride } = options;
+		const { modelOverride, onToken, tools, onToolCall, signal } = options;
 
 		if (!modelOverride) {
 			// No model override: use baseline provider
-			return await provider.chat(messages);
+			return await provider.chat(messages, { onToken, tools, onToolCall, signal });
 		}
 
 		// Model override requested: check OpenRouter status
 		if (!openrouterStatus.isActive()) {
 			console.warn('⚠️ Model override requested but OpenRouter is inactive, falling back to baseline provider');
-			return await provider.chat(messages);
+			return await provider.chat(messages, { onToken, tools, onToolCall, signal });
 		}
 
 		// OpenRouter active: route to OpenRouter with model override
 		if (!openrouterAdapter) {
 			openrouterAdapter = providerName === 'openrouter' ? provider : require('./llm/openrouter');
 		}
-		return await openrouterAdapter.chat(messages, { modelOverride });
+		return await openrouterAdapter.chat(messages, { modelOverride, onToken, tools, onToolCall, signal });
 	} catch (error) {
+		if (error.toolsUnsupported) {
+			toolsUnsupportedRoutes.add(getRouteKey(options.modelOverride));
+		}
 		// Re-throw as-is since providers already produce descriptive messages
 		throw error;
 	}
 }
 
-module.exports = { isConfigured, chat };
+module.exports = { isConfigured, getProviderName, supportsTools, chat };
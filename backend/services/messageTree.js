@@ -0,0 +1,186 @@
+/**
+ * Message Tree Service
+ * Conversation messages form a tree through parentId links; the conversation's
+ * activeLeafId selects the path that is shown and sent to the LLM.
+ */
+
+/**
+ * Give legacy (flat array) messages parent links by chaining them in array order
+ * @param {Array} messages - Conversation messages
+ * @returns {Array} The same array, with parentId set on every message
+ */
+function normalizeTree(messages) {
+	messages.forEach((message, i) => {
+		if (message.parentId === undefined) {
+			message.parentId = i > 0 ? messages[i - 1].id : null;
+		}
+	});
+	return messages;
+}
+
+/**
+ * Get the path from the root to a message
+ * @param {Array} messages - All conversation messages
+ * @param {string|null} messageId - Last message of the path
+ * @returns {Array} Messages from the root down to messageId (empty if not found)
+ */
+function getPathTo(messages, messageId) {
+	const byId = new Map(messages.map((m) => [m.id, m]));
+	const path = [];
+
+	let node = byId.get(messageId);
+	while (node) {
+		path.unshift(node);
+		node = node.parentId ? byId.get(node.parentId) : null;
+	}
+
+	return path;
+}
+
+/**
+ * Resolve the conversation's active leaf, defaulting to the most recently added message
+ * @param {Object} conversation - Conversation object
+ * @returns {string|null}
+ */
+function getActiveLeafId(conversation) {
+	const { messages } = conversation;
+	if (conversation.activeLeafId && messages.some((m) => m.id === conversation.activeLeafId)) {
+		return conversation.activeLeafId;
+	}
+	return messages.length > 0 ? messages[messages.length - 1].id : null;
+}
+
+/**
+ * Get the active path of a conversation
+ * @param {Object} conversation - Conversation object
+ * @returns {Array} Messages on the active branch, oldest first
+ */
+function getActivePath(conversation) {
+	return getPathTo(conversation.messages, getActiveLeafId(conversation));
+}
+
+/**
+ * Follow the most recently added child from a message down to a leaf
+ * @param {Array} messages - All conversation messages
+ * @param {string} messageId - Starting message
+ * @returns {string} Leaf message ID
+ */
+function getLatestLeafId(messages, messageId) {
+	let leafId = messageId;
+	for (;;) {
+		const children = messages.filter((m) => m.parentId === leafId);
+		if (children.length === 0) return leafId;
+		leafId = children[children.length - 1].id;
+	}
+}
+
+/**
+ * Append messages as a chain and make the last one the active leaf
+ * @param {Object} conversation - Conversation object (mutated)
+ * @param {Array} newMessages - Messages to append, in order
+ * @param {string|null} [parentId] - Message to branch from; defaults to the active leaf
+ */
+function appendMessages(conversation, newMessages, parentId) {
+	let previousId = parentId === undefined ? getActiveLeafId(conversation) : parentId;
+
+	for (const message of newMessages) {
+		message.parentId = previousId;
+		conversation.messages.push(message);
+		previousId = message.id;
+	}
+
+	conversation.activeLeafId = previousId;
+}
+
+/**
+ * Find the voice a conversation started with, from its earliest voice-bearing message
+ * @param {Array} messages - All conversation messages
+ * @returns {string|null}
+ */
+function getInitialVoiceId(messages) {
+	for (const message of messages) {
+		if (message.type === 'voiceSwitch') {
+			return message.fromVoiceId;
+		}
+		if (message.role === 'assistant' && message.voiceId) {
+			// A reply that switched voices records the new voice; its switch event has the old one
+			const turnSwitch = messages.find((m) => m.turnId === message.turnId && m.type === 'voiceSwitch');
+			return turnSwitch ? turnSwitch.fromVoiceId : message.voiceId;
+		}
+	}
+	return null;
+}
+
+/**
+ * Restore the voice, language and LLM model that were in effect at the end of a path,
+ * so a branch continues with the settings it had rather than those of another branch
+ * @param {Object} conversation - Conversation object (mutated)
+ * @param {Array} path - Messages from the root, oldest first
+ */
+function applyPathState(conversation, path) {
+	let voiceId = getInitialVoiceId(conversation.messages);
+	let language = null;
+	let llmModel = null;
+
+	for (const message of path) {
+		if (message.role === 'assistant' && message.voiceId) {
+			voiceId = message.voiceId;
+		} else if (message.type === 'voiceSwitch') {
+			voiceId = message.toVoiceId;
+		} else if (message.type === 'languageSwitch' && message.subtype === 'switch') {
+			language = message.toLanguage;
+		} else if (message.type === 'llmSwitch' && message.model !== undefined) {
+			llmModel = message.model;
+		}
+	}
+
+	if (voiceId) conversation.voiceId = voiceId;
+	conversation.activeLanguage = language;
+	conversation.activeLlmModel = llmModel;
+}
+
+/**
+ * Describe the alternative branches available along the active path.
+ * A branch point is a user message with siblings (other edits of the same message).
+ * @param {Object} conversation - Conversation object
+ * @returns {Object} Map of message ID → { siblingIds, index }
+ */
+function getBranchPoints(conversation) {
+	const branches = {};
+
+	for (const message of getActivePath(conversation)) {
+		if (message.role !== 'user') continue;
+
+		const siblingIds = conversation.messages.filter((m) => m.role === 'user' && m.parentId === message.parentId).map((m) => m.id);
+		if (siblingIds.length > 1) {
+			branches[message.id] = { siblingIds, index: siblingIds.indexOf(message.id) };
+		}
+	}
+
+	return branches;
+}
+
+/**
+ * Shape a conversation for API responses: only the active path, plus branch points
+ * @param {Object} conversation - Conversation object
+ * @returns {Object}
+ */
+function toClientConversation(conversation) {
+	return {
+		...conversation,
+		messages: getActivePath(conversation),
+		branches: getBranchPoints(conversation),
+	};
+}
+
+module.exports = {
+	normalizeTree,
+	getPathTo,
+	getActiveLeafId,
+	getActivePath,
+	getLatestLeafId,
+	appendMessages,
+	applyPathState,
+	getBranchPoints,
+	toClientConversation,
+};
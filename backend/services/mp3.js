@@ -0,0 +1,205 @@
+/**
+ * MP3 Helpers
+ * Just enough MPEG audio and ID3 handling to join MP3 clips into one file:
+ * strip per-clip tags and VBR info frames, measure durations, make silence,
+ * and write an ID3v2.4 tag with chapter markers (ID3 chapter addendum: CTOC/CHAP).
+ */
+
+// Bitrates (kbps) by bitrate index, for MPEG-1 and MPEG-2/2.5 Layer III
+const BITRATES = {
+	1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+	2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+// Sample rates (Hz) by sample rate index, per MPEG version
+const SAMPLE_RATES = {
+	1: [44100, 48000, 32000],
+	2: [22050, 24000, 16000],
+	2.5: [11025, 12000, 8000],
+};
+
+// The CTOC entry count is a single byte
+const MAX_CHAPTERS = 255;
+
+/**
+ * Parse a Layer III frame header
+ * @param {Buffer} buffer - MP3 data
+ * @param {number} offset - Position of the possible header
+ * @returns {{version: number, mono: boolean, sampleRate: number, samples: number, length: number}|null} null if no valid header
+ */
+function parseFrameHeader(buffer, offset) {
+	if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+	const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+	const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+	const bitrateIndex = buffer[offset + 2] >> 4;
+	const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+	const padding = (buffer[offset + 2] >> 1) & 0x01;
+	const channelMode = buffer[offset + 3] >> 6;
+
+	// Layer III only; reject reserved and free-format values
+	if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+	const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+	const bitrate = BITRATES[version === 1 ? 1 : 2][bitrateIndex] * 1000;
+	const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+	const samples = version === 1 ? 1152 : 576;
+
+	return {
+		version,
+		mono: channelMode === 3,
+		sampleRate,
+		samples,
+		length: Math.floor((samples / 8) * bitrate / sampleRate) + padding,
+	};
+}
+
+/**
+ * Size of a leading ID3v2 tag
+ * @param {Buffer} buffer - MP3 data
+ * @returns {number} Bytes to skip (0 if there is no tag)
+ */
+function getId3v2Size(buffer) {
+	if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+	const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+	const hasFooter = (buffer[5] & 0x10) !== 0;
+	return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Check whether a frame is a Xing/Info/VBRI header frame (it describes only its own clip)
+ * @param {Buffer} buffer - MP3 data
+ * @param {number} offset - Frame position
+ * @param {Object} header - Parsed frame header
+ * @returns {boolean}
+ */
+function isInfoFrame(buffer, offset, header) {
+	const sideInfoLength = header.version === 1 ? (header.mono ? 17 : 32) : header.mono ? 9 : 17;
+	const xingTag = buffer.toString('latin1', offset + 4 + sideInfoLength, offset + 8 + sideInfoLength);
+	const vbriTag = buffer.toString('latin1', offset + 36, offset + 40);
+	return xingTag === 'Xing' || xingTag === 'Info' || vbriTag === 'VBRI';
+}
+
+/**
+ * Extract the audio frames of an MP3 clip, without ID3 tags or VBR info frames
+ * @param {Buffer} buffer - MP3 file
+ * @returns {{frames: Buffer, durationMs: number, firstHeader: Buffer|null}}
+ */
+function readFrames(buffer) {
+	const parts = [];
+	let samples = 0;
+	let sampleRate = 44100;
+	let firstHeader = null;
+	let offset = getId3v2Size(buffer);
+	let isFirstFrame = true;
+
+	while (offset + 4 <= buffer.length) {
+		const header = parseFrameHeader(buffer, offset);
+		if (!header || offset + header.length > buffer.length) {
+			// Resynchronise on the next byte (stray data, ID3v1 tag, truncated last frame)
+			offset++;
+			continue;
+		}
+
+		if (!(isFirstFrame && isInfoFrame(buffer, offset, header))) {
+			parts.push(buffer.subarray(offset, offset + header.length));
+			samples += header.samples;
+			sampleRate = header.sampleRate;
+			if (!firstHeader) firstHeader = buffer.subarray(offset, offset + 4);
+		}
+		isFirstFrame = false;
+		offset += header.length;
+	}
+
+	return { frames: Buffer.concat(parts), durationMs: Math.round((samples / sampleRate) * 1000), firstHeader };
+}
+
+/**
+ * Create silent frames matching a reference frame's format
+ * (a Layer III frame with all-zero side info decodes to silence)
+ * @param {Buffer} referenceHeader - 4-byte header of a frame in the stream
+ * @param {number} ms - Length of the silence
+ * @returns {{frames: Buffer, durationMs: number}}
+ */
+function createSilence(referenceHeader, ms) {
+	const frameHeader = Buffer.from(referenceHeader);
+	frameHeader[1] |= 0x01; // No CRC
+	frameHeader[2] &= ~0x02; // No padding
+
+	const header = parseFrameHeader(frameHeader, 0);
+	const count = Math.ceil((ms / 1000) * header.sampleRate / header.samples);
+	const frame = Buffer.alloc(header.length);
+	frameHeader.copy(frame, 0);
+
+	return {
+		frames: Buffer.concat(Array(count).fill(frame)),
+		durationMs: Math.round((count * header.samples / header.sampleRate) * 1000),
+	};
+}
+
+/**
+ * Encode a 28-bit integer as an ID3v2 synchsafe integer
+ * @param {number} value
+ * @returns {Buffer}
+ */
+function synchsafe(value) {
+	return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+/**
+ * Build an ID3v2.4 frame
+ * @param {string} id - Four-character frame ID
+ * @param {Buffer} body - Frame content
+ * @returns {Buffer}
+ */
+function id3Frame(id, body) {
+	return Buffer.concat([Buffer.from(id, 'latin1'), synchsafe(body.length), Buffer.from([0, 0]), body]);
+}
+
+/**
+ * Build a UTF-8 text frame (e.g. TIT2)
+ * @param {string} id - Frame ID
+ * @param {string} text - Text
+ * @returns {Buffer}
+ */
+function textFrame(id, text) {
+	return id3Frame(id, Buffer.concat([Buffer.from([0x03]), Buffer.from(text, 'utf-8')]));
+}
+
+/**
+ * Build an ID3v2.4 tag with a title and chapter markers
+ * @param {string} title - Title of the whole file
+ * @param {Array<{title: string, startMs: number, endMs: number}>} chapters - Chapters in order (at most 255 are written)
+ * @returns {Buffer}
+ */
+function buildChapterTag(title, chapters) {
+	const written = chapters.slice(0, MAX_CHAPTERS);
+	const elementIds = written.map((_, i) => `chp${i}`);
+
+	const toc = id3Frame(
+		'CTOC',
+		Buffer.concat([
+			Buffer.from('toc\0', 'latin1'),
+			Buffer.from([0x03, written.length]), // Top-level, ordered
+			...elementIds.map((id) => Buffer.from(`${id}\0`, 'latin1')),
+		])
+	);
+
+	const chapterFrames = written.map((chapter, i) => {
+		const times = Buffer.alloc(16);
+		times.writeUInt32BE(chapter.startMs, 0);
+		times.writeUInt32BE(chapter.endMs, 4);
+		times.writeUInt32BE(0xffffffff, 8); // No byte offsets
+		times.writeUInt32BE(0xffffffff, 12);
+		return id3Frame('CHAP', Buffer.concat([Buffer.from(`${elementIds[i]}\0`, 'latin1'), times, textFrame('TIT2', chapter.title)]));
+	});
+
+	const body = Buffer.concat([textFrame('TIT2', title), toc, ...chapterFrames]);
+	return Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([0x04, 0x00, 0x00]), synchsafe(body.length), body]);
+}
+
+module.exports = {
+	readFrames,
+	createSilence,
+	buildChapterTag,
+};
@@ -0,0 +1,141 @@
+/**
+ * Persona Memory Service
+ * Learns lasting facts about the user from conversations and keeps them per voice,
+ * so every conversation with that voice can recall them.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+const llmFactory = require('./llmFactory');
+
+// Most recent memories injected into the system prompt
+const MAX_PROMPT_MEMORIES = 50;
+
+// Turns whose user text is shorter than this are not worth an extraction pass
+const MIN_EXTRACTION_TEXT_LENGTH = 12;
+
+// Per-voice extraction queue so concurrent turns don't store the same fact twice
+const extractionQueues = new Map();
+
+/**
+ * Get the memories to inject into a voice's system prompt
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise<Array<string>>} Memory texts, most recent first
+ */
+async function getPromptMemories(voiceId) {
+	const memories = await dataStore.getMemories(voiceId);
+	return memories.slice(0, MAX_PROMPT_MEMORIES).map((m) => m.content);
+}
+
+/**
+ * Parse the extraction reply: a JSON object, possibly wrapped in a code fence or prose
+ * @param {string} text - LLM reply
+ * @returns {{add: Array<string>, update: Array<{id: string, content: string}>}}
+ */
+function parseExtraction(text) {
+	const start = (text || '').indexOf('{');
+	const end = (text || '').lastIndexOf('}');
+	if (start === -1 || end <= start) return { add: [], update: [] };
+
+	try {
+		const parsed = JSON.parse(text.slice(start, end + 1));
+		return {
+			add: Array.isArray(parsed.add) ? parsed.add.filter((c) => typeof c === 'string' && c.trim()) : [],
+			update: Array.isArray(parsed.update) ? parsed.update.filter((u) => u && typeof u.id === 'string' && typeof u.content === 'string' && u.content.trim()) : [],
+		};
+	} catch (e) {
+		return { add: [], update: [] };
+	}
+}
+
+/**
+ * Run one extraction pass over a turn and store what was learned
+ * @param {Object} voice - Voice the user was talking to
+ * @param {Object} turn - { conversationId, turnId, userText, replyText, modelOverride }
+ * @returns {Promise<number>} Number of memories added or updated
+ */
+async function runExtraction(voice, turn) {
+	const memories = await dataStore.getMemories(voice.id);
+	const known = memories.map((m) => `- [${m.id}] ${m.content}`).join('\n') || '(none)';
+
+	const llmMessages = [
+		{
+			role: 'system',
+			content: `You maintain the long-term memory of ${voice.name}, a persona the user talks to. From the latest exchange, extract lasting facts about the user and their life worth remembering in future conversations: people and names, relationships, events, jobs, plans, health, preferences. Ignore small talk, questions, and anything only about the current moment. Write each fact as a short third-person sentence about the user.
+Reply with JSON only: {"add": ["new fact", ...], "update": [{"id": "existing memory id", "content": "corrected fact"}]}.
+Use "update" when the exchange changes a known fact. Do not repeat known facts. Reply {"add": [], "update": []} if there is nothing new.`,
+		},
+		{
+			role: 'user',
+			content: `Known facts:\n${known}\n\nLatest exchange:\nUser: ${turn.userText}\n${voice.name}: ${turn.replyText}`,
+		},
+	];
+
+	const reply = await llmFactory.chat(llmMessages, { modelOverride: turn.modelOverride });
+	const { add, update } = parseExtraction(reply);
+	const now = new Date().toISOString();
+	let changed = 0;
+
+	for (const { id, content } of update) {
+		const memory = memories.find((m) => m.id === id);
+		if (!memory || memory.content === content.trim()) continue;
+		await dataStore.saveMemory({ ...memory, content: content.trim(), conversationId: turn.conversationId, turnId: turn.turnId, updatedAt: now });
+		changed++;
+	}
+
+	const knownContents = new Set(memories.map((m) => m.content.toLowerCase()));
+	for (const content of add) {
+		const normalized = content.trim();
+		if (knownContents.has(normalized.toLowerCase())) continue;
+		knownContents.add(normalized.toLowerCase());
+
+		await dataStore.saveMemory({
+			id: uuidv4(),
+			voiceId: voice.id,
+			content: normalized,
+			conversationId: turn.conversationId,
+			turnId: turn.turnId,
+			createdAt: now,
+			updatedAt: now,
+		});
+		changed++;
+	}
+
+	if (changed > 0) {
+		console.log(`🧠 Stored ${changed} memories for voice ${voice.name}`);
+	}
+	return changed;
+}
+
+/**
+ * Extract memories from a finished turn, after any extraction already running for the voice
+ * @param {Object} voice - Voice the user was talking to
+ * @param {Object} turn - Turn details
+ * @param {string} turn.conversationId - Conversation ID
+ * @param {string} turn.turnId - Turn ID
+ * @param {string} turn.userText - What the user said
+ * @param {string} turn.replyText - What the persona replied
+ * @param {string} [turn.modelOverride] - Model to extract with
+ * @returns {Promise<number>} Number of memories added or updated
+ */
+function extractFromTurn(voice, turn) {
+	if (!turn.userText || turn.userText.trim().length < MIN_EXTRACTION_TEXT_LENGTH) {
+		return Promise.resolve(0);
+	}
+
+	const current = extractionQueues.get(voice.id) || Promise.resolve();
+	const next = current.catch(() => {}).then(() => runExtraction(voice, turn));
+	extractionQueues.set(voice.id, next);
+
+	// Drop the queue entry once idle so the map doesn't grow with every voice ever used
+	next.finally(() => {
+		if (extractionQueues.get(voice.id) === next) extractionQueues.delete(voice.id);
+	}).catch(() => {});
+
+	return next;
+}
+
+module.exports = {
+	getPromptMemories,
+	extractFromTurn,
+};
@@ -0,0 +1,167 @@
+/**
+ * Realtime Voice Service
+ * Hands-free, phone-call-like conversations over a WebSocket at /api/realtime?conversationId=<id>.
+ *
+ * The client streams microphone audio as binary messages of 16 kHz mono 16-bit little-endian PCM.
+ * Server-side voice activity detection finds the end of each utterance, which is then run through
+ * the turn pipeline like a recorded turn. Progress comes back as JSON messages named after the
+ * turn stream's events, each carrying the turn's ID:
+ *   ready, speechStart, speechEnd, transcript, token, reset, reply, audio, done, interrupted, error
+ * Speaking once a reply has started (its text or first audio was sent) cancels it (barge-in); speechStart
+ * also tells the client to stop playing it. Speech that comes before that, e.g. after a long pause, is not
+ * an interruption: the previous utterance has not been answered or saved yet, so it carries on and the new
+ * speech becomes the next turn. The client can send { "type": "interrupt" } to stop a reply too.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+const turnPipeline = require('./turnPipeline');
+const { createVoiceActivityDetector } = require('./vad');
+
+// Format of the streamed microphone audio
+const SAMPLE_RATE = 16000;
+
+/**
+ * Wrap raw PCM in a WAV header so it can be transcribed like a recording
+ * @param {Buffer} pcm - 16-bit mono little-endian PCM
+ * @param {number} sampleRate - Sample rate
+ * @returns {Buffer}
+ */
+function encodeWav(pcm, sampleRate) {
+	const header = Buffer.alloc(44);
+	header.write('RIFF', 0);
+	header.writeUInt32LE(36 + pcm.length, 4);
+	header.write('WAVE', 8);
+	header.write('fmt ', 12);
+	header.writeUInt32LE(16, 16); // fmt chunk size
+	header.writeUInt16LE(1, 20); // PCM
+	header.writeUInt16LE(1, 22); // Mono
+	header.writeUInt32LE(sampleRate, 24);
+	header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+	header.writeUInt16LE(2, 32); // Block align
+	header.writeUInt16LE(16, 34); // Bits per sample
+	header.write('data', 36);
+	header.writeUInt32LE(pcm.length, 40);
+	return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Run a realtime session on a connected socket
+ * @param {WebSocket} socket - Client socket
+ * @param {string} conversationId - Conversation to talk in
+ */
+function runSession(socket, conversationId) {
+	const vad = createVoiceActivityDetector({ sampleRate: SAMPLE_RATE });
+
+	// Turns in flight (running or queued), by ID: whether they have started replying
+	const turns = new Map();
+
+	const send = (type, data = {}) => {
+		if (socket.readyState === WebSocket.OPEN) {
+			socket.send(JSON.stringify({ type, ...data }));
+		}
+	};
+
+	// Cancel the replies in progress; with all, also turns that are still transcribing or thinking
+	const interrupt = ({ all = false } = {}) => {
+		for (const [turnId, replying] of turns) {
+			if (all || replying) turnPipeline.cancelTurn(conversationId, turnId);
+		}
+	};
+
+	const startTurn = (pcm) => {
+		const turnId = uuidv4();
+		turns.set(turnId, false);
+		send('speechEnd', { turnId });
+
+		const emit = (type, data = {}) => send(type, { turnId, ...data });
+		const startReplying = () => {
+			if (turns.has(turnId)) turns.set(turnId, true);
+		};
+		turnPipeline
+			.enqueueCancellableTurn(conversationId, turnId, (signal) =>
+				turnPipeline.runTurn(conversationId, { turnId, audioBuffer: encodeWav(pcm, SAMPLE_RATE), mimeType: 'audio/wav', signal }, {
+					onTranscript: (text) => emit('transcript', { text }),
+					onToken: (text) => emit('token', { text }),
+					onLlmRetry: () => emit('reset'),
+					onReply: (text) => {
+						startReplying();
+						emit('reply', { text });
+					},
+					onAudio: (chunk) => {
+						startReplying();
+						emit('audio', chunk);
+					},
+				})
+			)
+			.then((response) => emit('done', response))
+			.catch((error) => {
+				if (error.cancelled) {
+					emit('interrupted');
+				} else {
+					emit('error', { error: error.message || 'Failed to process turn', status: error.status || 500 });
+				}
+			})
+			.finally(() => turns.delete(turnId));
+	};
+
+	socket.on('message', (data, isBinary) => {
+		if (!isBinary) {
+			let message;
+			try {
+				message = JSON.parse(data.toString());
+			} catch (error) {
+				return send('error', { error: 'Invalid message', status: 400 });
+			}
+			if (message.type === 'interrupt') interrupt();
+			return;
+		}
+
+		for (const event of vad.push(data)) {
+			if (event.type === 'speechStart') {
+				// Barge-in: the user talking over the reply wins
+				interrupt();
+				send('speechStart');
+			} else {
+				startTurn(event.audio);
+			}
+		}
+	});
+
+	socket.on('close', () => {
+		interrupt({ all: true });
+		console.log(`📞 Realtime session ended for conversation ${conversationId}`);
+	});
+
+	console.log(`📞 Realtime session started for conversation ${conversationId}`);
+	send('ready', { sampleRate: SAMPLE_RATE });
+}
+
+/**
+ * Accept realtime sessions on the HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {WebSocketServer}
+ */
+function attach(server) {
+	const wss = new WebSocketServer({ server, path: '/api/realtime' });
+
+	wss.on('connection', async (socket, req) => {
+		const conversationId = new URL(req.url, 'http://localhost').searchParams.get('conversationId');
+		try {
+			await dataStore.getConversation(conversationId); // Propagates 404
+		} catch (error) {
+			socket.send(JSON.stringify({ type: 'error', error: error.message || 'Conversation not found', status: error.status || 500 }));
+			socket.close(error.status === 404 ? 1008 : 1011);
+			return;
+		}
+
+		runSession(socket, conversationId);
+	});
+
+	return wss;
+}
+
+module.exports = {
+	attach,
+};
@@ -0,0 +1,201 @@
+/**
+ * Retention Service
+ * Per-conversation retention policies (conversation.retention), applied by a background enforcer:
+ *   null                                 - keep forever (the default)
+ *   { policy: 'delete', days, since }    - delete the conversation after `days` days without activity
+ *   { policy: 'dropAudio', days, since } - after `days` days without activity, delete its audio but keep the transcript
+ * Activity is a new message or reply version (conversation.lastActivityAt), such as a turn, an edit or a
+ * scheduled message; changes to the conversation's settings are not. Days are counted from the last
+ * activity, but never from before the policy was set (`since`), so a new policy does not apply at once.
+ */
+
+const path = require('path');
+const dataStore = require('./dataStore');
+const storage = require('./storage');
+const turnPipeline = require('./turnPipeline');
+const conversationAudio = require('./conversationAudio');
+
+const RETENTION_POLICIES = {
+	keep: 'Keep forever',
+	delete: 'Delete after a number of days without activity',
+	dropAudio: 'Delete the audio after a number of days without activity, keeping the transcript',
+};
+
+// How often to look for conversations that are due
+const CHECK_INTERVAL_MS = Number(process.env.RETENTION_CHECK_INTERVAL_MINUTES ?? 60) * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Check a retention setting from a request
+ * @param {*} retention - Requested retention ({ policy, days }, or null to keep forever)
+ * @returns {string|null} Error message, or null if valid
+ */
+function getRetentionError(retention) {
+	if (retention === null) return null;
+	if (typeof retention !== 'object' || !Object.hasOwn(RETENTION_POLICIES, retention.policy)) {
+		return `retention.policy must be one of: ${Object.keys(RETENTION_POLICIES).join(', ')}`;
+	}
+	if (retention.policy !== 'keep' && !(Number.isInteger(retention.days) && retention.days > 0)) {
+		return 'retention.days must be a positive whole number of days';
+	}
+	return null;
+}
+
+/**
+ * Normalize a valid retention setting for storage, recording when it was set (keeping forever is stored as null)
+ * @param {Object|null} retention - Retention setting
+ * @returns {Object|null}
+ */
+function normalizeRetention(retention) {
+	if (!retention || retention.policy === 'keep') return null;
+	return { policy: retention.policy, days: retention.days, since: new Date().toISOString() };
+}
+
+/**
+ * When a conversation's retention policy applies next: when it will be deleted, or when its audio will be
+ * (a dropAudio time stays in the past once the audio is gone, until the conversation is active again)
+ * @param {Object} conversation - Conversation (or conversation list entry)
+ * @returns {string|null} ISO timestamp, or null if the conversation is kept forever
+ */
+function getExpiresAt(conversation) {
+	if (!conversation.retention) return null;
+	const from = Math.max(Date.parse(conversation.lastActivityAt), Date.parse(conversation.retention.since) || 0);
+	return new Date(from + conversation.retention.days * DAY_MS).toISOString();
+}
+
+/**
+ * Delete a conversation's audio, keeping its transcript. Replies are not re-spoken afterwards,
+ * except on request (the play button).
+ * @param {Object} conversation - Conversation object (mutated and saved)
+ * @returns {Promise<number>} Number of audio files deleted
+ */
+async function dropAudio(conversation) {
+	const files = new Set();
+	const dropFrom = (target) => {
+		if (target.audioUrl) files.add(path.basename(target.audioUrl));
+		target.audioUrl = null;
+		// A failed reply would otherwise get its audio back from the retry job
+		turnPipeline.clearAudioFailure(target);
+	};
+
+	for (const message of conversation.messages) {
+		if (message.role === 'user') {
+			const narration = `narration-${message.id}.mp3`;
+			if (await storage.fileExists(conversation.id, narration)) files.add(narration);
+		} else if (message.role === 'assistant') {
+			dropFrom(message);
+			(message.versions || []).forEach(dropFrom);
+		}
+	}
+
+	// Nothing refers to the files once the conversation is saved, so a failed delete only leaves garbage behind
+	await dataStore.saveConversation(conversation);
+	for (const file of files) {
+		await storage.deleteFile(conversation.id, file);
+	}
+	await conversationAudio.invalidate(conversation.id);
+
+	return files.size;
+}
+
+/**
+ * Apply a conversation's retention policy if it is due.
+ * Runs in the conversation's turn queue, so it cannot interleave with a turn.
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<string|null>} 'deleted', 'audioDropped' or null if nothing was done
+ */
+async function applyRetention(conversationId) {
+	return turnPipeline.enqueueTurn(conversationId, async () => {
+		let conversation;
+		try {
+			conversation = await dataStore.getConversation(conversationId);
+		} catch (error) {
+			if (error.status === 404) return null; // Deleted meanwhile
+			throw error;
+		}
+
+		// Activity since the check postpones the policy
+		const expiresAt = getExpiresAt(conversation);
+		if (!expiresAt || Date.parse(expiresAt) > Date.now()) return null;
+
+		if (conversation.retention.policy === 'delete') {
+			await dataStore.deleteConversation(conversationId);
+			await storage.deleteSession(conversationId);
+			console.log(`🗑️ Retention: deleted conversation ${conversationId}`);
+			return 'deleted';
+		}
+
+		const hasAudio = conversation.messages.some((m) => m.audioUrl || (m.versions || []).some((v) => v.audioUrl));
+		if (!hasAudio) return null;
+
+		const deleted = await dropAudio(conversation);
+		console.log(`🗑️ Retention: dropped audio of conversation ${conversationId} (${deleted} files)`);
+		return 'audioDropped';
+	});
+}
+
+/**
+ * Apply the retention policy of every conversation that is due
+ * @returns {Promise<{deleted: number, audioDropped: number}>}
+ */
+async function enforceRetention() {
+	const result = { deleted: 0, audioDropped: 0 };
+	const now = Date.now();
+
+	for (const conversation of await dataStore.listConversations()) {
+		const expiresAt = getExpiresAt(conversation);
+		if (!expiresAt || Date.parse(expiresAt) > now) continue;
+
+		try {
+			const outcome = await applyRetention(conversation.id);
+			if (outcome) result[outcome]++;
+		} catch (error) {
+			console.error(`❌ Retention failed for conversation ${conversation.id}:`, error.message);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Start enforcing retention policies periodically
+ */
+function start() {
+	if (timer || CHECK_INTERVAL_MS <= 0) return;
+
+	timer = setInterval(async () => {
+		if (running) return;
+		running = true;
+		try {
+			await enforceRetention();
+		} catch (error) {
+			console.error('❌ Retention job failed:', error.message);
+		} finally {
+			running = false;
+		}
+	}, CHECK_INTERVAL_MS);
+	timer.unref();
+	console.log(`🗑️ Retention job started (every ${CHECK_INTERVAL_MS / 60000} min)`);
+}
+
+/**
+ * Stop enforcing retention policies
+ */
+function stop() {
+	clearInterval(timer);
+	timer = null;
+}
+
+module.exports = {
+	RETENTION_POLICIES,
+	getRetentionError,
+	normalizeRetention,
+	getExpiresAt,
+	enforceRetention,
+	start,
+	stop,
+};
@@ -0,0 +1,142 @@
+/**
+ * Scheduler Service
+ * Messages a voice sends on a schedule (e.g. a birthday greeting every March 3rd, or a check-in
+ * every Sunday), posted into a conversation. Schedules use cron expressions, optionally in a
+ * timezone, and every run is recorded in the schedule's run history. Runs missed while the server
+ * was down are not made up.
+ *
+ * The prompt is a template; these placeholders are filled in when the schedule runs:
+ *   {{voice}} - the voice's name
+ *   {{date}}  - the date in the schedule's timezone, e.g. "Sunday, March 3, 2026"
+ */
+
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+const turnPipeline = require('./turnPipeline');
+
+// Cron tasks of the enabled schedules, by schedule ID
+const tasks = new Map();
+
+/**
+ * Check whether a timezone name is known (e.g. "Europe/Amsterdam")
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * Fill in the placeholders of a schedule's prompt
+ * @param {string} template - Prompt template
+ * @param {Object} voice - Voice record
+ * @param {string|null} timezone - Schedule timezone (server time when null)
+ * @param {Date} [now] - Time of the run
+ * @returns {string}
+ */
+function renderPrompt(template, voice, timezone, now = new Date()) {
+	const date = now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: timezone || undefined });
+	return template.replace(/\{\{\s*voice\s*\}\}/g, voice.name).replace(/\{\{\s*date\s*\}\}/g, date);
+}
+
+/**
+ * Run a schedule now: post its message and record the run
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>} The recorded run
+ * @throws {Error} 404 if the schedule does not exist
+ */
+async function runSchedule(scheduleId) {
+	const schedule = await dataStore.getSchedule(scheduleId); // Propagates 404
+	const run = { id: uuidv4(), scheduleId, status: 'succeeded', messageId: null, error: null, startedAt: new Date().toISOString(), finishedAt: null };
+
+	try {
+		const voices = await dataStore.getVoices();
+		const voice = voices.find((v) => v.id === schedule.voiceId);
+		if (!voice) {
+			const err = new Error('Voice not found');
+			err.status = 404;
+			throw err;
+		}
+
+		// Queued behind the conversation's turns, like any other change to it
+		const prompt = renderPrompt(schedule.prompt, voice, schedule.timezone);
+		const message = await turnPipeline.enqueueTurn(schedule.conversationId, () =>
+			turnPipeline.postVoiceMessage(schedule.conversationId, { voiceId: voice.id, prompt, scheduleId })
+		);
+		run.messageId = message.id;
+		console.log(`📅 Schedule ${scheduleId} posted message ${message.id}`);
+	} catch (error) {
+		run.status = 'failed';
+		run.error = error.message;
+		console.error(`❌ Schedule ${scheduleId} failed: ${error.message}`);
+	}
+
+	run.finishedAt = new Date().toISOString();
+	await dataStore.saveScheduleRun(run);
+	return run;
+}
+
+/**
+ * Stop running a schedule
+ * @param {string} scheduleId - Schedule ID
+ */
+function unschedule(scheduleId) {
+	tasks.get(scheduleId)?.stop();
+	tasks.delete(scheduleId);
+}
+
+/**
+ * Start (or restart) running a schedule with its current settings; disabled schedules are stopped
+ * @param {Object} schedule - Schedule object
+ */
+function reschedule(schedule) {
+	unschedule(schedule.id);
+	if (!schedule.enabled) return;
+
+	const task = cron.schedule(
+		schedule.cron,
+		() => {
+			runSchedule(schedule.id).catch((error) => {
+				// The schedule was deleted along with its conversation or voice
+				if (error.status === 404) return unschedule(schedule.id);
+				console.error(`❌ Schedule ${schedule.id} failed to run:`, error.message);
+			});
+		},
+		{ timezone: schedule.timezone || undefined }
+	);
+	tasks.set(schedule.id, task);
+}
+
+/**
+ * Start running every enabled schedule
+ * @returns {Promise}
+ */
+async function start() {
+	const schedules = await dataStore.getSchedules();
+	schedules.forEach(reschedule);
+	console.log(`📅 Scheduler started (${tasks.size} active schedules)`);
+}
+
+/**
+ * Stop running all schedules
+ */
+function stop() {
+	tasks.forEach((task) => task.stop());
+	tasks.clear();
+}
+
+module.exports = {
+	isValidTimezone,
+	renderPrompt,
+	runSchedule,
+	reschedule,
+	unschedule,
+	start,
+	stop,
+};
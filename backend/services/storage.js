@@ -139,6 +139,21 @@ async function downloadFileAsBuffer(sessionId, filePath) {
 	}
 }
 
+/**
+ * Check whether a file exists
+ * @param {string} sessionId - Session identifier
+ * @param {string} filePath - Path within session
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(sessionId, filePath) {
+	try {
+		await fs.access(getFilePath(sessionId, filePath));
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
 /**
  * Delete a specific file
  * @param {string} sessionId - Session identifier
@@ -218,9 +233,9 @@ async function deleteSession(sessionId) {
 }
 
 /**
- * List files older than specified hours
+ * List files older than specified hours (metadata sidecars excluded)
  * @param {number} ageInHours - Age threshold in hours
- * @returns {Promise<Array>} - Array of file objects
+ * @returns {Promise<Array>} - Array of file objects ({ name, sessionId, filePath, uploadedAt, size })
  */
 async function listOldFiles(ageInHours = 24) {
 	const cutoffTime = Date.now() - ageInHours * 60 * 60 * 1000;
@@ -233,23 +248,20 @@ async function listOldFiles(ageInHours = 24) {
 		for (const session of sessions) {
 			if (!session.isDirectory()) continue;
 
+			// A session directory is touched whenever a file is added, so judge each file by its own age
 			const sessionDir = path.join(STORAGE_DIR, session.name);
-			const sessionStat = await fs.stat(sessionDir);
-
-			// Check session directory age
-			if (sessionStat.mtime.getTime() < cutoffTime) {
-				// This session is old - find all files in it
-				const entries = await fs.readdir(sessionDir, { recursive: true });
-				for (const entry of entries) {
-					const entryPath = path.join(sessionDir, entry);
-					const stat = await fs.stat(entryPath);
-					if (stat.isFile() && !entry.endsWith('.meta.json')) {
-						oldFiles.push({
-							name: `${session.name}/${entry}`,
-							uploadedAt: stat.mtime.toISOString(),
-							size: stat.size,
-						});
-					}
+			const entries = await fs.readdir(sessionDir, { recursive: true });
+			for (const entry of entries) {
+				const entryPath = path.join(sessionDir, entry);
+				const stat = await fs.stat(entryPath);
+				if (stat.isFile() && !entry.endsWith('.meta.json') && stat.mtime.getTime() < cutoffTime) {
+					oldFiles.push({
+						name: `${session.name}/${entry}`,
+						sessionId: session.name,
+						filePath: entry,
+						uploadedAt: stat.mtime.toISOString(),
+						size: stat.size,
+					});
 				}
 			}
 		}
@@ -257,6 +269,7 @@ async function listOldFiles(ageInHours = 24) {
 		console.log(`📋 Found ${oldFiles.length} files older than ${ageInHours} hours`);
 		return oldFiles;
 	} catch (error) {
+		if (error.code === 'ENOENT') return oldFiles; // Nothing stored yet
 		console.error('❌ List old files failed:', error.message);
 		throw error;
 	}
@@ -307,6 +320,7 @@ module.exports = {
 	uploadFile,
 	downloadFile,
 	downloadFileAsBuffer,
+	fileExists,
 	deleteFile,
 	deleteSession,
 	listOldFiles,
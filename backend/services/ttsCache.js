@@ -0,0 +1,126 @@
+/**
+ * TTS Cache Service
+ * In-memory LRU cache of synthesized speech, keyed by the content of the request
+ * (voice, model, voice settings and normalized text), so phrases that come up again and again
+ * are only paid for once per server run.
+ */
+
+const crypto = require('crypto');
+
+// Size limits (0 disables the cache)
+const MAX_BYTES = Number(process.env.TTS_CACHE_MAX_MB ?? 64) * 1024 * 1024;
+const MAX_ENTRIES = Number(process.env.TTS_CACHE_MAX_ENTRIES ?? 1000);
+
+// Map iteration order doubles as recency order: oldest first
+const entries = new Map();
+let totalBytes = 0;
+
+const stats = {
+	hits: 0,
+	misses: 0,
+	evictions: 0,
+	charactersSaved: 0,
+	bytesServed: 0,
+};
+
+/**
+ * Normalize text so trivially different spellings of a phrase share a cache entry
+ * @param {string} text - Text to speak
+ * @returns {string}
+ */
+function normalizeText(text) {
+	return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Cache key for a TTS request.
+ * Context hints (previous_text/next_text) are deliberately left out, so a sentence is reused
+ * whatever surrounds it.
+ * @param {string} voiceId - ElevenLabs voice ID
+ * @param {Object} request - TTS request body ({ text, model_id, voice_settings })
+ * @returns {string}
+ */
+function getKey(voiceId, request) {
+	return crypto
+		.createHash('sha256')
+		.update(JSON.stringify([voiceId, request.model_id, request.voice_settings || null, normalizeText(request.text)]))
+		.digest('hex');
+}
+
+/**
+ * Check whether caching is enabled
+ * @returns {boolean}
+ */
+function isEnabled() {
+	return MAX_BYTES > 0 && MAX_ENTRIES > 0;
+}
+
+/**
+ * Look up cached audio, marking it as recently used
+ * @param {string} key - Key from getKey
+ * @param {number} characters - Characters the request would have cost, for the savings count
+ * @returns {Buffer|null}
+ */
+function get(key, characters) {
+	if (!isEnabled()) return null;
+
+	const audio = entries.get(key);
+	if (!audio) {
+		stats.misses++;
+		return null;
+	}
+
+	entries.delete(key);
+	entries.set(key, audio);
+	stats.hits++;
+	stats.charactersSaved += characters;
+	stats.bytesServed += audio.length;
+	return audio;
+}
+
+/**
+ * Store audio, evicting the least recently used entries to stay within the limits
+ * @param {string} key - Key from getKey
+ * @param {Buffer} audio - MP3 data
+ */
+function set(key, audio) {
+	if (!isEnabled() || audio.length > MAX_BYTES) return;
+
+	if (entries.has(key)) {
+		totalBytes -= entries.get(key).length;
+		entries.delete(key);
+	}
+	entries.set(key, audio);
+	totalBytes += audio.length;
+
+	for (const [oldestKey, oldest] of entries) {
+		if (totalBytes <= MAX_BYTES && entries.size <= MAX_ENTRIES) break;
+		entries.delete(oldestKey);
+		totalBytes -= oldest.length;
+		stats.evictions++;
+	}
+}
+
+/**
+ * Cache usage and savings since the server started
+ * @returns {Object}
+ */
+function getStats() {
+	const lookups = stats.hits + stats.misses;
+	return {
+		enabled: isEnabled(),
+		entries: entries.size,
+		bytes: totalBytes,
+		maxEntries: MAX_ENTRIES,
+		maxBytes: MAX_BYTES,
+		...stats,
+		hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+	};
+}
+
+module.exports = {
+	getKey,
+	get,
+	set,
+	getStats,
+};
@@ -0,0 +1,1521 @@
+/**
+ * Turn Pipeline Service
+ * Runs a single conversation turn: STT → language detection → LLM → TTS → persistence
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const franc = require('franc');
+const dataStore = require('./dataStore');
+const elevenlabs = require('./elevenlabs');
+const llmFactory = require('./llmFactory');
+const storage = require('./storage');
+const settingsStore = require('./settingsStore');
+const openrouterStatus = require('./openrouterStatus');
+const messageTree = require('./messageTree');
+const contextWindow = require('./contextWindow');
+const personaMemory = require('./personaMemory');
+const knowledgeBase = require('./knowledgeBase');
+const conversationAudio = require('./conversationAudio');
+const groupChat = require('./groupChat');
+
+// Per-conversation turn queue to prevent concurrent turn lost-updates
+const turnQueues = new Map();
+
+// Abort controllers of queued and running turns, keyed by "<conversationId>:<turnId>"
+const activeTurns = new Map();
+
+// Fields recording a failed reply synthesis, kept on assistant messages and reply versions alike
+const AUDIO_FAILURE_FIELDS = ['audioStatus', 'audioError', 'audioAttempts', 'audioFailedAt'];
+
+// Voice switch instruction for LLM
+const VOICE_SWITCH_META = `If the user asks to switch to a different voice or persona (NOT a language), you MUST output the following JSON on its own line BEFORE your reply:
+{"switchVoice":"<exact voice name>"}
+Then continue your reply as the new persona on the next line.
+IMPORTANT: Language requests like "speak in French" or "respond in Spanish" are NOT voice switches. Do not emit switchVoice for language change requests.`;
+
+// LLM switch instruction for LLM
+const LLM_SWITCH_META = `If the user asks to switch to a different LLM/AI model (NOT a language or voice change), emit {"switchLLM":"model-id"} on its own line BEFORE your reply. Use exact model IDs from the available list. Do NOT emit this for language change requests.`;
+
+// Display names for the language codes the app supports
+const LANGUAGE_NAMES = {
+	en: 'English',
+	fr: 'French',
+	es: 'Spanish',
+	de: 'German',
+	ar: 'Arabic',
+	ja: 'Japanese',
+	zh: 'Chinese',
+	ru: 'Russian',
+	pt: 'Portuguese',
+	it: 'Italian',
+	ko: 'Korean',
+	nl: 'Dutch',
+	sv: 'Swedish',
+	da: 'Danish',
+	no: 'Norwegian',
+	fi: 'Finnish',
+	pl: 'Polish',
+	tr: 'Turkish',
+	he: 'Hebrew',
+	hi: 'Hindi',
+	th: 'Thai',
+	vi: 'Vietnamese',
+	id: 'Indonesian',
+	ms: 'Malay',
+	uk: 'Ukrainian',
+	cs: 'Czech',
+	hu: 'Hungarian',
+};
+
+// Normalize franc ISO-639-3 codes to BCP-47 codes used by the app
+const FRANC_TO_BCP47 = {
+	eng: 'en',
+	fra: 'fr',
+	spa: 'es',
+	deu: 'de',
+	ara: 'ar',
+	jpn: 'ja',
+	zho: 'zh',
+	rus: 'ru',
+	por: 'pt',
+	ita: 'it',
+	kor: 'ko',
+	nld: 'nl',
+	swe: 'sv',
+	dan: 'da',
+	nor: 'no',
+	fin: 'fi',
+	pol: 'pl',
+	tur: 'tr',
+	heb: 'he',
+	hin: 'hi',
+	tha: 'th',
+	vie: 'vi',
+	ind: 'id',
+	msa: 'ms',
+	ukr: 'uk',
+	ces: 'cs',
+	hun: 'hu',
+};
+
+// Helper function to extract voice switch signal from LLM response
+function extractSwitchVoiceSignal(text) {
+	if (!text) return null;
+
+	// Priority 1: Fenced block at start: ```json\n{...}\n```
+	let match = text.match(/^\`\`\`(?:json)?\s*\n(\{[^\n]*\})\s*\n\`\`\`\s*\n?/);
+	if (match) {
+		try {
+			const parsed = JSON.parse(match[1]);
+			if (typeof parsed.switchVoice === 'string' && parsed.switchVoice) {
+				return {
+					switchVoice: parsed.switchVoice,
+					replyText: text.slice(match[0].length).trim(),
+				};
+			}
+		} catch (e) {
+			// Continue to next candidate if JSON parsing fails
+		}
+	}
+
+	// Priority 2: Clean first-line JSON: {"switchVoice":"Didi"}\n...
+	match = text.match(/^(\{[^\n]*\})\s*\n?/);
+	if (match) {
+		try {
+			const parsed = JSON.parse(match[1]);
+			if (typeof parsed.switchVoice === 'string' && parsed.switchVoice) {
+				return {
+					switchVoice: parsed.switchVoice,
+					replyText: text.slice(match[0].length).trim(),
+				};
+			}
+		} catch (e) {
+			// Return null if JSON parsing fails
+		}
+	}
+
+	// Priority 3: Scan all lines for JSON pattern
+	const lines = text.split('\n');
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i];
+		const jsonMatch = line.match(/\{[^\n]*\}/);
+		if (jsonMatch) {
+			try {
+				const parsed = JSON.parse(jsonMatch[0]);
+				if (typeof parsed.switchVoice === 'string' && parsed.switchVoice) {
+					// Remove the line containing the JSON from the array
+					lines.splice(i, 1);
+					// Join the remaining lines back together
+					const replyText = lines.join('\n').trim();
+					return {
+						switchVoice: parsed.switchVoice,
+						replyText: replyText,
+					};
+				}
+			} catch (e) {
+				// Continue to next line if JSON parsing fails
+			}
+		}
+	}
+
+	return null;
+}
+
+// Helper function to extract LLM switch signal from LLM response
+function extractSwitchLlmSignal(text) {
+	if (!text) return null;
+
+	// Priority 1: Fenced block at start: ```json\n{...}\n```
+	let match = text.match(/^\`\`\`(?:json)?\s*\n(\{[^\n]*\})\s*\n\`\`\`\s*\n?/);
+	if (match) {
+		try {
+			const parsed = JSON.parse(match[1]);
+			if (typeof parsed.switchLLM === 'string' && parsed.switchLLM) {
+				return {
+					switchLLM: parsed.switchLLM,
+					replyText: text.slice(match[0].length).trim(),
+				};
+			}
+		} catch (e) {
+			// Continue to next candidate if JSON parsing fails
+		}
+	}
+
+	// Priority 2: Clean first-line JSON: {"switchLLM":"model-id"}\n...
+	match = text.match(/^(\{[^\n]*\})\s*\n?/);
+	if (match) {
+		try {
+			const parsed = JSON.parse(match[1]);
+			if (typeof parsed.switchLLM === 'string' && parsed.switchLLM) {
+				return {
+					switchLLM: parsed.switchLLM,
+					replyText: text.slice(match[0].length).trim(),
+				};
+			}
+		} catch (e) {
+			// Return null if JSON parsing fails
+		}
+	}
+
+	// Priority 3: Scan all lines for JSON pattern
+	const lines = text.split('\n');
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i];
+		const jsonMatch = line.match(/\{[^\n]*\}/);
+		if (jsonMatch) {
+			try {
+				const parsed = JSON.parse(jsonMatch[0]);
+				if (typeof parsed.switchLLM === 'string' && parsed.switchLLM) {
+					// Remove the line containing the JSON from the array
+					lines.splice(i, 1);
+					// Join the remaining lines back together
+					const replyText = lines.join('\n').trim();
+					return {
+						switchLLM: parsed.switchLLM,
+						replyText: replyText,
+					};
+				}
+			} catch (e) {
+				// Continue to next line if JSON parsing fails
+			}
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Run a function after any turn already queued for the same conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Function} fn - Async work to run
+ * @returns {Promise}
+ */
+function enqueueTurn(conversationId, fn) {
+	const current = turnQueues.get(conversationId) || Promise.resolve();
+	const next = current.catch(() => {}).then(() => fn());
+	turnQueues.set(conversationId, next);
+
+	// Drop the queue once it has drained
+	next.catch(() => {}).then(() => {
+		if (turnQueues.get(conversationId) === next) turnQueues.delete(conversationId);
+	});
+
+	return next;
+}
+
+/**
+ * Create the error a cancelled turn fails with
+ * @returns {Error}
+ */
+function createCancelledError() {
+	const err = new Error('Turn cancelled');
+	err.status = 499;
+	err.cancelled = true;
+	return err;
+}
+
+/**
+ * Stop a turn between stages once it has been cancelled
+ * @param {AbortSignal} [signal] - The turn's abort signal
+ * @throws {Error} Cancelled error if the signal has fired
+ */
+function throwIfCancelled(signal) {
+	if (signal?.aborted) throw createCancelledError();
+}
+
+/**
+ * Queue a turn that cancelTurn can cancel. The work is called with an AbortSignal for its
+ * STT, LLM and TTS requests; a turn cancelled while still waiting in the queue never runs.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} turnId - Turn ID
+ * @param {Function} fn - Async work to run, called with an AbortSignal
+ * @returns {Promise}
+ */
+function enqueueCancellableTurn(conversationId, turnId, fn) {
+	const key = `${conversationId}:${turnId}`;
+	const controller = new AbortController();
+	activeTurns.set(key, controller);
+
+	return enqueueTurn(conversationId, () => {
+		throwIfCancelled(controller.signal);
+		return fn(controller.signal);
+	}).finally(() => {
+		if (activeTurns.get(key) === controller) activeTurns.delete(key);
+	});
+}
+
+/**
+ * Cancel a queued or running turn: its in-flight requests are aborted and it fails with a
+ * cancelled error (status 499) instead of being saved. A turn that has already been saved stays.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} turnId - Turn ID
+ * @returns {boolean} false if the turn is not queued or running
+ */
+function cancelTurn(conversationId, turnId) {
+	const controller = activeTurns.get(`${conversationId}:${turnId}`);
+	if (!controller) return false;
+
+	console.log(`🛑 Cancelling turn ${turnId}`);
+	controller.abort();
+	return true;
+}
+
+/**
+ * Build the turn response payload from the messages stored for a turn
+ * @param {Array} messages - Conversation messages
+ * @param {string} turnId - Turn ID
+ * @returns {Object|null} Turn response, or null if the turn has not been stored
+ */
+function buildTurnResponse(messages, turnId) {
+	const existing = messages.filter((m) => m.turnId === turnId);
+	if (existing.length === 0) return null;
+
+	const userMessage = existing.find((m) => m.role === 'user');
+	const aiMessage = existing.find((m) => m.role === 'assistant');
+
+	// Look for system events
+	const voiceSwitchEvent = existing.find((m) => m.role === 'system' && m.type === 'voiceSwitch');
+	const languageSwitchEvent = existing.find((m) => m.role === 'system' && m.type === 'languageSwitch');
+	const llmSwitchEvent = existing.find((m) => m.role === 'system' && m.type === 'llmSwitch' && m.subtype === 'switch');
+	const llmFallbackEvent = existing.find((m) => m.role === 'system' && m.type === 'llmSwitch' && m.subtype === 'fallback');
+
+	const response = { userMessage, aiMessage };
+	if (voiceSwitchEvent) {
+		response.voiceSwitchEvent = voiceSwitchEvent;
+	}
+	if (languageSwitchEvent) {
+		response.languageSwitchEvent = languageSwitchEvent;
+	}
+	if (llmSwitchEvent) {
+		response.llmSwitchEvent = llmSwitchEvent;
+	}
+	if (llmFallbackEvent) {
+		response.llmFallbackEvent = llmFallbackEvent;
+	}
+
+	return response;
+}
+
+/**
+ * Build the system prompt sent to the LLM for a voice
+ * @param {Object} voice - Voice record
+ * @param {string|null} languageInstruction - e.g. "Respond in French."
+ * @param {Object} [options]
+ * @param {boolean} [options.textSignals=true] - Include the text switch-signal instructions (not needed when switch tools are offered)
+ * @param {string|null} [options.summary] - Rolling summary of the earlier conversation
+ * @param {Array<string>} [options.memories] - Facts the persona remembers about the user
+ * @param {Array<Object>} [options.passages] - Knowledge base passages relevant to the turn
+ * @param {Array<Object>|null} [options.participants] - Participants of a group conversation (no voice switching there)
+ * @returns {string}
+ */
+function buildSystemContent(voice, languageInstruction, { textSignals = true, summary = null, memories = [], passages = [], participants = null } = {}) {
+	let systemContent = voice.systemPrompt;
+	if (participants && participants.length > 1) {
+		systemContent += '\n\n' + groupChat.buildGroupInstruction(voice, participants);
+	}
+	if (memories.length > 0) {
+		systemContent += '\n\nThings you remember about the user from your conversations:\n' + memories.map((m) => '- ' + m).join('\n');
+	}
+	if (passages.length > 0) {
+		systemContent +=
+			'\n\nPassages from your own letters and writings that may relate to what the user just said. Draw on them naturally if they help:\n\n' +
+			passages.map((p) => `[${p.documentName}]\n${p.content}`).join('\n\n');
+	}
+	if (summary) {
+		systemContent += '\n\nSummary of your earlier conversation with the user:\n' + summary;
+	}
+	if (textSignals) {
+		if (!participants) {
+			systemContent += '\n\n' + VOICE_SWITCH_META;
+		}
+		if (openrouterStatus.isActive()) {
+			systemContent += '\n\n' + LLM_SWITCH_META;
+		}
+	}
+	if (languageInstruction) {
+		systemContent += '\n\n' + languageInstruction;
+	}
+	return systemContent;
+}
+
+/**
+ * Gather what the LLM is told about the past for a turn: the voice's memories, knowledge base
+ * passages relevant to the user's message, the rolling summary, and the recent history that
+ * fits the context budget of the model that will answer
+ * @param {Object} conversation - Conversation object
+ * @param {Array} historyPath - Messages before the new user message
+ * @param {Object} voice - Voice record
+ * @param {string|null} languageInstruction - Language instruction for the system prompt
+ * @param {string} userText - New user message
+ * @param {string|undefined} modelOverride - Model that will answer
+ * @returns {Promise<{memories: Array<string>, passages: Array<Object>, summary: string|null, messages: Array, needsSummary: boolean}>}
+ */
+async function buildTurnContext(conversation, historyPath, voice, languageInstruction, userText, modelOverride) {
+	const memories = await personaMemory.getPromptMemories(voice.id);
+	const passages = await knowledgeBase.retrieve(voice.id, userText).catch((error) => {
+		console.warn(`⚠️ Knowledge base search failed: ${error.message}`);
+		return [];
+	});
+	const budget = await contextWindow.getContextBudget(modelOverride);
+	const reservedTokens = contextWindow.estimateTokens(buildSystemContent(voice, languageInstruction, { memories, passages })) + contextWindow.estimateTokens(userText);
+	return { memories, passages, ...contextWindow.buildContext(conversation, historyPath, budget, reservedTokens) };
+}
+
+/**
+ * Describe the knowledge base passages a reply drew on, for the assistant message
+ * @param {Array<Object>} passages - Passages injected into the system prompt
+ * @returns {Array<{documentId: string, documentName: string, chunkId: string, excerpt: string}>}
+ */
+function toSources(passages) {
+	return passages.map((p) => ({
+		documentId: p.documentId,
+		documentName: p.documentName,
+		chunkId: p.chunkId,
+		excerpt: p.content.length > 200 ? p.content.slice(0, 200).trimEnd() + '…' : p.content,
+	}));
+}
+
+/**
+ * Map stored conversation messages onto LLM chat history
+ * @param {Array} messages - Conversation messages
+ * @param {Object} [speaker] - In a group conversation, the voice that will answer: the other participants' replies are prefixed with their name
+ * @param {Array} [voices] - All voices, for those names
+ * @returns {Array<{role: string, content: string}>}
+ */
+function toLlmHistory(messages, speaker = null, voices = []) {
+	return messages
+		.filter((m) => m.role === 'user' || m.role === 'assistant')
+		.map((m) => {
+			if (!speaker || m.role !== 'assistant' || !m.voiceId || m.voiceId === speaker.id) {
+				return { role: m.role, content: m.content };
+			}
+			const name = voices.find((v) => v.id === m.voiceId)?.name || 'Someone else';
+			return { role: m.role, content: `${name}: ${m.content}` };
+		});
+}
+
+/**
+ * Find the voices whose name matches a requested name (case-insensitive, partial either way)
+ * @param {Array} voices - Available voices
+ * @param {string} name - Requested voice name
+ * @returns {Array} Matching voices
+ */
+function findVoiceMatches(voices, name) {
+	const normalizedName = name.trim().toLowerCase();
+	if (!normalizedName) return [];
+	return voices.filter((v) => v.name.toLowerCase().includes(normalizedName) || normalizedName.includes(v.name.toLowerCase()));
+}
+
+/**
+ * Describe the switch tools offered to models that support native tool calling
+ * @param {Array|null} voices - Available voices, or null when voice switching is unavailable (group conversations)
+ * @param {Array|null} models - OpenRouter models, or null when LLM switching is unavailable
+ * @returns {Array<{name: string, description: string, parameters: Object}>}
+ */
+function buildSwitchTools(voices, models) {
+	const tools = [];
+
+	if (voices) {
+		tools.push({
+			name: 'switch_voice',
+			description: 'Switch to a different voice or persona when the user asks for one. Not for language changes. After calling it, reply as the new persona.',
+			parameters: {
+				type: 'object',
+				properties: {
+					voice: { type: 'string', description: `Exact voice name. Available voices: ${voices.map((v) => v.name).join(', ')}` },
+				},
+				required: ['voice'],
+			},
+		});
+	}
+
+	tools.push({
+		name: 'set_language',
+		description: 'Change the language of the conversation when the user asks you to speak a different language.',
+		parameters: {
+			type: 'object',
+			properties: {
+				language: {
+					type: 'string',
+					description: `Language code, one of: ${Object.entries(LANGUAGE_NAMES)
+						.map(([code, name]) => `${code} (${name})`)
+						.join(', ')}`,
+				},
+			},
+			required: ['language'],
+		},
+	});
+
+	if (models) {
+		tools.push({
+			name: 'switch_llm',
+			description: 'Switch the AI model used for the following replies when the user asks for a different model. Not for voice or language changes.',
+			parameters: {
+				type: 'object',
+				properties: {
+					model: { type: 'string', description: `Model ID, one of: ${models.map((m) => `${m.id} (${m.name})`).join(', ')}` },
+				},
+				required: ['model'],
+			},
+		});
+	}
+
+	return tools;
+}
+
+/**
+ * Create the switch tools and their handler for one LLM attempt.
+ * Tool calls only record the requested switches in `state`; the turn applies them
+ * once the reply has been generated, exactly like the text signals.
+ * @param {Object} context
+ * @param {Array|null} context.voices - Available voices, or null when voice switching is unavailable
+ * @param {Object} context.voice - Voice currently speaking
+ * @param {Array|null} context.models - OpenRouter models, or null when LLM switching is unavailable
+ * @returns {{tools: Array, state: {voice: Object|null, llmModel: string|null, language: string|null}, onToolCall: Function}}
+ */
+function createSwitchToolSession({ voices, voice, models }) {
+	const state = { voice: null, llmModel: null, language: null };
+
+	const onToolCall = (name, args) => {
+		if (name === 'switch_voice' && voices) {
+			const requested = String(args.voice || '');
+			const matches = findVoiceMatches(voices, requested);
+			if (matches.length === 0) {
+				return `No voice named "${requested}". Available voices: ${voices.map((v) => v.name).join(', ')}.`;
+			}
+			if (matches.length >= 2) {
+				return `"${requested}" matches ${matches.map((v) => v.name).join(' and ')}. Ask the user which one they meant.`;
+			}
+
+			const [matchedVoice] = matches;
+			if (matchedVoice.id === voice.id) {
+				state.voice = null;
+				return `You are already speaking as ${matchedVoice.name}.`;
+			}
+			state.voice = matchedVoice;
+			return `Switched to ${matchedVoice.name}. Reply as ${matchedVoice.name} from now on, following this persona:\n${matchedVoice.systemPrompt}`;
+		}
+
+		if (name === 'set_language') {
+			const code = String(args.language || '').trim().toLowerCase();
+			if (!LANGUAGE_NAMES[code]) {
+				return `Unsupported language "${args.language}". Supported codes: ${Object.keys(LANGUAGE_NAMES).join(', ')}.`;
+			}
+			state.language = code;
+			return `Language set to ${LANGUAGE_NAMES[code]}. Respond in ${LANGUAGE_NAMES[code]}.`;
+		}
+
+		if (name === 'switch_llm' && models) {
+			const model = models.find((m) => m.id === args.model);
+			if (!model) {
+				return `Unknown model "${args.model}". Available models: ${models.map((m) => m.id).join(', ')}.`;
+			}
+			state.llmModel = model.id;
+			return `Switched to ${model.name}. It will answer from the next message on.`;
+		}
+
+		return `Unknown tool "${name}".`;
+	};
+
+	return { tools: buildSwitchTools(voices, models), state, onToolCall };
+}
+
+/**
+ * Make one LLM call. Switch tools are offered natively when the route supports tool calling;
+ * otherwise, or when the model rejects them, the text-signal instructions are used instead.
+ * @param {Function} buildMessages - Called with useTools; returns the messages to send
+ * @param {string|undefined} modelOverride - Model to use
+ * @param {Object} hooks - Progress callbacks (onToken, onLlmRetry) and the turn's abort signal
+ * @param {Function} [createToolSession] - Returns a fresh { tools, state, onToolCall }; omit to use text signals only
+ * @returns {Promise<{aiText: string, toolState: Object|null}>} toolState is null when text signals were used
+ */
+async function chatOnce(buildMessages, modelOverride, hooks, createToolSession) {
+	if (createToolSession && llmFactory.supportsTools(modelOverride)) {
+		const session = createToolSession();
+		try {
+			const aiText = await llmFactory.chat(buildMessages(true), { modelOverride, onToken: hooks.onToken, tools: session.tools, onToolCall: session.onToolCall, signal: hooks.signal });
+			return { aiText, toolState: session.state };
+		} catch (error) {
+			if (!error.toolsUnsupported || hooks.signal?.aborted) throw error;
+			console.warn('⚠️ Model does not support tools, falling back to text switch signals');
+			hooks.onLlmRetry?.();
+		}
+	}
+
+	const aiText = await llmFactory.chat(buildMessages(false), { modelOverride, onToken: hooks.onToken, signal: hooks.signal });
+	return { aiText, toolState: null };
+}
+
+/**
+ * Call the LLM, retrying once with the fallback model if the primary call fails
+ * @param {Function} buildMessages - Called with useTools; returns the messages to send
+ * @param {string|undefined} modelOverride - Model to try first
+ * @param {Object} settings - App settings (for the preferred fallback model)
+ * @param {Object} hooks - Progress callbacks (onToken, onLlmRetry) and the turn's abort signal
+ * @param {Function} [createToolSession] - Switch tool factory (see chatOnce)
+ * @returns {Promise<{aiText: string, toolState: Object|null, fallback: {model: string|undefined}|null}>}
+ */
+async function chatWithFallback(buildMessages, modelOverride, settings, hooks = {}, createToolSession) {
+	try {
+		const { aiText, toolState } = await chatOnce(buildMessages, modelOverride, hooks, createToolSession);
+		return { aiText, toolState, fallback: null };
+	} catch (primaryError) {
+		// A cancelled turn has nothing to fall back for
+		if (hooks.signal?.aborted) throw primaryError;
+
+		console.warn('⚠️ Primary LLM failed, attempting fallback');
+		hooks.onLlmRetry?.();
+		const fallbackOverride = settings.preferredLlmModel && settings.preferredLlmModel !== modelOverride ? settings.preferredLlmModel : undefined;
+		try {
+			const { aiText, toolState } = await chatOnce(buildMessages, fallbackOverride, hooks, createToolSession);
+			return { aiText, toolState, fallback: { model: fallbackOverride } };
+		} catch (fallbackError) {
+			throw primaryError; // Re-throw original error
+		}
+	}
+}
+
+/**
+ * Build an llmSwitch event recording a model switch requested by the LLM
+ * @param {string} turnId - Turn ID
+ * @param {string} model - New model ID
+ * @returns {Object}
+ */
+function createLlmSwitchEvent(turnId, model) {
+	return {
+		id: uuidv4(),
+		turnId,
+		role: 'system',
+		type: 'llmSwitch',
+		subtype: 'switch',
+		model,
+		timestamp: new Date().toISOString(),
+	};
+}
+
+/**
+ * Build a languageSwitch event for a successful switch
+ * @param {string} turnId - Turn ID
+ * @param {string} fromLanguage - Previous language code
+ * @param {string} toLanguage - New language code
+ * @returns {Object}
+ */
+function createLanguageSwitchEvent(turnId, fromLanguage, toLanguage) {
+	return {
+		id: uuidv4(),
+		turnId,
+		role: 'system',
+		type: 'languageSwitch',
+		subtype: 'switch',
+		fromLanguage,
+		toLanguage,
+		timestamp: new Date().toISOString(),
+	};
+}
+
+/**
+ * Synthesize reply audio and store it as <fileId>.mp3 in the conversation's storage directory
+ * @param {string} conversationId - Conversation ID
+ * @param {string} fileId - ID used for the audio filename
+ * @param {string} elevenLabsVoiceId - ElevenLabs voice to speak with
+ * @param {string} text - Reply text
+ * @param {Object} hooks - Progress callbacks (onAudio switches to sentence-level streaming) and the turn's abort signal
+ * @returns {Promise<string>} Audio URL
+ */
+async function synthesizeReply(conversationId, fileId, elevenLabsVoiceId, text, hooks = {}) {
+	// When streaming, synthesize per sentence so playback can start early
+	let audioBuffer;
+	if (hooks.onAudio) {
+		audioBuffer = await elevenlabs.generateSpeechBySentence(
+			elevenLabsVoiceId,
+			text,
+			(index, chunk) => {
+				hooks.onAudio({ index, url: `data:audio/mpeg;base64,${chunk.toString('base64')}` });
+			},
+			{ signal: hooks.signal }
+		);
+	} else {
+		audioBuffer = await elevenlabs.generateSpeech(elevenLabsVoiceId, text, { signal: hooks.signal });
+	}
+	console.log('🎙️ TTS audio generated');
+
+	await storage.uploadFile(conversationId, `${fileId}.mp3`, audioBuffer);
+	return `/api/audio/${conversationId}/${fileId}.mp3`;
+}
+
+/**
+ * Record a failed synthesis on a reply (or reply version) that is kept as text
+ * @param {Object} target - Assistant message or reply version
+ * @param {Error} error - Synthesis error
+ */
+function markAudioFailed(target, error) {
+	target.audioStatus = 'failed';
+	target.audioError = error.message;
+	target.audioAttempts = (target.audioAttempts || 0) + 1;
+	target.audioFailedAt = new Date().toISOString();
+}
+
+/**
+ * Drop the failed-synthesis record of a reply (or reply version)
+ * @param {Object} target - Assistant message or reply version
+ */
+function clearAudioFailure(target) {
+	AUDIO_FAILURE_FIELDS.forEach((field) => delete target[field]);
+}
+
+/**
+ * Run the full turn pipeline for a conversation.
+ * The conversation is only saved once every stage has succeeded. The paid stages (transcription,
+ * LLM reply, reply audio) are recorded in a turn journal as they finish, so a retry with the same
+ * turnId resumes from the first incomplete stage instead of paying again (and possibly getting a
+ * different reply). A cancelled turn drops its journal and audio. If only the reply audio fails, the
+ * turn is saved as text with audioStatus 'failed' so the audio can be retried later.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} input - Turn input
+ * @param {string} input.turnId - Client-generated turn ID (idempotency key)
+ * @param {Buffer} [input.audioBuffer] - Recorded user audio
+ * @param {string} [input.mimeType] - MIME type of the recorded audio
+ * @param {string} [input.transcribedText] - Already transcribed or typed user text
+ * @param {string|null} [input.parentId] - Message to branch from (defaults to the active leaf)
+ * @param {AbortSignal} [input.signal] - Cancels the turn (see enqueueCancellableTurn)
+ * @param {Object} hooks - Optional progress callbacks
+ * @param {Function} [hooks.onTranscript] - Called with the user text once known
+ * @param {Function} [hooks.onToken] - Called with each LLM text delta as it arrives
+ * @param {Function} [hooks.onLlmRetry] - Called when the primary LLM failed and the fallback is tried
+ * @param {Function} [hooks.onReply] - Called with the final reply text before TTS
+ * @param {Function} [hooks.onAudio] - Called with { index, url } for each sentence audio chunk (url is a data: URL)
+ * @returns {Promise<Object>} Turn response ({ userMessage, aiMessage, ...system events })
+ */
+async function runTurn(conversationId, input, hooks = {}) {
+	const { turnId, signal } = input;
+
+	// Load conversation
+	const conversation = await dataStore.getConversation(conversationId); // Propagates 404
+
+	// Idempotency check
+	const existingResponse = buildTurnResponse(conversation.messages, turnId);
+	if (existingResponse) {
+		return existingResponse;
+	}
+
+	// Forking from an earlier message continues with the settings in effect there
+	if (input.parentId !== undefined) {
+		messageTree.applyPathState(conversation, messageTree.getPathTo(conversation.messages, input.parentId));
+	}
+
+	// Stages finished by an earlier attempt at this turn
+	const journal = (await dataStore.getTurnJournal(conversationId, turnId)) || {};
+	const recordStage = async (stage, result) => {
+		journal[stage] = result;
+		await dataStore.saveTurnJournal(conversationId, turnId, journal);
+	};
+
+	// Atomic pipeline
+	let aiMessageId;
+
+	try {
+		// Load voice; in a group conversation, who answers is decided once the user's message is known
+		const voices = await dataStore.getVoices();
+		const participants = groupChat.isGroup(conversation) ? groupChat.getParticipants(conversation, voices) : null;
+		let voice = participants ? participants[0] : voices.find((v) => v.id === conversation.voiceId);
+		if (!voice) {
+			const err = new Error('Voice not found');
+			err.status = 404;
+			throw err;
+		}
+
+		// Transcribe speech
+		console.log(`🎙️ Transcribing speech for turn ${turnId}`);
+		let userText;
+		let sttLanguageCode;
+		if (journal.transcript) {
+			console.log(`🔁 Resuming turn ${turnId} with its earlier transcript`);
+			({ userText, sttLanguageCode } = journal.transcript);
+		} else if (input.transcribedText && input.transcribedText.trim()) {
+			userText = input.transcribedText.trim();
+			sttLanguageCode = null;
+		} else {
+			const { text, languageCode } = await elevenlabs.transcribeSpeech(input.audioBuffer, input.mimeType, { signal });
+			userText = text;
+			sttLanguageCode = languageCode;
+			await recordStage('transcript', { userText, sttLanguageCode });
+		}
+		hooks.onTranscript?.(userText);
+
+		// Messages before the new one: the active branch, or the branch being forked
+		const historyPath = input.parentId === undefined ? messageTree.getActivePath(conversation) : messageTree.getPathTo(conversation.messages, input.parentId);
+
+		// The participant addressed by name answers, otherwise the one the turn-taking policy picks
+		if (participants) {
+			voice = groupChat.chooseResponder(conversation, participants, userText, historyPath);
+			conversation.voiceId = voice.id;
+		}
+
+		// Language detection and instruction
+		const settings = await settingsStore.getSettings();
+		const currentActiveLanguage = conversation.activeLanguage || settings.defaultLanguage;
+		let detectedLang,
+			highConfidence,
+			languageSwitchEvent = null,
+			languageInstruction = null;
+		if (sttLanguageCode !== null) {
+			detectedLang = sttLanguageCode;
+			highConfidence = true;
+		} else {
+			const rawFrancCode = franc(userText);
+			const mappedLang = FRANC_TO_BCP47[rawFrancCode];
+			if (mappedLang === undefined) {
+				detectedLang = 'und';
+				highConfidence = false;
+			} else {
+				detectedLang = mappedLang;
+				highConfidence = userText.length >= 15;
+			}
+		}
+		if (highConfidence && detectedLang !== currentActiveLanguage) {
+			conversation.activeLanguage = detectedLang;
+			languageSwitchEvent = createLanguageSwitchEvent(turnId, currentActiveLanguage, detectedLang);
+			languageInstruction = 'Respond in ' + LANGUAGE_NAMES[detectedLang] + '.';
+		} else if (highConfidence && detectedLang === currentActiveLanguage) {
+			languageInstruction = 'Respond in ' + LANGUAGE_NAMES[currentActiveLanguage] + '.';
+		} else if (!highConfidence) {
+			languageSwitchEvent = {
+				id: uuidv4(),
+				turnId,
+				role: 'system',
+				type: 'languageSwitch',
+				subtype: 'lowConfidence',
+				timestamp: new Date().toISOString(),
+			};
+			languageInstruction = 'Respond in ' + LANGUAGE_NAMES[currentActiveLanguage] + '.';
+		}
+
+		// Resolve model override
+		let modelOverride = conversation.activeLlmModel || settings.preferredLlmModel || undefined;
+
+		// Prepare messages for LLM: rolling summary plus the recent history that fits the model's budget
+		const context = await buildTurnContext(conversation, historyPath, voice, languageInstruction, userText, modelOverride);
+		const buildLlmMessages = (useTools) => [
+			{ role: 'system', content: buildSystemContent(voice, languageInstruction, { textSignals: !useTools, summary: context.summary, memories: context.memories, passages: context.passages, participants }) },
+			...toLlmHistory(context.messages, participants && voice, voices),
+			{ role: 'user', content: userText },
+		];
+
+		// Switch tools for models with native tool calling (switch_llm only while OpenRouter is active, switch_voice not in groups)
+		const models = openrouterStatus.isActive() ? await settingsStore.getOpenRouterModels().catch(() => []) : null;
+		const createToolSession = () => createSwitchToolSession({ voices: participants ? null : voices, voice, models });
+
+		// Get LLM response with auto-fallback (unless an earlier attempt already got one)
+		throwIfCancelled(signal);
+		let llmResult = journal.llm;
+		if (llmResult) {
+			console.log(`🔁 Resuming turn ${turnId} with its earlier LLM reply`);
+		} else {
+			llmResult = await chatWithFallback(buildLlmMessages, modelOverride, settings, { ...hooks, signal }, createToolSession);
+			await recordStage('llm', llmResult);
+		}
+		const { aiText, fallback, toolState } = llmResult;
+		let llmFallbackEvent = null;
+		if (fallback) {
+			if (fallback.model !== undefined) {
+				conversation.activeLlmModel = fallback.model;
+				llmFallbackEvent = {
+					id: uuidv4(),
+					turnId,
+					role: 'system',
+					type: 'llmSwitch',
+					subtype: 'fallback',
+					model: fallback.model,
+					timestamp: new Date().toISOString(),
+				};
+			} else {
+				// Baseline fallback, no model change
+				llmFallbackEvent = {
+					id: uuidv4(),
+					turnId,
+					role: 'system',
+					type: 'llmSwitch',
+					subtype: 'fallback',
+					timestamp: new Date().toISOString(),
+				};
+			}
+		}
+		console.log('🎙️ LLM response received');
+
+		// Trim and extract signal
+		const trimmedAiText = aiText?.trim() || 'No response';
+
+		// Determine branch variables
+		let llmSwitchEvent = null;
+		let replyText,
+			ttsElevenLabsVoiceId = voice.elevenLabsVoiceId,
+			pendingSwitch = null;
+
+		if (toolState) {
+			// Native tool calls: the switches were validated when the tools were called
+			replyText = trimmedAiText;
+
+			if (toolState.voice) {
+				pendingSwitch = toolState.voice;
+				ttsElevenLabsVoiceId = pendingSwitch.elevenLabsVoiceId;
+			}
+
+			if (toolState.llmModel) {
+				conversation.activeLlmModel = toolState.llmModel;
+				llmSwitchEvent = createLlmSwitchEvent(turnId, toolState.llmModel);
+			}
+
+			// An explicit language request overrides the detected language
+			if (toolState.language) {
+				conversation.activeLanguage = toolState.language;
+				languageSwitchEvent = toolState.language === currentActiveLanguage ? null : createLanguageSwitchEvent(turnId, currentActiveLanguage, toolState.language);
+			}
+		} else {
+			// Text signals: extract LLM switch signal if OpenRouter active
+			let textAfterLlmSignal = trimmedAiText;
+			if (openrouterStatus.isActive()) {
+				const llmSignalResult = extractSwitchLlmSignal(trimmedAiText);
+				if (llmSignalResult) {
+					const model = models.find((m) => m.id === llmSignalResult.switchLLM);
+					if (model) {
+						conversation.activeLlmModel = llmSignalResult.switchLLM;
+						llmSwitchEvent = createLlmSwitchEvent(turnId, llmSignalResult.switchLLM);
+						textAfterLlmSignal = llmSignalResult.replyText;
+					}
+				}
+			}
+
+			const signalResult = extractSwitchVoiceSignal(textAfterLlmSignal);
+
+			if (signalResult === null) {
+				// No voice switch signal
+				replyText = textAfterLlmSignal;
+			} else if (participants) {
+				// Group conversations have no voice switching: drop the stray signal
+				replyText = signalResult.replyText || 'No response';
+			} else {
+				// Voice switch signal detected
+				// Run partial case-insensitive match against voices array
+				// Normalize the extracted switch voice name by trimming whitespace
+				const normalizedSwitchVoice = signalResult.switchVoice.trim();
+				const matches = findVoiceMatches(voices, normalizedSwitchVoice);
+
+				if (matches.length === 0) {
+					// No matching voice found
+					replyText = `I couldn't find a voice named "${normalizedSwitchVoice}".`;
+				} else if (matches.length >= 2) {
+					// Multiple matching voices found
+					replyText = `Did you mean ${matches.map((v) => v.name).join(' or ')}?`;
+				} else {
+					// Exactly one matching voice found
+					const matchedVoice = matches[0];
+					if (matchedVoice.id === conversation.voiceId) {
+						// Already speaking as the requested voice
+						replyText = `I'm already speaking as ${matchedVoice.name}.`;
+					} else {
+						// Switch to the new voice
+						replyText = signalResult.replyText || 'No response';
+						ttsElevenLabsVoiceId = matchedVoice.elevenLabsVoiceId;
+						pendingSwitch = matchedVoice;
+					}
+				}
+			}
+		}
+		hooks.onReply?.(replyText);
+
+		// Generate and save speech, unless replies are read rather than heard (audio is then made on demand)
+		// or an earlier attempt already stored it
+		let audioUrl = null;
+		let audioFailure = null;
+		if (journal.audio && (await storage.fileExists(conversationId, `${journal.audio.aiMessageId}.mp3`))) {
+			console.log(`🔁 Resuming turn ${turnId} with its earlier reply audio`);
+			({ aiMessageId, audioUrl } = journal.audio);
+		} else {
+			aiMessageId = uuidv4();
+			if (conversation.speakReplies !== false) {
+				try {
+					audioUrl = await synthesizeReply(conversationId, aiMessageId, ttsElevenLabsVoiceId, replyText, { ...hooks, signal });
+				} catch (ttsError) {
+					if (signal?.aborted) throw ttsError;
+
+					// Keep the reply; its audio is retried later
+					console.warn(`⚠️ Reply audio failed, saving turn ${turnId} as text: ${ttsError.message}`);
+					await storage.deleteFile(conversationId, `${aiMessageId}.mp3`);
+					audioFailure = ttsError;
+				}
+				if (audioUrl) await recordStage('audio', { aiMessageId, audioUrl });
+			}
+		}
+
+		// Create message objects
+		const userMessage = {
+			id: uuidv4(),
+			turnId,
+			role: 'user',
+			content: userText,
+			timestamp: new Date().toISOString(),
+		};
+
+		const aiMessage = {
+			id: aiMessageId,
+			turnId,
+			role: 'assistant',
+			content: replyText,
+			audioUrl,
+			voiceId: pendingSwitch ? pendingSwitch.id : voice.id,
+			timestamp: new Date().toISOString(),
+		};
+		if (context.passages.length > 0) {
+			aiMessage.sources = toSources(context.passages);
+		}
+		if (audioFailure) {
+			markAudioFailed(aiMessage, audioFailure);
+		}
+
+		// Handle voice switch if applicable
+		const turnMessages = [userMessage, aiMessage];
+		if (pendingSwitch !== null) {
+			// Capture voice info before mutation
+			const fromVoiceId = conversation.voiceId;
+			const fromVoiceName = voice.name;
+
+			// Create voice switch event
+			turnMessages.push({
+				id: uuidv4(),
+				turnId,
+				role: 'system',
+				type: 'voiceSwitch',
+				subtype: 'switch',
+				fromVoiceId: fromVoiceId,
+				fromVoiceName: fromVoiceName,
+				toVoiceId: pendingSwitch.id,
+				toVoiceName: pendingSwitch.name,
+				timestamp: new Date().toISOString(),
+			});
+
+			// Update conversation voice
+			conversation.voiceId = pendingSwitch.id;
+		}
+
+		// Add additional system events
+		if (languageSwitchEvent) turnMessages.push(languageSwitchEvent);
+		if (llmFallbackEvent) turnMessages.push(llmFallbackEvent);
+		if (llmSwitchEvent) turnMessages.push(llmSwitchEvent);
+
+		// Add the turn to the conversation as a chain on the active (or requested) branch
+		messageTree.appendMessages(conversation, turnMessages, input.parentId);
+
+		// Update conversation timestamp
+		conversation.updatedAt = new Date().toISOString();
+
+		// Set title if it's the first message
+		if (conversation.title === 'New Conversation') {
+			conversation.title = userText.split(' ').slice(0, 6).join(' ') + '…';
+		}
+
+		// Last chance to cancel: once saved, the turn stays
+		throwIfCancelled(signal);
+
+		// Save conversation
+		await dataStore.saveConversation(conversation);
+		console.log(`✅ Turn saved for conversation ${conversationId}`);
+
+		// The turn is complete; retries are now answered by the idempotency check
+		dataStore.deleteTurnJournal(conversationId, turnId).catch((journalError) => {
+			console.warn(`⚠️ Failed to delete turn journal: ${journalError.message}`);
+		});
+
+		// Stitched renders of the conversation no longer include every turn
+		conversationAudio.invalidate(conversationId).catch((audioError) => {
+			console.warn(`⚠️ Failed to invalidate stitched audio: ${audioError.message}`);
+		});
+
+		// Learn lasting facts about the user for this voice, off the reply's critical path
+		personaMemory.extractFromTurn(voice, { conversationId, turnId, userText, replyText, modelOverride }).catch((memoryError) => {
+			console.warn(`⚠️ Failed to extract memories: ${memoryError.message}`);
+		});
+
+		// Fold older turns into the rolling summary after this turn, also off the critical path;
+		// only saving it waits for the turn queue
+		if (context.needsSummary) {
+			contextWindow.refreshSummary(conversationId, (save) => enqueueTurn(conversationId, save)).catch((summaryError) => {
+				console.warn(`⚠️ Failed to update conversation summary: ${summaryError.message}`);
+			});
+		}
+
+		return buildTurnResponse(conversation.messages, turnId);
+	} catch (error) {
+		// Aborted requests fail with provider-specific errors; report them as the cancellation they are
+		const failure = signal?.aborted ? createCancelledError() : error;
+		if (failure.cancelled) {
+			console.log(`🛑 Turn ${turnId} cancelled`);
+		} else {
+			console.error(`❌ Turn pipeline failed: ${error.message}`);
+		}
+
+		// Cleanup audio file if it was (possibly partially) saved, unless the journal keeps it for a retry;
+		// deleteFile ignores missing files
+		if (aiMessageId && (failure.cancelled || journal.audio?.aiMessageId !== aiMessageId)) {
+			try {
+				await storage.deleteFile(conversationId, `${aiMessageId}.mp3`);
+			} catch (cleanupError) {
+				console.warn(`⚠️ Failed to cleanup audio file: ${cleanupError.message}`);
+			}
+		}
+
+		// Nobody retries a cancelled turn
+		if (failure.cancelled) {
+			await dataStore.deleteTurnJournal(conversationId, turnId).catch((journalError) => {
+				console.warn(`⚠️ Failed to delete turn journal: ${journalError.message}`);
+			});
+		}
+
+		throw failure;
+	}
+}
+
+/**
+ * Find the user and assistant messages stored for a turn
+ * @param {Object} conversation - Conversation object
+ * @param {string} turnId - Turn ID
+ * @returns {{userMessage: Object, aiMessage: Object}}
+ * @throws {Error} 404 if the turn has no user/assistant pair
+ */
+function findTurnMessages(conversation, turnId) {
+	const userMessage = conversation.messages.find((m) => m.turnId === turnId && m.role === 'user');
+	const aiMessage = conversation.messages.find((m) => m.turnId === turnId && m.role === 'assistant');
+	if (!userMessage || !aiMessage) {
+		const err = new Error(`Turn not found: ${turnId}`);
+		err.status = 404;
+		throw err;
+	}
+	return { userMessage, aiMessage };
+}
+
+/**
+ * Work out which language was active for a turn by replaying the language switch
+ * events on its branch up to and including the turn itself
+ * @param {Array} messages - All conversation messages
+ * @param {Object} userMessage - The turn's user message
+ * @param {string} defaultLanguage - Language used before any switch
+ * @returns {string}
+ */
+function getLanguageForTurn(messages, userMessage, defaultLanguage) {
+	const branchMessages = [...messageTree.getPathTo(messages, userMessage.parentId), ...messages.filter((m) => m.turnId === userMessage.turnId)];
+
+	let language = defaultLanguage;
+	for (const m of branchMessages) {
+		if (m.role === 'system' && m.type === 'languageSwitch' && m.subtype === 'switch') {
+			language = m.toLanguage;
+		}
+	}
+	return language;
+}
+
+/**
+ * Make one of an assistant message's versions the active one
+ * @param {Object} aiMessage - Assistant message with a versions array
+ * @param {string} versionId - Version to activate
+ * @throws {Error} 404 if the version does not exist
+ */
+function applyReplyVersion(aiMessage, versionId) {
+	const version = (aiMessage.versions || []).find((v) => v.id === versionId);
+	if (!version) {
+		const err = new Error(`Version not found: ${versionId}`);
+		err.status = 404;
+		throw err;
+	}
+	aiMessage.activeVersionId = version.id;
+	aiMessage.content = version.content;
+	aiMessage.audioUrl = version.audioUrl;
+	if (version.sources) {
+		aiMessage.sources = version.sources;
+	} else {
+		delete aiMessage.sources;
+	}
+	clearAudioFailure(aiMessage);
+	AUDIO_FAILURE_FIELDS.forEach((field) => {
+		if (version[field] !== undefined) aiMessage[field] = version[field];
+	});
+}
+
+/**
+ * Re-run the LLM and TTS stages for an existing turn.
+ * The history up to (and including) the turn's user message is sent again; the new reply
+ * is stored as an additional version of the assistant message and becomes the active one.
+ * Switch signals in the new reply are stripped but not acted on. If only the audio fails, the
+ * version is kept as text with audioStatus 'failed'.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} turnId - Turn to regenerate
+ * @returns {Promise<Object>} Updated assistant message
+ */
+async function regenerateReply(conversationId, turnId) {
+	const conversation = await dataStore.getConversation(conversationId); // Propagates 404
+	const { userMessage, aiMessage } = findTurnMessages(conversation, turnId);
+
+	let versionId;
+	try {
+		// Speak with the voice that gave the original reply
+		const voices = await dataStore.getVoices();
+		const voice = voices.find((v) => v.id === (aiMessage.voiceId || conversation.voiceId));
+		if (!voice) {
+			const err = new Error('Voice not found');
+			err.status = 404;
+			throw err;
+		}
+
+		const settings = await settingsStore.getSettings();
+		const language = getLanguageForTurn(conversation.messages, userMessage, settings.defaultLanguage);
+		const languageInstruction = LANGUAGE_NAMES[language] ? 'Respond in ' + LANGUAGE_NAMES[language] + '.' : null;
+
+		const modelOverride = conversation.activeLlmModel || settings.preferredLlmModel || undefined;
+		const historyPath = messageTree.getPathTo(conversation.messages, userMessage.parentId);
+		const context = await buildTurnContext(conversation, historyPath, voice, languageInstruction, userMessage.content, modelOverride);
+		const participants = groupChat.isGroup(conversation) ? groupChat.getParticipants(conversation, voices) : null;
+		const llmMessages = [
+			{ role: 'system', content: buildSystemContent(voice, languageInstruction, { summary: context.summary, memories: context.memories, passages: context.passages, participants }) },
+			...toLlmHistory(context.messages, participants && voice, voices),
+			{ role: 'user', content: userMessage.content },
+		];
+
+		// No switch tools here: a regenerated reply never switches anything
+		console.log(`🔁 Regenerating reply for turn ${turnId}`);
+		const { aiText } = await chatWithFallback(() => llmMessages, modelOverride, settings);
+
+		// Strip any switch signals from the new reply
+		let replyText = aiText?.trim() || 'No response';
+		const llmSignalResult = extractSwitchLlmSignal(replyText);
+		if (llmSignalResult) replyText = llmSignalResult.replyText;
+		const voiceSignalResult = extractSwitchVoiceSignal(replyText);
+		if (voiceSignalResult) replyText = voiceSignalResult.replyText;
+		replyText = replyText || 'No response';
+
+		versionId = uuidv4();
+		let audioUrl = null;
+		let audioFailure = null;
+		if (conversation.speakReplies !== false) {
+			try {
+				audioUrl = await synthesizeReply(conversationId, versionId, voice.elevenLabsVoiceId, replyText);
+			} catch (ttsError) {
+				console.warn(`⚠️ Reply audio failed, keeping regenerated reply as text: ${ttsError.message}`);
+				await storage.deleteFile(conversationId, `${versionId}.mp3`);
+				audioFailure = ttsError;
+			}
+		}
+
+		// Keep the original reply as the first version
+		if (!Array.isArray(aiMessage.versions)) {
+			const original = { id: aiMessage.id, content: aiMessage.content, audioUrl: aiMessage.audioUrl, sources: aiMessage.sources, timestamp: aiMessage.timestamp };
+			AUDIO_FAILURE_FIELDS.forEach((field) => {
+				if (aiMessage[field] !== undefined) original[field] = aiMessage[field];
+			});
+			aiMessage.versions = [original];
+		}
+		const sources = context.passages.length > 0 ? toSources(context.passages) : undefined;
+		const version = { id: versionId, content: replyText, audioUrl, sources, timestamp: new Date().toISOString() };
+		if (audioFailure) markAudioFailed(version, audioFailure);
+		aiMessage.versions.push(version);
+		applyReplyVersion(aiMessage, versionId);
+
+		conversation.updatedAt = new Date().toISOString();
+		await dataStore.saveConversation(conversation);
+		console.log(`✅ Reply regenerated for turn ${turnId}`);
+
+		return aiMessage;
+	} catch (error) {
+		console.error(`❌ Regenerate failed: ${error.message}`);
+
+		if (versionId) {
+			try {
+				await storage.deleteFile(conversationId, `${versionId}.mp3`);
+			} catch (cleanupError) {
+				console.warn(`⚠️ Failed to cleanup audio file: ${cleanupError.message}`);
+			}
+		}
+
+		throw error;
+	}
+}
+
+/**
+ * Synthesize the audio of a reply that was saved without it (text-only turns, or replies whose audio failed).
+ * The active version is spoken with the voice that gave the reply; replies that already have audio are returned as they are.
+ * A failed attempt is recorded on the reply (audioStatus 'failed') before the error is rethrown.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Assistant message ID
+ * @returns {Promise<Object>} Updated assistant message
+ * @throws {Error} 404 if the message or its voice does not exist, 400 if it is not an assistant message
+ */
+async function synthesizeMessageAudio(conversationId, messageId) {
+	const conversation = await dataStore.getConversation(conversationId); // Propagates 404
+	const aiMessage = conversation.messages.find((m) => m.id === messageId);
+	if (!aiMessage) {
+		const err = new Error(`Message not found: ${messageId}`);
+		err.status = 404;
+		throw err;
+	}
+	if (aiMessage.role !== 'assistant') {
+		const err = new Error('Only assistant messages have audio');
+		err.status = 400;
+		throw err;
+	}
+	if (aiMessage.audioUrl) {
+		return aiMessage;
+	}
+
+	const voices = await dataStore.getVoices();
+	const voice = voices.find((v) => v.id === (aiMessage.voiceId || conversation.voiceId));
+	if (!voice) {
+		const err = new Error('Voice not found');
+		err.status = 404;
+		throw err;
+	}
+
+	// Versions keep their own audio file, named after the version
+	const fileId = aiMessage.activeVersionId || aiMessage.id;
+	const version = (aiMessage.versions || []).find((v) => v.id === fileId);
+	let audioUrl;
+	try {
+		audioUrl = await synthesizeReply(conversationId, fileId, voice.elevenLabsVoiceId, aiMessage.content);
+	} catch (error) {
+		console.error(`❌ Audio generation failed: ${error.message}`);
+		await storage.deleteFile(conversationId, `${fileId}.mp3`).catch((cleanupError) => {
+			console.warn(`⚠️ Failed to cleanup audio file: ${cleanupError.message}`);
+		});
+
+		// Record the attempt so the reply shows a retry and the retry job can back off
+		markAudioFailed(aiMessage, error);
+		if (version) markAudioFailed(version, error);
+		await dataStore.saveConversation(conversation).catch((saveError) => {
+			console.warn(`⚠️ Failed to record audio failure: ${saveError.message}`);
+		});
+		throw error;
+	}
+
+	try {
+		aiMessage.audioUrl = audioUrl;
+		clearAudioFailure(aiMessage);
+		if (version) {
+			version.audioUrl = audioUrl;
+			clearAudioFailure(version);
+		}
+
+		await dataStore.saveConversation(conversation);
+		console.log(`✅ Audio generated for message ${messageId}`);
+	} catch (error) {
+		console.error(`❌ Audio generation failed: ${error.message}`);
+		await storage.deleteFile(conversationId, `${fileId}.mp3`).catch((cleanupError) => {
+			console.warn(`⚠️ Failed to cleanup audio file: ${cleanupError.message}`);
+		});
+		throw error;
+	}
+
+	conversationAudio.invalidate(conversationId).catch((audioError) => {
+		console.warn(`⚠️ Failed to invalidate stitched audio: ${audioError.message}`);
+	});
+
+	return aiMessage;
+}
+
+/**
+ * Post a message a voice sends on its own, without a user turn (e.g. a scheduled greeting), at the end
+ * of the active branch. The LLM writes it from the prompt and the voice's system prompt, in the
+ * conversation's language. It is spoken unless the conversation's replies are read rather than heard;
+ * if synthesis fails, it is kept as text with audioStatus 'failed' like a turn's reply.
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} input
+ * @param {string} input.voiceId - Voice that sends the message
+ * @param {string} input.prompt - What the message should be about
+ * @param {string} [input.scheduleId] - Schedule that sent it, recorded on the message
+ * @returns {Promise<Object>} Assistant message
+ * @throws {Error} 404 if the conversation or voice does not exist
+ */
+async function postVoiceMessage(conversationId, { voiceId, prompt, scheduleId }) {
+	const conversation = await dataStore.getConversation(conversationId); // Propagates 404
+	const voices = await dataStore.getVoices();
+	const voice = voices.find((v) => v.id === voiceId);
+	if (!voice) {
+		const err = new Error('Voice not found');
+		err.status = 404;
+		throw err;
+	}
+
+	const settings = await settingsStore.getSettings();
+	const language = conversation.activeLanguage || settings.defaultLanguage;
+	const languageInstruction = LANGUAGE_NAMES[language] ? 'Respond in ' + LANGUAGE_NAMES[language] + '.' : null;
+	const modelOverride = conversation.activeLlmModel || settings.preferredLlmModel || undefined;
+	const llmMessages = [
+		{ role: 'system', content: buildSystemContent(voice, languageInstruction, { textSignals: false, summary: conversation.summary }) },
+		{ role: 'user', content: prompt },
+	];
+	const { aiText } = await chatWithFallback(() => llmMessages, modelOverride, settings);
+	const content = aiText?.trim() || 'No response';
+
+	const aiMessage = {
+		id: uuidv4(),
+		turnId: null,
+		role: 'assistant',
+		content,
+		audioUrl: null,
+		voiceId: voice.id,
+		timestamp: new Date().toISOString(),
+	};
+	if (scheduleId) {
+		aiMessage.scheduleId = scheduleId;
+	}
+
+	if (conversation.speakReplies !== false) {
+		try {
+			aiMessage.audioUrl = await synthesizeReply(conversationId, aiMessage.id, voice.elevenLabsVoiceId, content);
+		} catch (ttsError) {
+			console.warn(`⚠️ Message audio failed, saving message ${aiMessage.id} as text: ${ttsError.message}`);
+			await storage.deleteFile(conversationId, `${aiMessage.id}.mp3`);
+			markAudioFailed(aiMessage, ttsError);
+		}
+	}
+
+	try {
+		messageTree.appendMessages(conversation, [aiMessage]);
+		conversation.updatedAt = new Date().toISOString();
+		await dataStore.saveConversation(conversation);
+		console.log(`✅ Message from ${voice.name} posted to conversation ${conversationId}`);
+	} catch (error) {
+		await storage.deleteFile(conversationId, `${aiMessage.id}.mp3`).catch((cleanupError) => {
+			console.warn(`⚠️ Failed to cleanup audio file: ${cleanupError.message}`);
+		});
+		throw error;
+	}
+
+	conversationAudio.invalidate(conversationId).catch((audioError) => {
+		console.warn(`⚠️ Failed to invalidate stitched audio: ${audioError.message}`);
+	});
+
+	return aiMessage;
+}
+
+/**
+ * Edit a past user message by forking the conversation: the edited text is run through
+ * the full turn pipeline as a sibling of the original message, on a new active branch.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} turnId - Turn whose user message is being edited
+ * @param {Object} input - Turn input for the new branch ({ turnId, transcribedText, signal })
+ * @param {Object} hooks - Optional progress callbacks (see runTurn)
+ * @returns {Promise<Object>} Turn response for the new branch
+ */
+async function editUserMessage(conversationId, turnId, input, hooks = {}) {
+	const conversation = await dataStore.getConversation(conversationId); // Propagates 404
+	const { userMessage } = findTurnMessages(conversation, turnId);
+
+	return runTurn(conversationId, { ...input, parentId: userMessage.parentId }, hooks);
+}
+
+/**
+ * Switch which version of a turn's reply is active
+ * @param {string} conversationId - Conversation ID
+ * @param {string} turnId - Turn ID
+ * @param {string} versionId - Version to activate
+ * @returns {Promise<Object>} Updated assistant message
+ */
+async function selectReplyVersion(conversationId, turnId, versionId) {
+	const conversation = await dataStore.getConversation(conversationId);
+	const { aiMessage } = findTurnMessages(conversation, turnId);
+
+	applyReplyVersion(aiMessage, versionId);
+	conversation.updatedAt = new Date().toISOString();
+	await dataStore.saveConversation(conversation);
+
+	return aiMessage;
+}
+
+/**
+ * Discard a version of a turn's reply that is not active, deleting its audio file
+ * @param {string} conversationId - Conversation ID
+ * @param {string} turnId - Turn ID
+ * @param {string} versionId - Version to discard
+ * @returns {Promise<Object>} Updated assistant message
+ */
+async function discardReplyVersion(conversationId, turnId, versionId) {
+	const conversation = await dataStore.getConversation(conversationId);
+	const { aiMessage } = findTurnMessages(conversation, turnId);
+
+	const versions = aiMessage.versions || [];
+	const version = versions.find((v) => v.id === versionId);
+	if (!version) {
+		const err = new Error(`Version not found: ${versionId}`);
+		err.status = 404;
+		throw err;
+	}
+	if (version.id === (aiMessage.activeVersionId || aiMessage.id)) {
+		const err = new Error('Cannot discard the active version');
+		err.status = 409;
+		throw err;
+	}
+
+	aiMessage.versions = versions.filter((v) => v.id !== versionId);
+	conversation.updatedAt = new Date().toISOString();
+	await dataStore.saveConversation(conversation);
+
+	// Remove the audio only once the conversation no longer references it
+	await storage.deleteFile(conversationId, `${version.id}.mp3`);
+	console.log(`🗑️  Discarded version ${versionId} of turn ${turnId}`);
+
+	return aiMessage;
+}
+
+module.exports = {
+	enqueueTurn,
+	enqueueCancellableTurn,
+	cancelTurn,
+	runTurn,
+	regenerateReply,
+	editUserMessage,
+	selectReplyVersion,
+	discardReplyVersion,
+	synthesizeMessageAudio,
+	clearAudioFailure,
+	postVoiceMessage,
+	buildTurnResponse,
+	extractSwitchVoiceSignal,
+	extractSwitchLlmSignal,
+	LANGUAGE_NAMES,
+};
@@ -0,0 +1,116 @@
+/**
+ * Voice Activity Detection Service
+ * Energy-based detector that finds utterances in a stream of 16-bit mono PCM, for hands-free turns.
+ * The noise floor adapts to the room while nobody is speaking, so a fixed threshold is not needed.
+ */
+
+// Analysis frame length
+const FRAME_MS = 20;
+
+// Voiced audio needed before an utterance counts as started (filters clicks and coughs)
+const MIN_SPEECH_MS = 200;
+
+// Silence that ends an utterance
+const END_SILENCE_MS = Number(process.env.REALTIME_VAD_SILENCE_MS ?? 800);
+
+// Audio kept from before speech was detected, so the first syllable is not clipped
+const PREROLL_MS = 300;
+
+// Utterances are cut off at this length
+const MAX_UTTERANCE_MS = 30 * 1000;
+
+// A frame is voiced when it is this much louder than the noise floor, and at least MIN_SPEECH_DB
+const SPEECH_MARGIN_DB = 10;
+const MIN_SPEECH_DB = -50;
+
+/**
+ * Loudness of a frame in dBFS
+ * @param {Buffer} frame - 16-bit little-endian PCM
+ * @returns {number}
+ */
+function getFrameLevel(frame) {
+	let sumSquares = 0;
+	const samples = frame.length / 2;
+	for (let i = 0; i < samples; i++) {
+		const sample = frame.readInt16LE(i * 2);
+		sumSquares += sample * sample;
+	}
+	const rms = Math.sqrt(sumSquares / samples);
+	return rms > 0 ? 20 * Math.log10(rms / 32768) : -100;
+}
+
+/**
+ * Create a detector for one audio stream
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate=16000] - Sample rate of the PCM stream
+ * @returns {{push: Function}} push(chunk) takes PCM bytes and returns the events they complete:
+ *   { type: 'speechStart' } and { type: 'speechEnd', audio: Buffer } (the utterance's PCM)
+ */
+function createVoiceActivityDetector({ sampleRate = 16000 } = {}) {
+	const frameBytes = Math.round((sampleRate * FRAME_MS) / 1000) * 2;
+	const prerollFrames = Math.round(PREROLL_MS / FRAME_MS);
+
+	let pending = Buffer.alloc(0);
+	let noiseFloor = -60;
+	let speaking = false;
+	let voicedMs = 0;
+	let silentMs = 0;
+	let recent = []; // Frames before speech started, up to the pre-roll
+	let utterance = [];
+
+	const analyzeFrame = (frame, events) => {
+		const level = getFrameLevel(frame);
+		const voiced = level > Math.max(noiseFloor + SPEECH_MARGIN_DB, MIN_SPEECH_DB);
+
+		if (!speaking) {
+			recent.push(frame);
+			if (recent.length > prerollFrames + MIN_SPEECH_MS / FRAME_MS) recent.shift();
+
+			if (voiced) {
+				voicedMs += FRAME_MS;
+				if (voicedMs >= MIN_SPEECH_MS) {
+					speaking = true;
+					silentMs = 0;
+					utterance = recent;
+					recent = [];
+					events.push({ type: 'speechStart' });
+				}
+			} else {
+				voicedMs = 0;
+				// Only quiet frames teach the detector what the room sounds like
+				noiseFloor = Math.max(noiseFloor * 0.95 + level * 0.05, -90);
+			}
+			return;
+		}
+
+		utterance.push(frame);
+		silentMs = voiced ? 0 : silentMs + FRAME_MS;
+
+		if (silentMs >= END_SILENCE_MS || utterance.length * FRAME_MS >= MAX_UTTERANCE_MS) {
+			events.push({ type: 'speechEnd', audio: Buffer.concat(utterance) });
+			speaking = false;
+			voicedMs = 0;
+			utterance = [];
+		}
+	};
+
+	return {
+		push(chunk) {
+			const events = [];
+			pending = Buffer.concat([pending, chunk]);
+
+			let offset = 0;
+			while (pending.length - offset >= frameBytes) {
+				analyzeFrame(pending.subarray(offset, offset + frameBytes), events);
+				offset += frameBytes;
+			}
+			pending = pending.subarray(offset);
+
+			return events;
+		},
+	};
+}
+
+module.exports = {
+	createVoiceActivityDetector,
+};
@@ -17,7 +17,17 @@ let activeLlmModel = null;
 let preferredLlmModel = null;
 let activeLanguage = null;
 let defaultLanguage = 'en';
+let speakReplies = true;
+let retention = null; // Retention policy of the active conversation ({ policy, days }, or null to keep forever)
+let retentionExpiresAt = null; // When that policy applies next
+let callSession = null; // Hands-free call in progress (see startCall)
+let groupParticipantIds = null; // Voices taking part when the active conversation is a group chat
 let chatInitialised = false;
+let searchTimer = null;
+let showArchived = false; // The sidebar lists archived conversations instead of the others
+let groupByTag = false; // The sidebar groups conversations under their tags
+let collapsedTags = new Set(); // Tag groups the user has folded away (lowercased tag, '' for untagged)
+let selectedIds = null; // Conversations ticked for a bulk action, while the sidebar is in select mode
 
 // Utility to escape HTML
 function escapeHtml(text) {
@@ -177,6 +187,232 @@ function toggleLlmDropdown() {
 	}
 }
 
+// Show the export pill only while a conversation is open
+function updateExportPill() {
+	document.getElementById('export-wrapper').classList.toggle('hidden', !activeConversationId);
+	document.getElementById('export-dropdown').classList.add('hidden');
+}
+
+// Show whether the active conversation's replies are spoken or text only
+function updateSpeakPill() {
+	document.getElementById('speak-pill-wrapper').classList.toggle('hidden', !activeConversationId);
+
+	const pill = document.getElementById('speak-pill');
+	pill.textContent = speakReplies ? '🔊 Spoken replies' : '🔇 Text only';
+	pill.title = speakReplies ? 'Replies are read aloud. Click to read them as text only.' : 'Replies are text only; press ▶ on a reply to hear it. Click to read them aloud again.';
+	pill.classList.toggle('off', !speakReplies);
+}
+
+// Handle the spoken replies toggle
+async function handleToggleSpeakReplies() {
+	const conversationId = activeConversationId;
+
+	try {
+		const response = await fetch(`/api/conversations/${conversationId}`, {
+			method: 'PATCH',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ speakReplies: !speakReplies }),
+		});
+
+		if (!response.ok) throw new Error('Failed to update conversation');
+
+		const result = await response.json();
+		if (conversationId === activeConversationId) {
+			speakReplies = result.speakReplies !== false;
+			updateSpeakPill();
+		}
+	} catch (error) {
+		console.error('Error toggling spoken replies:', error);
+		showToast('Failed to change spoken replies.');
+	}
+}
+
+// Retention policies offered for a conversation
+const RETENTION_OPTIONS = [
+	{ label: 'Keep forever', retention: null },
+	{ label: 'Delete after 7 days without activity', retention: { policy: 'delete', days: 7 } },
+	{ label: 'Delete after 30 days without activity', retention: { policy: 'delete', days: 30 } },
+	{ label: 'Delete after 90 days without activity', retention: { policy: 'delete', days: 90 } },
+	{ label: 'Drop audio after 30 days without activity, keep the transcript', retention: { policy: 'dropAudio', days: 30 } },
+	{ label: 'Drop audio after 90 days without activity, keep the transcript', retention: { policy: 'dropAudio', days: 90 } },
+];
+
+// Show how long the active conversation is kept
+function updateRetentionPill() {
+	document.getElementById('retention-wrapper').classList.toggle('hidden', !activeConversationId);
+	document.getElementById('retention-dropdown').classList.add('hidden');
+
+	const pill = document.getElementById('retention-pill');
+	if (!retention) {
+		pill.textContent = '🗓 Keep forever ▾';
+		pill.title = 'This conversation is kept forever. Click to change.';
+		return;
+	}
+
+	const expiresOn = new Date(retentionExpiresAt).toLocaleDateString();
+	if (retention.policy === 'delete') {
+		pill.textContent = `🗓 Delete after ${retention.days} days idle ▾`;
+		pill.title = `Deleted on ${expiresOn} unless you talk again before then. Click to change.`;
+	} else {
+		pill.textContent = `🗓 Drop audio after ${retention.days} days idle ▾`;
+		pill.title = `Audio deleted on ${expiresOn} unless you talk again before then; the transcript is kept. Click to change.`;
+	}
+}
+
+// Toggle the retention dropdown
+function toggleRetentionDropdown() {
+	const dropdown = document.getElementById('retention-dropdown');
+
+	if (dropdown.classList.contains('hidden')) {
+		dropdown.innerHTML = '';
+		RETENTION_OPTIONS.forEach((option) => {
+			const item = document.createElement('div');
+			item.className = 'llm-dropdown-item';
+			if (JSON.stringify(option.retention) === JSON.stringify(retention)) item.classList.add('active');
+			item.textContent = option.label;
+			item.addEventListener('click', () => handleSelectRetention(option.retention));
+			dropdown.appendChild(item);
+		});
+		dropdown.classList.remove('hidden');
+		document.addEventListener('click', closeRetentionDropdownOnOutsideClick, { capture: true });
+	} else {
+		dropdown.classList.add('hidden');
+		document.removeEventListener('click', closeRetentionDropdownOnOutsideClick, { capture: true });
+	}
+}
+
+// Close retention dropdown on outside click
+function closeRetentionDropdownOnOutsideClick(event) {
+	const wrapper = document.getElementById('retention-wrapper');
+
+	if (!wrapper.contains(event.target)) {
+		document.getElementById('retention-dropdown').classList.add('hidden');
+		document.removeEventListener('click', closeRetentionDropdownOnOutsideClick, { capture: true });
+	}
+}
+
+// Change the active conversation's retention policy
+async function handleSelectRetention(selected) {
+	const conversationId = activeConversationId;
+	document.getElementById('retention-dropdown').classList.add('hidden');
+	document.removeEventListener('click', closeRetentionDropdownOnOutsideClick, { capture: true });
+
+	try {
+		const response = await fetch(`/api/conversations/${conversationId}`, {
+			method: 'PATCH',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ retention: selected || { policy: 'keep' } }),
+		});
+
+		if (!response.ok) throw new Error('Failed to update conversation');
+
+		const result = await response.json();
+		if (conversationId === activeConversationId) {
+			retention = result.retention || null;
+			retentionExpiresAt = result.expiresAt || null;
+			updateRetentionPill();
+		}
+	} catch (error) {
+		console.error('Error changing retention:', error);
+		showToast('Failed to change how long this conversation is kept.');
+	}
+}
+
+// Toggle the export dropdown; each item downloads the active conversation
+function toggleExportDropdown() {
+	const dropdown = document.getElementById('export-dropdown');
+
+	if (dropdown.classList.contains('hidden')) {
+		dropdown.querySelectorAll('[data-format]').forEach((item) => {
+			item.href = `/api/conversations/${activeConversationId}/export?format=${item.dataset.format}`;
+			item.onclick = () => dropdown.classList.add('hidden');
+		});
+		dropdown.querySelectorAll('[data-audio]').forEach((item) => {
+			item.href = `/api/conversations/${activeConversationId}/audio?narrate=${item.dataset.audio === 'narrated'}`;
+			item.onclick = () => {
+				dropdown.classList.add('hidden');
+				showToast('Preparing audio… the download starts when it is ready.');
+			};
+		});
+		dropdown.classList.remove('hidden');
+		document.addEventListener('click', closeExportDropdownOnOutsideClick, { capture: true });
+	} else {
+		dropdown.classList.add('hidden');
+		document.removeEventListener('click', closeExportDropdownOnOutsideClick, { capture: true });
+	}
+}
+
+// Offer group chats while no conversation is open and there are voices enough for one
+function updateGroupPill() {
+	document.getElementById('group-wrapper').classList.toggle('hidden', !!activeConversationId || chatVoices.length < 2);
+	document.getElementById('group-dropdown').classList.add('hidden');
+}
+
+// Toggle the group chat dropdown: pick the voices taking part and how they take turns
+function toggleGroupDropdown() {
+	const dropdown = document.getElementById('group-dropdown');
+
+	if (dropdown.classList.contains('hidden')) {
+		dropdown.innerHTML = `
+      ${chatVoices.map((voice) => `<label class="llm-dropdown-item"><input type="checkbox" value="${escapeHtml(voice.id)}"> ${escapeHtml(voice.name)}</label>`).join('')}
+      <div class="llm-dropdown-item">
+        <select id="group-policy-select">
+          <option value="rotate">Take turns</option>
+          <option value="sticky">Last speaker continues</option>
+        </select>
+      </div>
+      <div class="llm-dropdown-item"><button id="group-start-btn" class="btn btn-primary">Start group chat</button></div>
+    `;
+		dropdown.querySelector('#group-start-btn').addEventListener('click', handleStartGroup);
+		dropdown.classList.remove('hidden');
+		document.addEventListener('click', closeGroupDropdownOnOutsideClick, { capture: true });
+	} else {
+		dropdown.classList.add('hidden');
+		document.removeEventListener('click', closeGroupDropdownOnOutsideClick, { capture: true });
+	}
+}
+
+// Close group dropdown on outside click
+function closeGroupDropdownOnOutsideClick(event) {
+	const wrapper = document.getElementById('group-wrapper');
+
+	if (!wrapper.contains(event.target)) {
+		document.getElementById('group-dropdown').classList.add('hidden');
+		document.removeEventListener('click', closeGroupDropdownOnOutsideClick, { capture: true });
+	}
+}
+
+// Start a group chat with the checked voices (address one by name, or let the policy pick who answers)
+async function handleStartGroup() {
+	const dropdown = document.getElementById('group-dropdown');
+	const participantIds = [...dropdown.querySelectorAll('input[type="checkbox"]:checked')].map((input) => input.value);
+	if (participantIds.length < 2) {
+		showToast('Pick at least two voices for a group chat.');
+		return;
+	}
+
+	const turnPolicy = document.getElementById('group-policy-select').value;
+	dropdown.classList.add('hidden');
+	document.removeEventListener('click', closeGroupDropdownOnOutsideClick, { capture: true });
+
+	try {
+		await startConversation({ participantIds, turnPolicy });
+	} catch (error) {
+		console.error('Error creating group chat:', error);
+		showToast(error.message || 'Failed to create group chat');
+	}
+}
+
+// Close export dropdown on outside click
+function closeExportDropdownOnOutsideClick(event) {
+	const wrapper = document.getElementById('export-wrapper');
+
+	if (!wrapper.contains(event.target)) {
+		document.getElementById('export-dropdown').classList.add('hidden');
+		document.removeEventListener('click', closeExportDropdownOnOutsideClick, { capture: true });
+	}
+}
+
 // Close dropdown on outside click
 function closeLlmDropdownOnOutsideClick(event) {
 	const dropdown = document.getElementById('llm-dropdown');
@@ -239,6 +475,28 @@ function init() {
         <div class="sidebar-header">
           <h1>VoiceRA</h1>
           <button id="new-chat-btn" class="btn btn-primary">+ New Chat</button>
+          <button id="import-btn" class="import-btn" title="Import a conversation from a JSON or ZIP export">⬆ Import</button>
+          <input type="file" id="import-input" accept=".json,.zip,application/json,application/zip" hidden>
+        </div>
+        <div class="conv-search">
+          <input type="search" id="conv-search-input" placeholder="Search conversations…" />
+        </div>
+        <div class="conv-view-toggle">
+          <button id="archive-view-btn" class="archive-view-btn">🗄 Archived</button>
+          <button id="tag-view-btn" class="archive-view-btn" title="Group conversations by tag">🏷 Group</button>
+          <button id="select-btn" class="archive-view-btn" title="Select several conversations">☑ Select</button>
+        </div>
+        <div id="bulk-bar" class="bulk-bar hidden">
+          <div class="bulk-bar-row">
+            <span id="bulk-count">0 selected</span>
+            <button class="bulk-btn" data-bulk="archive">🗄 Archive</button>
+            <button class="bulk-btn bulk-delete-btn" data-bulk="delete">Delete</button>
+          </div>
+          <div class="bulk-bar-row">
+            <input type="text" id="bulk-tag-input" class="bulk-tag-input" placeholder="Tag…" maxlength="50">
+            <button class="bulk-btn" data-bulk="tag">Add</button>
+            <button class="bulk-btn" data-bulk="untag">Remove</button>
+          </div>
         </div>
         <div class="conv-list" id="conv-list"></div>
         <div class="nav-links">
@@ -259,14 +517,38 @@ function init() {
             <select id="voice-select" disabled>
               <option value="">Select a voice...</option>
             </select>
+            <div id="group-wrapper" class="toolbar-divider hidden">
+              <div id="group-pill" class="export-pill" title="Talk with several voices at once">👥 Group chat ▾</div>
+              <div id="group-dropdown" class="llm-dropdown group-dropdown hidden"></div>
+            </div>
             <div id="language-pill-wrapper" class="toolbar-divider hidden">
               <div class="toolbar-divider-line"></div>
               <div id="language-pill" class="language-pill">🌐 <span id="language-pill-label">English</span></div>
             </div>
+            <div id="speak-pill-wrapper" class="toolbar-divider hidden">
+              <div class="toolbar-divider-line"></div>
+              <div id="speak-pill" class="speak-pill">🔊 Spoken replies</div>
+            </div>
+            <div id="retention-wrapper" class="toolbar-divider hidden">
+              <div class="toolbar-divider-line"></div>
+              <div id="retention-pill" class="export-pill">🗓 Keep forever ▾</div>
+              <div id="retention-dropdown" class="llm-dropdown hidden"></div>
+            </div>
             <div id="llm-pill-wrapper" class="toolbar-divider hidden">
               <div class="toolbar-divider-line"></div>
               <div id="llm-pill" class="llm-pill">🤖 <span id="llm-pill-label">Default</span> ▾</div>
             </div>
+            <div id="export-wrapper" class="toolbar-divider hidden">
+              <div class="toolbar-divider-line"></div>
+              <div id="export-pill" class="export-pill">⬇ Export ▾</div>
+              <div id="export-dropdown" class="llm-dropdown hidden">
+                <a class="llm-dropdown-item" data-format="md">Transcript (Markdown)</a>
+                <a class="llm-dropdown-item" data-format="zip">Transcript + audio (ZIP)</a>
+                <a class="llm-dropdown-item" data-format="json">Backup (JSON)</a>
+                <a class="llm-dropdown-item" data-audio="replies">Full audio (MP3)</a>
+                <a class="llm-dropdown-item" data-audio="narrated">Full audio with your messages read aloud (MP3)</a>
+              </div>
+            </div>
           </div>
           <div id="llm-dropdown" class="llm-dropdown hidden"></div>
         </div>
@@ -288,6 +570,11 @@ function init() {
                 <line x1="8" y1="23" x2="16" y2="23"></line>
               </svg>
             </button>
+            <button id="call-btn" class="mic-btn call-btn" title="Hands-free call" disabled>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72c.13.96.36 1.9.7 2.81a2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45c.91.34 1.85.57 2.81.7A2 2 0 0 1 22 16.92z"></path>
+              </svg>
+            </button>
           </div>
           <div id="status-label" class="status-label">Select a voice to begin.</div>
         </div>
@@ -303,8 +590,20 @@ function init() {
 
 	// Attach event listeners
 	document.getElementById('new-chat-btn').addEventListener('click', handleNewChat);
+	document.getElementById('conv-search-input').addEventListener('input', handleSearchInput);
+	document.getElementById('archive-view-btn').addEventListener('click', () => setArchiveView(!showArchived));
+	document.getElementById('tag-view-btn').addEventListener('click', toggleGroupByTag);
+	document.getElementById('select-btn').addEventListener('click', () => setSelectMode(!selectedIds));
+	document.querySelectorAll('.bulk-btn').forEach((button) => button.addEventListener('click', () => handleBulkAction(button.dataset.bulk)));
+	document.getElementById('export-pill').addEventListener('click', toggleExportDropdown);
+	document.getElementById('speak-pill').addEventListener('click', handleToggleSpeakReplies);
+	document.getElementById('retention-pill').addEventListener('click', toggleRetentionDropdown);
+	document.getElementById('group-pill').addEventListener('click', toggleGroupDropdown);
+	document.getElementById('import-btn').addEventListener('click', () => document.getElementById('import-input').click());
+	document.getElementById('import-input').addEventListener('change', handleImportFile);
 	document.getElementById('voice-select').addEventListener('change', handleVoiceSelect);
 	document.getElementById('mic-btn').addEventListener('click', handleMicClick);
+	document.getElementById('call-btn').addEventListener('click', handleCallClick);
 	document.getElementById('send-btn').addEventListener('click', handleSendText);
 	document.getElementById('text-input').addEventListener('keypress', (e) => {
 		if (e.key === 'Enter') {
@@ -351,11 +650,10 @@ async function fetchInitialData() {
 			option.textContent = voice.name;
 			voiceSelect.appendChild(option);
 		});
+		updateGroupPill();
 
 		// Fetch conversations
-		const convResponse = await fetch('/api/conversations');
-		if (!convResponse.ok) throw new Error('Failed to fetch conversations');
-		conversations = await convResponse.json();
+		conversations = await fetchConversations();
 
 		// Fetch settings
 		const settingsResponse = await fetch('/api/settings');
@@ -384,206 +682,588 @@ async function fetchInitialData() {
 	}
 }
 
-// Render the conversation list
+// Fetch the conversations the sidebar shows (the archived ones in the archive view)
+async function fetchConversations() {
+	const response = await fetch(`/api/conversations${showArchived ? '?archived=true' : ''}`);
+	if (!response.ok) throw new Error('Failed to fetch conversations');
+	return response.json();
+}
+
+// Switch the sidebar between the conversation list and the archive
+async function setArchiveView(archived) {
+	showArchived = archived;
+	document.getElementById('archive-view-btn').textContent = archived ? '← Back' : '🗄 Archived';
+	document.querySelector('.bulk-btn[data-bulk="archive"]').textContent = archived ? '📤 Unarchive' : '🗄 Archive';
+	document.getElementById('conv-search-input').value = '';
+	if (selectedIds) selectedIds.clear();
+
+	try {
+		conversations = await fetchConversations();
+	} catch (error) {
+		console.error('Error fetching conversations:', error);
+		showToast('Failed to load conversations.');
+	}
+	renderConvList();
+}
+
+// Add a new conversation to the sidebar, below the pinned ones
+async function addToConvList(conversation) {
+	// New conversations are never archived; the refreshed list includes them
+	if (showArchived) {
+		await setArchiveView(false);
+		return;
+	}
+
+	conversations.splice(conversations.filter((c) => c.pinned).length, 0, conversation);
+	renderConvList();
+}
+
+// Render the conversation list, grouped under each tag when grouping is on
 function renderConvList() {
 	const convList = document.getElementById('conv-list');
 	convList.innerHTML = '';
+	updateBulkBar();
+
+	if (showArchived && conversations.length === 0) {
+		convList.innerHTML = '<div class="conv-search-empty">No archived conversations</div>';
+		return;
+	}
+
+	if (!groupByTag) {
+		conversations.forEach((conv) => convList.appendChild(createConvItem(conv)));
+		return;
+	}
 
+	// A conversation with several tags is listed under each of them
+	const groups = new Map();
 	conversations.forEach((conv) => {
-		const convItem = document.createElement('div');
-		convItem.className = 'conv-item';
-		convItem.dataset.id = conv.id;
+		(conv.tags || []).forEach((tag) => {
+			if (!groups.has(tag.toLowerCase())) groups.set(tag.toLowerCase(), { name: tag, conversations: [] });
+			groups.get(tag.toLowerCase()).conversations.push(conv);
+		});
+	});
+	const sortedGroups = [...groups.entries()].sort(([, a], [, b]) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+	const untagged = conversations.filter((conv) => !conv.tags || conv.tags.length === 0);
+	if (untagged.length > 0) sortedGroups.push(['', { name: 'Untagged', conversations: untagged }]);
+
+	sortedGroups.forEach(([key, group]) => {
+		const collapsed = collapsedTags.has(key);
+		const header = document.createElement('div');
+		header.className = 'conv-group-header';
+		header.innerHTML = `<span>${collapsed ? '▸' : '▾'} ${key ? '🏷 ' : ''}${escapeHtml(group.name)}</span><span class="conv-group-count">${group.conversations.length}</span>`;
+		header.addEventListener('click', () => {
+			if (collapsed) collapsedTags.delete(key);
+			else collapsedTags.add(key);
+			renderConvList();
+		});
+		convList.appendChild(header);
+
+		if (!collapsed) {
+			group.conversations.forEach((conv) => convList.appendChild(createConvItem(conv)));
+		}
+	});
+}
 
-		// Find voice name
-		const voice = chatVoices.find((v) => v.id === conv.voiceId);
-		const voiceName = voice ? voice.name : 'Unknown Voice';
+// Build a sidebar entry for a conversation; in select mode a click ticks it instead of opening it
+function createConvItem(conv) {
+	const convItem = document.createElement('div');
+	convItem.className = 'conv-item';
+	convItem.dataset.id = conv.id;
 
-		convItem.innerHTML = `
+	// Find voice name (every participant's, for a group chat)
+	const voiceName = (conv.participantIds || [conv.voiceId]).map((id) => chatVoices.find((v) => v.id === id)?.name || 'Unknown Voice').join(', ');
+	const tags = (conv.tags || []).map((tag) => `<span class="conv-tag">${escapeHtml(tag)}</span>`).join('');
+
+	convItem.innerHTML = `
+      ${selectedIds ? `<input type="checkbox" class="conv-select" ${selectedIds.has(conv.id) ? 'checked' : ''}>` : ''}
       <div class="conv-item-content">
-        <div class="conv-title">${escapeHtml(conv.title || 'New Conversation')}</div>
+        <div class="conv-title" title="Double-click to rename">${conv.pinned ? '📌 ' : ''}${escapeHtml(conv.title || 'New Conversation')}</div>
         <div class="conv-voice">${escapeHtml(voiceName)}</div>
+        ${tags ? `<div class="conv-tags">${tags}</div>` : ''}
+      </div>
+      <div class="conv-actions">
+        <button class="conv-action-btn" data-action="rename" title="Rename">✎</button>
+        <button class="conv-action-btn" data-action="tags" title="Edit tags">🏷</button>
+        <button class="conv-action-btn${conv.pinned ? ' on' : ''}" data-action="pin" title="${conv.pinned ? 'Unpin' : 'Pin as a keepsake: kept at the top and never cleaned up'}">📌</button>
+        <button class="conv-action-btn" data-action="archive" title="${conv.archived ? 'Move back to conversations' : 'Archive'}">${conv.archived ? '📤' : '🗄'}</button>
+        <button class="conv-delete-btn" title="Delete conversation">×</button>
       </div>
-      <button class="conv-delete-btn" title="Delete conversation">×</button>
     `;
 
-		// Mark as active if this is the active conversation
-		if (conv.id === activeConversationId) {
-			convItem.classList.add('active');
-		}
+	// Mark as active if this is the active conversation
+	if (conv.id === activeConversationId) {
+		convItem.classList.add('active');
+	}
 
+	if (selectedIds) {
+		convItem.classList.add('selecting');
 		convItem.addEventListener('click', () => {
-			loadConversation(conv.id);
-
-			// Close sidebar on mobile
-			const sidebar = document.querySelector('.sidebar');
-			const overlay = document.getElementById('sidebar-overlay');
-			if (sidebar && overlay) {
-				sidebar.classList.remove('open');
-				overlay.classList.remove('visible');
-			}
+			if (selectedIds.has(conv.id)) selectedIds.delete(conv.id);
+			else selectedIds.add(conv.id);
+			renderConvList();
 		});
+		return convItem;
+	}
 
-		// Add event listener for delete button
-		const deleteBtn = convItem.querySelector('.conv-delete-btn');
-		deleteBtn.addEventListener('click', (event) => {
-			event.stopPropagation();
-			deleteConversation(conv.id);
-		});
-		convList.appendChild(convItem);
-	});
-}
-
-// Delete a conversation
-async function deleteConversation(id) {
-	try {
-		const response = await fetch(`/api/conversations/${id}`, {
-			method: 'DELETE',
-		});
+	convItem.addEventListener('click', () => {
+		loadConversation(conv.id);
 
-		if (!response.ok) {
-			throw new Error('Failed to delete conversation');
+		// Close sidebar on mobile
+		const sidebar = document.querySelector('.sidebar');
+		const overlay = document.getElementById('sidebar-overlay');
+		if (sidebar && overlay) {
+			sidebar.classList.remove('open');
+			overlay.classList.remove('visible');
 		}
+	});
 
-		// Remove the conversation from the conversations array
-		conversations = conversations.filter(c => c.id !== id);
-
-		// Re-render the conversation list
-		renderConvList();
-
-		// If this was the active conversation, reset the UI
-		if (id === activeConversationId) {
-			activeConversationId = null;
-			activeLlmModel = null;
-			activeLanguage = null;
-			updateLanguagePill(null);
-
-			// Clear chat messages and show empty state
-			const chatMessages = document.getElementById('chat-messages');
-			chatMessages.innerHTML = `
-				<div class="chat-empty">
-					<div class="empty-icon">💬</div>
-					<p>Select a voice to begin.</p>
-				</div>
-			`;
-
-			// Disable mic button, text input, and send button
-			document.getElementById('mic-btn').disabled = true;
-			document.getElementById('text-input').disabled = true;
-			document.getElementById('send-btn').disabled = true;
-
-			// Reset voice select value and enable it
-			const voiceSelect = document.getElementById('voice-select');
-			voiceSelect.value = '';
-			voiceSelect.disabled = false;
+	// Rename, tag, pin and archive
+	convItem.querySelector('.conv-title').addEventListener('dblclick', (event) => {
+		event.stopPropagation();
+		startRename(convItem, conv);
+	});
+	convItem.querySelectorAll('.conv-action-btn').forEach((button) => {
+		button.addEventListener('click', (event) => {
+			event.stopPropagation();
+			if (button.dataset.action === 'rename') {
+				startRename(convItem, conv);
+			} else if (button.dataset.action === 'tags') {
+				startTagEdit(convItem, conv);
+			} else if (button.dataset.action === 'pin') {
+				updateConversationFromList(conv.id, { pinned: !conv.pinned });
+			} else {
+				updateConversationFromList(conv.id, { archived: !conv.archived });
+			}
+		});
+	});
 
-			// Update status label
-			document.getElementById('status-label').textContent = 'Select a voice to begin.';
+	// Add event listener for delete button
+	const deleteBtn = convItem.querySelector('.conv-delete-btn');
+	deleteBtn.addEventListener('click', (event) => {
+		event.stopPropagation();
+		deleteConversation(conv.id);
+	});
 
-			// Update LLM pill
-			updateLlmPill();
-		}
-	} catch (error) {
-		console.error('Error deleting conversation:', error);
-		showToast('Failed to delete conversation.');
-	}
+	return convItem;
 }
 
-// Handle new chat button click
-function handleNewChat() {
-	turnQueue = [];
-	navigationToken++; // Increment navigation token
-
-	activeConversationId = null;
+// Swap a conversation's title for an input to rename it
+function startRename(convItem, conv) {
+	editInPlace(convItem, conv, conv.title || '', { maxLength: 200 }, (title) => {
+		if (title && title !== conv.title) return { title };
+		return null;
+	});
+}
 
-	// Reset LLM model for new chat
-	activeLlmModel = null;
-	updateLlmPill();
+// Swap a conversation's title for an input to edit its tags, separated by commas
+function startTagEdit(convItem, conv) {
+	const current = (conv.tags || []).join(', ');
+	editInPlace(convItem, conv, current, { placeholder: 'Tags, separated by commas' }, (value) => {
+		if (value === current) return null;
+		return { tags: value.split(',').map((tag) => tag.trim()).filter(Boolean) };
+	});
+}
 
-	// Reset language for new chat
-	activeLanguage = null;
-	updateLanguagePill(null);
+// Edit a conversation from an input in place of its title (Enter or leaving the field saves, Escape cancels).
+// getChanges turns the entered text into the changes to save, or null when there is nothing to save.
+function editInPlace(convItem, conv, value, { maxLength, placeholder }, getChanges) {
+	const input = document.createElement('input');
+	input.className = 'conv-rename-input';
+	input.value = value;
+	if (maxLength) input.maxLength = maxLength;
+	if (placeholder) input.placeholder = placeholder;
+	convItem.querySelector('.conv-title').replaceWith(input);
+	input.focus();
+	input.select();
+
+	let finished = false;
+	const finish = (save) => {
+		if (finished) return;
+		finished = true;
+
+		const changes = save ? getChanges(input.value.trim()) : null;
+		if (changes) {
+			updateConversationFromList(conv.id, changes);
+		} else {
+			renderConvList();
+		}
+	};
 
-	// Clear chat messages and show empty state
-	const chatMessages = document.getElementById('chat-messages');
-	chatMessages.innerHTML = `
-    <div class="chat-empty">
-      <div class="empty-icon">💬</div>
-      <p>Select a voice to begin.</p>
-    </div>
-  `;
+	input.addEventListener('click', (event) => event.stopPropagation());
+	input.addEventListener('keydown', (event) => {
+		if (event.key === 'Enter') finish(true);
+		if (event.key === 'Escape') finish(false);
+	});
+	input.addEventListener('blur', () => finish(true));
+}
 
-	// Enable voice select and reset its value
-	const voiceSelect = document.getElementById('voice-select');
-	voiceSelect.value = '';
-	voiceSelect.disabled = false;
+// Turn grouping by tag on or off
+function toggleGroupByTag() {
+	groupByTag = !groupByTag;
+	document.getElementById('tag-view-btn').classList.toggle('on', groupByTag);
+	document.getElementById('conv-search-input').value = '';
+	renderConvList();
+}
 
-	// Update status label
-	document.getElementById('status-label').textContent = 'Select a voice to begin.';
+// Enter or leave select mode, where conversations can be ticked for a bulk action
+function setSelectMode(selecting) {
+	selectedIds = selecting ? new Set() : null;
+	document.getElementById('select-btn').textContent = selecting ? '✕ Cancel' : '☑ Select';
+	document.getElementById('conv-search-input').value = '';
+	renderConvList();
+}
 
-	// Disable mic button, text input, and send button
-	document.getElementById('mic-btn').disabled = true;
-	document.getElementById('text-input').disabled = true;
-	document.getElementById('send-btn').disabled = true;
+// Show the bulk action bar while selecting, with how many conversations are ticked
+function updateBulkBar() {
+	const bulkBar = document.getElementById('bulk-bar');
+	if (!bulkBar) return;
+	bulkBar.classList.toggle('hidden', !selectedIds);
+	if (!selectedIds) return;
 
-	// Remove active class from all conversation items
-	document.querySelectorAll('.conv-item').forEach((item) => {
-		item.classList.remove('active');
+	// Ticked conversations the list no longer shows (e.g. deleted elsewhere) drop out
+	selectedIds.forEach((id) => {
+		if (!conversations.some((c) => c.id === id)) selectedIds.delete(id);
 	});
+	document.getElementById('bulk-count').textContent = `${selectedIds.size} selected`;
+	bulkBar.querySelectorAll('.bulk-btn').forEach((button) => (button.disabled = selectedIds.size === 0));
 }
 
-// Handle voice selection
-async function handleVoiceSelect() {
-	const voiceSelect = document.getElementById('voice-select');
-	const voiceId = voiceSelect.value;
+// Tag, untag, archive (or unarchive, in the archive view) or delete the ticked conversations
+async function handleBulkAction(action) {
+	if (!selectedIds || selectedIds.size === 0) return;
+	const ids = [...selectedIds];
+	const body = { ids, action: action === 'archive' && showArchived ? 'unarchive' : action };
 
-	if (!voiceId) return;
+	if (action === 'tag' || action === 'untag') {
+		const tag = document.getElementById('bulk-tag-input').value.trim();
+		if (!tag) {
+			showToast('Enter a tag first.');
+			return;
+		}
+		body.tags = [tag];
+	}
+	if (action === 'delete' && !confirm(`Delete ${ids.length} conversation${ids.length === 1 ? '' : 's'}? This cannot be undone.`)) {
+		return;
+	}
 
 	try {
-		// Create a new conversation
-		const response = await fetch('/api/conversations', {
+		const response = await fetch('/api/conversations/bulk', {
 			method: 'POST',
-			headers: {
-				'Content-Type': 'application/json',
-			},
-			body: JSON.stringify({ voiceId }),
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(body),
 		});
 
 		if (!response.ok) {
 			const errorData = await response.json();
-			throw new Error(errorData.error || 'Failed to create conversation');
+			throw new Error(errorData.error || 'Bulk action failed');
 		}
 
-		const newConversation = await response.json();
+		const result = await response.json();
+		if (action === 'delete' && result.succeeded.includes(activeConversationId)) {
+			clearActiveConversation();
+		}
+		if (result.failed.length > 0) {
+			showToast(`${result.failed.length} of ${ids.length} conversations could not be updated: ${result.failed[0].error}`);
+		}
 
-		// Set as active conversation
-		activeConversationId = newConversation.id;
+		document.getElementById('bulk-tag-input').value = '';
+		selectedIds.clear();
+		conversations = await fetchConversations();
+	} catch (error) {
+		console.error('Error applying bulk action:', error);
+		showToast(error.message || 'Bulk action failed.');
+	}
+	renderConvList();
+}
 
-		// Reset LLM model for new conversation
-		activeLlmModel = null;
-		updateLlmPill();
+// Rename, tag, pin or archive a conversation from the sidebar, then refresh the list in its new order
+async function updateConversationFromList(id, changes) {
+	try {
+		const response = await fetch(`/api/conversations/${id}`, {
+			method: 'PATCH',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(changes),
+		});
 
-		// Set initial language for new conversation
-		activeLanguage = defaultLanguage;
-		updateLanguagePill(activeLanguage);
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to update conversation');
+		}
+
+		conversations = await fetchConversations();
+	} catch (error) {
+		console.error('Error updating conversation:', error);
+		showToast(error.message || 'Failed to update conversation.');
+	}
+	renderConvList();
+}
 
-		// Add to conversations array
-		conversations.unshift(newConversation);
+// Search messages as the user types; an empty box shows the conversation list again
+function handleSearchInput(event) {
+	clearTimeout(searchTimer);
+	const query = event.target.value.trim();
 
-		// Update conversation list
+	if (!query) {
 		renderConvList();
+		return;
+	}
 
-		// Update status label
-		const voice = chatVoices.find((v) => v.id === voiceId);
-		const voiceName = voice ? voice.name : 'Voice';
-		document.getElementById('status-label').textContent = `${escapeHtml(voiceName)} is ready. Press the mic to start talking.`;
+	searchTimer = setTimeout(() => searchConversations(query), 250);
+}
 
-		// Enable mic button, text input, and send button
-		document.getElementById('mic-btn').disabled = false;
-		document.getElementById('text-input').disabled = false;
-		document.getElementById('send-btn').disabled = false;
+// Fetch search hits and show them in place of the conversation list
+async function searchConversations(query) {
+	try {
+		const response = await fetch(`/api/conversations/search?q=${encodeURIComponent(query)}`);
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Search failed');
+		}
+
+		const results = await response.json();
+
+		// Ignore results for a query the user has already changed
+		if (document.getElementById('conv-search-input').value.trim() !== query) return;
+		renderSearchResults(results);
+	} catch (error) {
+		console.error('Error searching conversations:', error);
+		showToast(error.message || 'Search failed.');
+	}
+}
+
+// Render search hits: conversation title plus a snippet with the matches marked
+function renderSearchResults(results) {
+	const convList = document.getElementById('conv-list');
+	convList.innerHTML = '';
+
+	if (results.length === 0) {
+		convList.innerHTML = '<div class="conv-search-empty">No messages found</div>';
+		return;
+	}
+
+	results.forEach((result) => {
+		const resultItem = document.createElement('div');
+		resultItem.className = 'conv-item search-result';
+
+		// The snippet arrives HTML-escaped with <mark> around the matches
+		resultItem.innerHTML = `
+      <div class="conv-item-content">
+        <div class="conv-title">${escapeHtml(result.conversationTitle || 'New Conversation')}</div>
+        <div class="conv-snippet">${result.snippet}</div>
+      </div>
+    `;
+
+		resultItem.addEventListener('click', () => {
+			openSearchResult(result);
+
+			// Close sidebar on mobile
+			const sidebar = document.querySelector('.sidebar');
+			const overlay = document.getElementById('sidebar-overlay');
+			if (sidebar && overlay) {
+				sidebar.classList.remove('open');
+				overlay.classList.remove('visible');
+			}
+		});
+
+		convList.appendChild(resultItem);
+	});
+}
+
+// Open the conversation of a search hit and highlight the matching bubble,
+// switching to its branch first if it is not on the active one
+async function openSearchResult(result) {
+	await loadConversation(result.conversationId);
+	if (activeConversationId !== result.conversationId) return;
+
+	let bubble = document.querySelector(`.bubble[data-message-id="${result.messageId}"]`);
+	if (!bubble) {
+		await handleSwitchBranch(result.messageId);
+		bubble = document.querySelector(`.bubble[data-message-id="${result.messageId}"]`);
+	}
+	if (!bubble) return;
+
+	bubble.scrollIntoView({ behavior: 'smooth', block: 'center' });
+	bubble.classList.add('bubble-highlight');
+	setTimeout(() => bubble.classList.remove('bubble-highlight'), 2500);
+}
+
+// Close the active conversation and show the empty chat
+function clearActiveConversation() {
+	endCall();
+	activeConversationId = null;
+	updateExportPill();
+	updateGroupPill();
+	speakReplies = true;
+	updateSpeakPill();
+	retention = null;
+	retentionExpiresAt = null;
+	updateRetentionPill();
+	groupParticipantIds = null;
+	activeLlmModel = null;
+	activeLanguage = null;
+	updateLanguagePill(null);
+
+	// Clear chat messages and show empty state
+	const chatMessages = document.getElementById('chat-messages');
+	chatMessages.innerHTML = `
+		<div class="chat-empty">
+			<div class="empty-icon">💬</div>
+			<p>Select a voice to begin.</p>
+		</div>
+	`;
+
+	// Disable mic button, text input, and send button
+	document.getElementById('mic-btn').disabled = true;
+	document.getElementById('call-btn').disabled = true;
+	document.getElementById('text-input').disabled = true;
+	document.getElementById('send-btn').disabled = true;
+
+	// Reset voice select value and enable it
+	const voiceSelect = document.getElementById('voice-select');
+	voiceSelect.value = '';
+	voiceSelect.disabled = false;
+
+	// Update status label
+	document.getElementById('status-label').textContent = 'Select a voice to begin.';
+
+	// Update LLM pill
+	updateLlmPill();
+}
+
+// Delete a conversation
+async function deleteConversation(id) {
+	try {
+		const response = await fetch(`/api/conversations/${id}`, {
+			method: 'DELETE',
+		});
+
+		if (!response.ok) {
+			throw new Error('Failed to delete conversation');
+		}
+
+		// Remove the conversation from the conversations array
+		conversations = conversations.filter(c => c.id !== id);
 
-		// Clear chat messages
-		document.getElementById('chat-messages').innerHTML = '';
+		// Re-render the conversation list
+		renderConvList();
+
+		// If this was the active conversation, reset the UI
+		if (id === activeConversationId) {
+			clearActiveConversation();
+		}
+	} catch (error) {
+		console.error('Error deleting conversation:', error);
+		showToast('Failed to delete conversation.');
+	}
+}
+
+// Import a conversation from an exported JSON or ZIP file and open it
+async function handleImportFile(event) {
+	const file = event.target.files[0];
+	event.target.value = '';
+	if (!file) return;
+
+	const importBtn = document.getElementById('import-btn');
+	importBtn.disabled = true;
+
+	try {
+		const formData = new FormData();
+		formData.append('file', file);
+
+		const response = await fetch('/api/conversations/import', {
+			method: 'POST',
+			body: formData,
+		});
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to import conversation');
+		}
+
+		const { conversation, unresolvedVoices } = await response.json();
+		await addToConvList({
+			id: conversation.id,
+			voiceId: conversation.voiceId,
+			title: conversation.title,
+			createdAt: conversation.createdAt,
+			updatedAt: conversation.updatedAt,
+		});
+		await loadConversation(conversation.id);
+
+		if (unresolvedVoices.length > 0) {
+			showToast(`Imported. These voices don't exist here: ${unresolvedVoices.map((v) => v.name).join(', ')}`, 6000);
+		} else {
+			showToast('Conversation imported.');
+		}
+	} catch (error) {
+		console.error('Error importing conversation:', error);
+		showToast(error.message || 'Failed to import conversation.');
+	} finally {
+		importBtn.disabled = false;
+	}
+}
+
+// Handle new chat button click
+function handleNewChat() {
+	turnQueue = [];
+	navigationToken++; // Increment navigation token
+	endCall();
+
+	activeConversationId = null;
+	updateExportPill();
+	updateGroupPill();
+	speakReplies = true;
+	updateSpeakPill();
+	retention = null;
+	retentionExpiresAt = null;
+	updateRetentionPill();
+	groupParticipantIds = null;
+
+	// Reset LLM model for new chat
+	activeLlmModel = null;
+	updateLlmPill();
+
+	// Reset language for new chat
+	activeLanguage = null;
+	updateLanguagePill(null);
+
+	// Clear chat messages and show empty state
+	const chatMessages = document.getElementById('chat-messages');
+	chatMessages.innerHTML = `
+    <div class="chat-empty">
+      <div class="empty-icon">💬</div>
+      <p>Select a voice to begin.</p>
+    </div>
+  `;
+
+	// Enable voice select and reset its value
+	const voiceSelect = document.getElementById('voice-select');
+	voiceSelect.value = '';
+	voiceSelect.disabled = false;
+
+	// Update status label
+	document.getElementById('status-label').textContent = 'Select a voice to begin.';
+
+	// Disable mic button, text input, and send button
+	document.getElementById('mic-btn').disabled = true;
+	document.getElementById('call-btn').disabled = true;
+	document.getElementById('text-input').disabled = true;
+	document.getElementById('send-btn').disabled = true;
+
+	// Remove active class from all conversation items
+	document.querySelectorAll('.conv-item').forEach((item) => {
+		item.classList.remove('active');
+	});
+}
+
+// Handle voice selection
+async function handleVoiceSelect() {
+	const voiceSelect = document.getElementById('voice-select');
+	const voiceId = voiceSelect.value;
+
+	if (!voiceId) return;
+
+	try {
+		await startConversation({ voiceId });
 	} catch (error) {
 		console.error('Error creating conversation:', error);
 		showToast(error.message || 'Failed to create conversation');
@@ -593,10 +1273,73 @@ async function handleVoiceSelect() {
 	}
 }
 
+// Create a conversation (one voice, or a group chat) and make it the active one
+async function startConversation(body) {
+	// Create a new conversation
+	const response = await fetch('/api/conversations', {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+		},
+		body: JSON.stringify(body),
+	});
+
+	if (!response.ok) {
+		const errorData = await response.json();
+		throw new Error(errorData.error || 'Failed to create conversation');
+	}
+
+	const newConversation = await response.json();
+
+	// Set as active conversation
+	activeConversationId = newConversation.id;
+	updateExportPill();
+	updateGroupPill();
+	speakReplies = newConversation.speakReplies !== false;
+	updateSpeakPill();
+	retention = newConversation.retention || null;
+	retentionExpiresAt = null;
+	updateRetentionPill();
+	groupParticipantIds = newConversation.participantIds || null;
+
+	// Reset LLM model for new conversation
+	activeLlmModel = null;
+	updateLlmPill();
+
+	// Set initial language for new conversation
+	activeLanguage = defaultLanguage;
+	updateLanguagePill(activeLanguage);
+
+	// Add to conversation list
+	await addToConvList(newConversation);
+
+	// A group chat shows its first voice; the select can't change who takes part
+	const voiceSelect = document.getElementById('voice-select');
+	if (groupParticipantIds) {
+		voiceSelect.value = newConversation.voiceId;
+		voiceSelect.disabled = true;
+	}
+
+	// Update status label
+	const voiceIds = groupParticipantIds || [newConversation.voiceId];
+	const voiceName = voiceIds.map((id) => chatVoices.find((v) => v.id === id)?.name || 'Voice').join(' and ');
+	document.getElementById('status-label').textContent = `${voiceName} ${voiceIds.length > 1 ? 'are' : 'is'} ready. Press the mic to start talking.`;
+
+	// Enable mic button, text input, and send button
+	document.getElementById('mic-btn').disabled = false;
+	document.getElementById('call-btn').disabled = false;
+	document.getElementById('text-input').disabled = false;
+	document.getElementById('send-btn').disabled = false;
+
+	// Clear chat messages
+	document.getElementById('chat-messages').innerHTML = '';
+}
+
 // Load a conversation
 async function loadConversation(id) {
 	turnQueue = [];
 	navigationToken++; // Increment navigation token
+	endCall();
 
 	try {
 		const response = await fetch(`/api/conversations/${id}`);
@@ -609,6 +1352,14 @@ async function loadConversation(id) {
 
 		// Set as active conversation
 		activeConversationId = id;
+		updateExportPill();
+		updateGroupPill();
+		speakReplies = conversation.speakReplies !== false;
+		groupParticipantIds = conversation.participantIds || null;
+		updateSpeakPill();
+		retention = conversation.retention || null;
+		retentionExpiresAt = conversation.expiresAt || null;
+		updateRetentionPill();
 
 		// Sync LLM model state
 		activeLlmModel = conversation.activeLlmModel || null;
@@ -619,7 +1370,7 @@ async function loadConversation(id) {
 		updateLanguagePill(activeLanguage);
 
 		// Render messages
-		renderMessages(conversation.messages);
+		renderMessages(conversation.messages, conversation.branches);
 
 		// Update active class in sidebar FIRST (before early return)
 		document.querySelectorAll('.conv-item').forEach((item) => {
@@ -636,6 +1387,7 @@ async function loadConversation(id) {
 		// No-voices guard
 		if (chatVoices.length === 0) {
 			document.getElementById('mic-btn').disabled = true;
+			document.getElementById('call-btn').disabled = true;
 			document.getElementById('text-input').disabled = true;
 			document.getElementById('send-btn').disabled = true;
 			document.getElementById('status-label').textContent = 'Select a voice to begin.';
@@ -649,6 +1401,7 @@ async function loadConversation(id) {
 
 		// Enable mic button, text input, and send button
 		document.getElementById('mic-btn').disabled = false;
+		document.getElementById('call-btn').disabled = false;
 		document.getElementById('text-input').disabled = false;
 		document.getElementById('send-btn').disabled = false;
 	} catch (error) {
@@ -658,7 +1411,7 @@ async function loadConversation(id) {
 }
 
 // Render messages in the chat
-function renderMessages(messages) {
+function renderMessages(messages, branches = {}) {
 	const chatMessages = document.getElementById('chat-messages');
 	chatMessages.innerHTML = '';
 
@@ -685,14 +1438,18 @@ function renderMessages(messages) {
 
 		const bubble = document.createElement('div');
 		bubble.className = `bubble ${message.role}`;
+		bubble.dataset.messageId = message.id;
 
 		if (message.role === 'user') {
-			bubble.innerHTML = escapeHtml(message.content);
+			bubble.innerHTML = `<span class="bubble-text">${escapeHtml(message.content)}</span>`;
+			renderUserActions(bubble, message, branches[message.id]);
 		} else if (message.role === 'assistant') {
+			// Text-only replies get their audio when played
 			bubble.innerHTML = `
-        ${renderAiContent(message.content)}
-        <audio class="bubble-audio" src="${escapeHtml(message.audioUrl)}" controls></audio>
+        <span class="bubble-text">${renderAiContent(message.content)}</span>
+        ${message.audioUrl ? `<audio class="bubble-audio" src="${escapeHtml(message.audioUrl)}" controls></audio>` : ''}
       `;
+			renderAiActions(bubble, message);
 		}
 
 		chatMessages.appendChild(bubble);
@@ -702,6 +1459,418 @@ function renderMessages(messages) {
 	chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+// Render the edit and branch-switching controls of a user bubble
+function renderUserActions(userBubble, message, branch) {
+	let actions = userBubble.querySelector('.bubble-actions');
+	if (!actions) {
+		actions = document.createElement('div');
+		actions.className = 'bubble-actions';
+		userBubble.appendChild(actions);
+	}
+	actions.innerHTML = '';
+
+	if (!message.turnId) return;
+
+	if (branch) {
+		const prevBtn = document.createElement('button');
+		prevBtn.className = 'bubble-action-btn';
+		prevBtn.textContent = '‹';
+		prevBtn.title = 'Previous branch';
+		prevBtn.disabled = branch.index <= 0;
+		prevBtn.addEventListener('click', () => handleSwitchBranch(branch.siblingIds[branch.index - 1]));
+
+		const label = document.createElement('span');
+		label.className = 'bubble-version-label';
+		label.textContent = `${branch.index + 1}/${branch.siblingIds.length}`;
+
+		const nextBtn = document.createElement('button');
+		nextBtn.className = 'bubble-action-btn';
+		nextBtn.textContent = '›';
+		nextBtn.title = 'Next branch';
+		nextBtn.disabled = branch.index >= branch.siblingIds.length - 1;
+		nextBtn.addEventListener('click', () => handleSwitchBranch(branch.siblingIds[branch.index + 1]));
+
+		actions.append(prevBtn, label, nextBtn);
+	}
+
+	const editBtn = document.createElement('button');
+	editBtn.className = 'bubble-action-btn';
+	editBtn.textContent = '✎';
+	editBtn.title = 'Edit message';
+	editBtn.addEventListener('click', () => startEditingMessage(userBubble, message));
+	actions.appendChild(editBtn);
+}
+
+// Replace a user bubble's text with an inline editor
+function startEditingMessage(userBubble, message) {
+	if (isProcessingTurn) {
+		showToast('Wait for the current reply to finish before editing.');
+		return;
+	}
+
+	const textEl = userBubble.querySelector('.bubble-text');
+	const actions = userBubble.querySelector('.bubble-actions');
+
+	const input = document.createElement('textarea');
+	input.className = 'bubble-edit-input';
+	input.value = message.content;
+
+	const saveBtn = document.createElement('button');
+	saveBtn.className = 'bubble-action-btn';
+	saveBtn.textContent = 'Save';
+
+	const cancelBtn = document.createElement('button');
+	cancelBtn.className = 'bubble-action-btn';
+	cancelBtn.textContent = 'Cancel';
+
+	const editActions = document.createElement('div');
+	editActions.className = 'bubble-actions';
+	editActions.append(saveBtn, cancelBtn);
+
+	const stopEditing = () => {
+		input.remove();
+		editActions.remove();
+		textEl.hidden = false;
+		actions.hidden = false;
+	};
+
+	cancelBtn.addEventListener('click', stopEditing);
+	saveBtn.addEventListener('click', async () => {
+		const text = input.value.trim();
+		if (!text || text === message.content) {
+			stopEditing();
+			return;
+		}
+		saveBtn.disabled = true;
+		cancelBtn.disabled = true;
+		input.disabled = true;
+		if (!(await handleEditMessage(message, text))) {
+			stopEditing();
+		}
+	});
+
+	textEl.hidden = true;
+	actions.hidden = true;
+	userBubble.append(input, editActions);
+	input.focus();
+}
+
+// Handle saving an edited user message: the server forks a new branch and replies on it
+async function handleEditMessage(message, text) {
+	const conversationId = activeConversationId;
+	document.getElementById('status-label').textContent = 'Thinking…';
+
+	try {
+		const response = await fetch(`/api/conversations/${conversationId}/turns/${message.turnId}/edit`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ text, turnId: crypto.randomUUID() }),
+		});
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to edit message');
+		}
+
+		const result = await response.json();
+		if (conversationId === activeConversationId) {
+			await loadConversation(conversationId);
+			if (result.aiMessage.audioUrl) {
+				new Audio(result.aiMessage.audioUrl).play().catch((e) => console.log('Auto-play prevented:', e));
+			}
+		}
+		return true;
+	} catch (error) {
+		console.error('Error editing message:', error);
+		showToast(error.message || 'Failed to edit message.');
+		document.getElementById('status-label').textContent = 'Press mic to speak';
+		return false;
+	}
+}
+
+// Handle switching to another branch of the conversation
+async function handleSwitchBranch(messageId) {
+	if (isProcessingTurn) {
+		showToast('Wait for the current reply to finish before switching branches.');
+		return;
+	}
+
+	const conversationId = activeConversationId;
+
+	try {
+		const response = await fetch(`/api/conversations/${conversationId}/active-branch`, {
+			method: 'PUT',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ messageId }),
+		});
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to switch branch');
+		}
+
+		if (conversationId === activeConversationId) {
+			await loadConversation(conversationId);
+		}
+	} catch (error) {
+		console.error('Error switching branch:', error);
+		showToast(error.message || 'Failed to switch branch.');
+	}
+}
+
+// Update an AI bubble's text, audio and actions from an assistant message
+function updateAiBubble(aiBubble, message, autoplay = false) {
+	aiBubble.querySelector('.bubble-text').innerHTML = renderAiContent(message.content);
+
+	const audio = aiBubble.querySelector('audio');
+	if (message.audioUrl) {
+		const { audio: player } = getBubblePlayer(aiBubble);
+		player.src = message.audioUrl;
+		if (autoplay) {
+			player.play().catch((e) => console.log('Auto-play prevented:', e));
+		}
+	} else if (audio) {
+		// Text-only version: don't leave the previous version's audio loaded
+		audio.pause();
+		audio.removeAttribute('src');
+	}
+
+	renderAiActions(aiBubble, message);
+}
+
+// Render the regenerate and version-switching controls of an AI bubble
+function renderAiActions(aiBubble, message) {
+	let actions = aiBubble.querySelector('.bubble-actions');
+	if (!actions) {
+		actions = document.createElement('div');
+		actions.className = 'bubble-actions';
+		aiBubble.appendChild(actions);
+	}
+	actions.innerHTML = '';
+
+	renderAiSpeaker(aiBubble, message);
+	renderAiSources(aiBubble, message);
+	renderAiAudioError(aiBubble, message);
+
+	const playBtn = document.createElement('button');
+	playBtn.className = 'bubble-action-btn';
+	playBtn.textContent = '▶';
+	playBtn.title = message.audioUrl ? 'Play reply' : 'Read this reply aloud';
+	playBtn.addEventListener('click', () => handlePlayReply(aiBubble, message));
+	actions.appendChild(playBtn);
+
+	if (!message.turnId) return;
+
+	const versions = message.versions || [];
+	if (versions.length > 1) {
+		const activeId = message.activeVersionId || message.id;
+		const index = versions.findIndex((v) => v.id === activeId);
+
+		const prevBtn = document.createElement('button');
+		prevBtn.className = 'bubble-action-btn';
+		prevBtn.textContent = '‹';
+		prevBtn.title = 'Previous version';
+		prevBtn.disabled = index <= 0;
+		prevBtn.addEventListener('click', () => handleSelectVersion(aiBubble, message, versions[index - 1].id));
+
+		const label = document.createElement('span');
+		label.className = 'bubble-version-label';
+		label.textContent = `${index + 1}/${versions.length}`;
+
+		const nextBtn = document.createElement('button');
+		nextBtn.className = 'bubble-action-btn';
+		nextBtn.textContent = '›';
+		nextBtn.title = 'Next version';
+		nextBtn.disabled = index >= versions.length - 1;
+		nextBtn.addEventListener('click', () => handleSelectVersion(aiBubble, message, versions[index + 1].id));
+
+		const keepBtn = document.createElement('button');
+		keepBtn.className = 'bubble-action-btn';
+		keepBtn.textContent = 'Keep';
+		keepBtn.title = 'Keep this version and discard the others';
+		keepBtn.addEventListener('click', () => handleKeepVersion(aiBubble, message));
+
+		actions.append(prevBtn, label, nextBtn, keepBtn);
+	}
+
+	const regenerateBtn = document.createElement('button');
+	regenerateBtn.className = 'bubble-action-btn';
+	regenerateBtn.textContent = '↻';
+	regenerateBtn.title = 'Regenerate reply';
+	regenerateBtn.addEventListener('click', () => handleRegenerate(aiBubble, message));
+	actions.appendChild(regenerateBtn);
+}
+
+// Show who is speaking on AI replies in group chats
+function renderAiSpeaker(aiBubble, message) {
+	let speaker = aiBubble.querySelector('.bubble-speaker');
+	if (!groupParticipantIds || !message.voiceId) {
+		if (speaker) speaker.remove();
+		return;
+	}
+
+	if (!speaker) {
+		speaker = document.createElement('div');
+		speaker.className = 'bubble-speaker';
+		aiBubble.prepend(speaker);
+	}
+	speaker.textContent = chatVoices.find((v) => v.id === message.voiceId)?.name || 'Unknown voice';
+}
+
+// Show which knowledge base documents an AI reply drew on
+function renderAiSources(aiBubble, message) {
+	let sources = aiBubble.querySelector('.bubble-sources');
+	if (!message.sources || message.sources.length === 0) {
+		if (sources) sources.remove();
+		return;
+	}
+
+	if (!sources) {
+		sources = document.createElement('div');
+		sources.className = 'bubble-sources';
+		aiBubble.insertBefore(sources, aiBubble.querySelector('.bubble-actions'));
+	}
+
+	const names = [...new Set(message.sources.map((s) => s.documentName))];
+	sources.textContent = `📄 Drew on: ${names.join(', ')}`;
+	sources.title = message.sources.map((s) => `${s.documentName}: ${s.excerpt}`).join('\n\n');
+}
+
+// Show why an AI reply has no audio when synthesis failed (the server keeps retrying it in the background)
+function renderAiAudioError(aiBubble, message) {
+	let note = aiBubble.querySelector('.bubble-audio-error');
+	if (message.audioStatus !== 'failed' || message.audioUrl) {
+		if (note) note.remove();
+		return;
+	}
+
+	if (!note) {
+		note = document.createElement('div');
+		note.className = 'bubble-audio-error';
+		aiBubble.insertBefore(note, aiBubble.querySelector('.bubble-actions'));
+	}
+	note.textContent = '⚠️ Audio failed ';
+	note.title = message.audioError || '';
+
+	const retryBtn = document.createElement('button');
+	retryBtn.className = 'bubble-action-btn';
+	retryBtn.textContent = 'Retry';
+	retryBtn.title = 'Generate the audio again';
+	retryBtn.addEventListener('click', () => handlePlayReply(aiBubble, message));
+	note.appendChild(retryBtn);
+}
+
+// Disable an AI bubble's action buttons while a request is in flight
+function setAiActionsBusy(aiBubble, busy) {
+	aiBubble.querySelectorAll('.bubble-action-btn').forEach((btn) => {
+		btn.disabled = busy;
+	});
+}
+
+// Play an AI reply, generating its audio first if it was saved as text only
+async function handlePlayReply(aiBubble, message) {
+	if (message.audioUrl) {
+		const { audio } = getBubblePlayer(aiBubble);
+		audio.src = message.audioUrl;
+		audio.play().catch((e) => console.log('Auto-play prevented:', e));
+		return;
+	}
+
+	const conversationId = activeConversationId;
+	setAiActionsBusy(aiBubble, true);
+	document.getElementById('status-label').textContent = 'Generating audio…';
+
+	try {
+		const response = await fetch(`/api/conversations/${conversationId}/messages/${message.id}/audio`, { method: 'POST' });
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to generate audio');
+		}
+
+		const result = await response.json();
+		if (conversationId === activeConversationId) {
+			updateAiBubble(aiBubble, result.aiMessage, true);
+		}
+	} catch (error) {
+		console.error('Error generating audio:', error);
+		showToast(error.message || 'Failed to generate audio.');
+		setAiActionsBusy(aiBubble, false);
+	}
+
+	document.getElementById('status-label').textContent = 'Press mic to speak';
+}
+
+// Handle regenerate button click
+async function handleRegenerate(aiBubble, message) {
+	const conversationId = activeConversationId;
+	setAiActionsBusy(aiBubble, true);
+	document.getElementById('status-label').textContent = 'Regenerating…';
+
+	try {
+		const response = await fetch(`/api/conversations/${conversationId}/turns/${message.turnId}/regenerate`, { method: 'POST' });
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to regenerate reply');
+		}
+
+		const result = await response.json();
+		if (conversationId === activeConversationId) {
+			updateAiBubble(aiBubble, result.aiMessage, true);
+		}
+	} catch (error) {
+		console.error('Error regenerating reply:', error);
+		showToast(error.message || 'Failed to regenerate reply.');
+		setAiActionsBusy(aiBubble, false);
+	}
+
+	document.getElementById('status-label').textContent = 'Press mic to speak';
+}
+
+// Handle switching to another reply version
+async function handleSelectVersion(aiBubble, message, versionId) {
+	setAiActionsBusy(aiBubble, true);
+
+	try {
+		const response = await fetch(`/api/conversations/${activeConversationId}/turns/${message.turnId}`, {
+			method: 'PATCH',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ versionId }),
+		});
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to switch version');
+		}
+
+		const result = await response.json();
+		updateAiBubble(aiBubble, result.aiMessage);
+	} catch (error) {
+		console.error('Error switching version:', error);
+		showToast(error.message || 'Failed to switch version.');
+		setAiActionsBusy(aiBubble, false);
+	}
+}
+
+// Handle keeping the active reply version, discarding all others
+async function handleKeepVersion(aiBubble, message) {
+	const activeId = message.activeVersionId || message.id;
+	let current = message;
+	setAiActionsBusy(aiBubble, true);
+
+	try {
+		for (const version of message.versions.filter((v) => v.id !== activeId)) {
+			const response = await fetch(`/api/conversations/${activeConversationId}/turns/${message.turnId}/versions/${version.id}`, { method: 'DELETE' });
+			if (!response.ok) {
+				const errorData = await response.json();
+				throw new Error(errorData.error || 'Failed to discard version');
+			}
+			current = (await response.json()).aiMessage;
+		}
+	} catch (error) {
+		console.error('Error discarding versions:', error);
+		showToast(error.message || 'Failed to discard versions.');
+	}
+
+	updateAiBubble(aiBubble, current);
+}
+
 // Handle send text button click
 function handleSendText() {
 	const textInput = document.getElementById('text-input');
@@ -821,7 +1990,177 @@ async function drainQueue() {
 	}
 }
 
-// Submit a turn (two-phase: transcribe then process for audio, direct for text)
+// Read a Server-Sent Events response body and dispatch each event
+async function readEventStream(response, onEvent) {
+	const reader = response.body.getReader();
+	const decoder = new TextDecoder();
+	let buffer = '';
+
+	while (true) {
+		const { value, done } = await reader.read();
+		if (done) break;
+
+		buffer += decoder.decode(value, { stream: true });
+
+		let boundary;
+		while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+			const rawEvent = buffer.slice(0, boundary);
+			buffer = buffer.slice(boundary + 2);
+
+			let eventName = 'message';
+			let data = '';
+			rawEvent.split('\n').forEach((line) => {
+				if (line.startsWith('event:')) {
+					eventName = line.slice(6).trim();
+				} else if (line.startsWith('data:')) {
+					data += line.slice(5).trim();
+				}
+			});
+
+			if (data) {
+				onEvent(eventName, JSON.parse(data));
+			}
+		}
+	}
+}
+
+// Get (or create) the audio element and playlist state for an AI bubble
+function getBubblePlayer(aiBubble) {
+	let audio = aiBubble.querySelector('audio');
+	if (!audio) {
+		audio = document.createElement('audio');
+		audio.className = 'bubble-audio';
+		audio.controls = true;
+		aiBubble.appendChild(audio);
+	}
+
+	if (!aiBubble.playlist) {
+		aiBubble.playlist = { urls: [], index: 0, playing: false, finalUrl: null };
+
+		// Advance through the sentence chunks seamlessly, then settle on the stored file
+		audio.addEventListener('ended', () => {
+			const playlist = aiBubble.playlist;
+			playlist.index++;
+			if (playlist.index < playlist.urls.length) {
+				audio.src = playlist.urls[playlist.index];
+				audio.play().catch((e) => console.log('Auto-play prevented:', e));
+			} else {
+				playlist.playing = false;
+				if (playlist.finalUrl) {
+					audio.src = playlist.finalUrl;
+				}
+			}
+		});
+	}
+
+	return { audio, playlist: aiBubble.playlist };
+}
+
+// Queue a streamed audio chunk on an AI bubble, starting playback if idle
+function playAudioChunk(aiBubble, chunk) {
+	const { audio, playlist } = getBubblePlayer(aiBubble);
+	playlist.urls[chunk.index] = chunk.url;
+
+	if (!playlist.playing && playlist.index === chunk.index) {
+		playlist.playing = true;
+		audio.src = chunk.url;
+		audio.play().catch((e) => {
+			playlist.playing = false;
+			console.log('Auto-play prevented:', e);
+		});
+	}
+}
+
+// Point an AI bubble at its stored audio file once the streamed playlist is done with
+function finishAudioPlaylist(aiBubble, audioUrl) {
+	const { audio, playlist } = getBubblePlayer(aiBubble);
+	playlist.finalUrl = audioUrl;
+
+	if (playlist.urls.length === 0) {
+		// Nothing was streamed (e.g. an idempotent replay): play the stored file directly
+		audio.src = audioUrl;
+		audio.play().catch((e) => console.log('Auto-play prevented:', e));
+	} else if (!playlist.playing) {
+		audio.src = audioUrl;
+	}
+}
+
+// Render a finished turn: the user bubble before the (already streamed) AI bubble, the reply's
+// final text, audio and actions, and any system events
+async function showTurnResult(conversationId, result, aiBubble) {
+	const chatMessages = document.getElementById('chat-messages');
+
+	// Add user message bubble
+	const userBubble = document.createElement('div');
+	userBubble.className = 'bubble user';
+	userBubble.innerHTML = `<span class="bubble-text">${escapeHtml(result.userMessage.content)}</span>`;
+	renderUserActions(userBubble, result.userMessage);
+
+	// Finalise the AI message bubble, keeping any audio that is already playing (text-only replies have none yet)
+	if (result.aiMessage.audioUrl) {
+		finishAudioPlaylist(aiBubble, result.aiMessage.audioUrl);
+	}
+	chatMessages.insertBefore(userBubble, aiBubble);
+	aiBubble.classList.remove('pending');
+	aiBubble.querySelector('.bubble-text').innerHTML = renderAiContent(result.aiMessage.content);
+	renderAiActions(aiBubble, result.aiMessage);
+
+	// Handle voice switch event
+	if (result.voiceSwitchEvent) {
+		const systemBubble = createSystemEventBubble(result.voiceSwitchEvent);
+		chatMessages.insertBefore(systemBubble, aiBubble);
+
+		// Update voice select value
+		const voiceSelect = document.getElementById('voice-select');
+		if (voiceSelect) {
+			voiceSelect.value = result.voiceSwitchEvent.toVoiceId;
+		}
+	}
+
+	// Handle language switch event
+	if (result.languageSwitchEvent) {
+		const systemBubble = createSystemEventBubble(result.languageSwitchEvent);
+		chatMessages.insertBefore(systemBubble, aiBubble);
+		// Update active language if it was a successful switch
+		if (result.languageSwitchEvent.subtype === 'switch') {
+			activeLanguage = result.languageSwitchEvent.toLanguage;
+			updateLanguagePill(activeLanguage);
+		}
+	}
+
+	// Handle LLM switch event
+	if (result.llmSwitchEvent) {
+		const systemBubble = createSystemEventBubble(result.llmSwitchEvent);
+		chatMessages.insertBefore(systemBubble, aiBubble);
+		activeLlmModel = result.llmSwitchEvent.model;
+		updateLlmPill();
+	}
+
+	// Handle LLM fallback event
+	if (result.llmFallbackEvent) {
+		const systemBubble = createSystemEventBubble(result.llmFallbackEvent);
+		chatMessages.insertBefore(systemBubble, aiBubble);
+		activeLlmModel = result.llmFallbackEvent.model || null;
+		updateLlmPill();
+	}
+
+	// Check if conversation title needs to be updated
+	const conversation = conversations.find((c) => c.id === conversationId);
+	if (conversation && conversation.title === 'New Conversation') {
+		// Re-fetch conversations to get updated title
+		try {
+			conversations = await fetchConversations();
+			renderConvList();
+		} catch (error) {
+			console.error('Error refreshing conversations:', error);
+		}
+	}
+
+	// Scroll to bottom
+	chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Submit a turn, rendering transcript, reply tokens and audio as they stream in
 async function submitTurn(item) {
 	const turnId = crypto.randomUUID();
 	const conversationId = item.conversationId;
@@ -831,70 +2170,79 @@ async function submitTurn(item) {
 	const pendingBubble = document.createElement('div');
 	pendingBubble.className = 'bubble user pending';
 	pendingBubble.id = 'pending-user';
+	pendingBubble.innerHTML = '<span class="bubble-text"></span><button class="bubble-cancel-btn" title="Cancel this message">✕</button>';
+	const pendingText = pendingBubble.querySelector('.bubble-text');
 
 	if (item.text) {
 		// For text input, show the text directly
-		pendingBubble.textContent = item.text;
+		pendingText.textContent = item.text;
 	} else {
 		// For audio input, show transcribing status
-		pendingBubble.textContent = 'Transcribing…';
+		pendingText.textContent = 'Transcribing…';
 	}
 
 	chatMessages.appendChild(pendingBubble);
 
+	// Cancel: stop the turn on the server, then stop waiting for it
+	const turnController = new AbortController();
+	let cancelled = false;
+	pendingBubble.querySelector('.bubble-cancel-btn').addEventListener('click', async (event) => {
+		event.currentTarget.disabled = true;
+		cancelled = true;
+		document.getElementById('status-label').textContent = 'Cancelling…';
+		await fetch(`/api/conversations/${conversationId}/turns/${turnId}`, { method: 'DELETE' }).catch(() => {});
+		turnController.abort();
+	});
+
 	// Scroll to bottom
 	chatMessages.scrollTop = chatMessages.scrollHeight;
 
-	// Update status label
+	// Update status label to "Thinking…" with queue info if needed
+	const setThinkingStatus = () => {
+		if (turnQueue.length > 0) {
+			document.getElementById('status-label').textContent = `Thinking… (${turnQueue.length} more queued)`;
+		} else {
+			document.getElementById('status-label').textContent = 'Thinking…';
+		}
+	};
+
 	if (item.text) {
-		document.getElementById('status-label').textContent = 'Thinking…';
+		setThinkingStatus();
 	} else {
 		document.getElementById('status-label').textContent = 'Transcribing…';
 	}
 
-	try {
-		let userText;
-
-		if (item.text) {
-			// For text input, use the text directly
-			userText = item.text;
-		} else {
-			// For audio input, transcribe first
-			const transcribeFormData = new FormData();
-			transcribeFormData.append('audio', item.audioBlob, 'recording.webm');
-
-			const transcribeResponse = await fetch(`/api/conversations/${conversationId}/transcribe`, {
-				method: 'POST',
-				body: transcribeFormData,
-			});
-
-			if (!transcribeResponse.ok) {
-				const errorData = await transcribeResponse.json();
-				throw new Error('Transcription failed: ' + (errorData.error || 'Unknown error'));
-			}
-
-			const transcribeResult = await transcribeResponse.json();
-			userText = transcribeResult.text;
-
-			// Update pending bubble text to transcribed text
-			pendingBubble.textContent = userText;
-		}
-
-		// Update status label to "Thinking…" with queue info if needed
-		if (turnQueue.length > 0) {
-			document.getElementById('status-label').textContent = `Thinking… (${turnQueue.length} more queued)`;
-		} else {
-			document.getElementById('status-label').textContent = 'Thinking…';
+	// Pending AI bubble, created when the first reply token arrives
+	let aiBubble = null;
+	let aiText = '';
+	const ensureAiBubble = () => {
+		if (!aiBubble) {
+			aiBubble = document.createElement('div');
+			aiBubble.className = 'bubble ai pending';
+			aiBubble.innerHTML = '<span class="bubble-text"></span>';
+			chatMessages.appendChild(aiBubble);
 		}
+		return aiBubble;
+	};
+	const setAiText = (text) => {
+		aiText = text;
+		ensureAiBubble().querySelector('.bubble-text').textContent = text;
+		chatMessages.scrollTop = chatMessages.scrollHeight;
+	};
 
-		// Phase 2: Process turn with text
+	try {
 		const turnFormData = new FormData();
 		turnFormData.append('turnId', turnId);
-		turnFormData.append('transcribedText', userText);
+		if (item.text) {
+			turnFormData.append('transcribedText', item.text);
+		} else {
+			turnFormData.append('audio', item.audioBlob, 'recording.webm');
+		}
 
-		const turnResponse = await fetch(`/api/conversations/${conversationId}/turn`, {
+		const turnResponse = await fetch(`/api/conversations/${conversationId}/turn/stream`, {
 			method: 'POST',
 			body: turnFormData,
+			signal: turnController.signal,
 		});
 
 		if (!turnResponse.ok) {
@@ -902,7 +2250,35 @@ async function submitTurn(item) {
 			throw new Error(errorData.error || 'Failed to process turn');
 		}
 
-		const result = await turnResponse.json();
+		let result = null;
+		let streamError = null;
+
+		await readEventStream(turnResponse, (eventName, data) => {
+			if (eventName === 'transcript') {
+				// Update pending bubble text to transcribed text
+				pendingText.textContent = data.text;
+				setThinkingStatus();
+			} else if (eventName === 'token') {
+				setAiText(aiText + data.text);
+			} else if (eventName === 'reset') {
+				// Primary model failed mid-reply; the fallback starts over
+				setAiText('');
+			} else if (eventName === 'reply') {
+				setAiText(data.text);
+				if (speakReplies) {
+					document.getElementById('status-label').textContent = 'Generating audio…';
+				}
+			} else if (eventName === 'audio') {
+				playAudioChunk(ensureAiBubble(), data);
+			} else if (eventName === 'done') {
+				result = data;
+			} else if (eventName === 'error') {
+				streamError = new Error(data.error || 'Failed to process turn');
+			}
+		});
+
+		if (streamError) throw streamError;
+		if (!result) throw new Error('Turn stream ended unexpectedly');
 
 		// Remove pending user bubble
 		const pendingUser = document.getElementById('pending-user');
@@ -910,94 +2286,221 @@ async function submitTurn(item) {
 			pendingUser.remove();
 		}
 
-		// Add user message bubble
-		const userBubble = document.createElement('div');
-		userBubble.className = 'bubble user';
-		userBubble.innerHTML = escapeHtml(result.userMessage.content);
-		chatMessages.appendChild(userBubble);
-
-		// Add AI message bubble
-		const aiBubble = document.createElement('div');
-		aiBubble.className = 'bubble ai';
-		aiBubble.innerHTML = `
-      ${renderAiContent(result.aiMessage.content)}
-      <audio class="bubble-audio" src="${escapeHtml(result.aiMessage.audioUrl)}" controls></audio>
-    `;
-		chatMessages.appendChild(aiBubble);
+		// Finalise the AI message bubble, keeping any audio that is already playing
+		ensureAiBubble();
+		await showTurnResult(conversationId, result, aiBubble);
+	} catch (error) {
+		// Remove pending user and AI bubbles
+		const pendingUser = document.getElementById('pending-user');
+		if (pendingUser) {
+			pendingUser.remove();
+		}
+		if (aiBubble) {
+			aiBubble.remove();
+		}
 
-		// Auto-play AI audio
-		const audio = aiBubble.querySelector('audio');
-		if (audio) {
-			audio.play().catch((e) => console.log('Auto-play prevented:', e));
+		// A cancelled turn is not a failure: carry on with the rest of the queue
+		if (cancelled) {
+			document.getElementById('status-label').textContent = 'Press mic to speak';
+			return;
 		}
 
-		// Handle voice switch event
-		if (result.voiceSwitchEvent) {
-			const systemBubble = createSystemEventBubble(result.voiceSwitchEvent);
-			chatMessages.insertBefore(systemBubble, aiBubble);
+		console.error('Error submitting turn:', error);
 
-			// Update voice select value
-			const voiceSelect = document.getElementById('voice-select');
-			if (voiceSelect) {
-				voiceSelect.value = result.voiceSwitchEvent.toVoiceId;
-			}
-		}
+		// Re-throw error so drainQueue can catch it and apply failure policy
+		throw error;
+	}
+}
 
-		// Handle language switch event
-		if (result.languageSwitchEvent) {
-			const systemBubble = createSystemEventBubble(result.languageSwitchEvent);
-			chatMessages.insertBefore(systemBubble, aiBubble);
-			// Update active language if it was a successful switch
-			if (result.languageSwitchEvent.subtype === 'switch') {
-				activeLanguage = result.languageSwitchEvent.toLanguage;
-				updateLanguagePill(activeLanguage);
-			}
-		}
+// Handle call button click
+function handleCallClick() {
+	if (callSession) {
+		endCall();
+	} else {
+		startCall();
+	}
+}
 
-		// Handle LLM switch event
-		if (result.llmSwitchEvent) {
-			const systemBubble = createSystemEventBubble(result.llmSwitchEvent);
-			chatMessages.insertBefore(systemBubble, aiBubble);
-			activeLlmModel = result.llmSwitchEvent.model;
-			updateLlmPill();
-		}
+// Start a hands-free call: the microphone streams to the server, which detects when you stop talking,
+// runs the turn and streams the reply back. Talking over a reply interrupts it.
+async function startCall() {
+	const conversationId = activeConversationId;
+	if (!conversationId) return;
+
+	let stream;
+	try {
+		stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+	} catch (error) {
+		console.error('Error starting call:', error);
+		showToast('Failed to access microphone. Please check permissions.');
+		return;
+	}
+
+	const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+	const socket = new WebSocket(`${protocol}://${window.location.host}/api/realtime?conversationId=${encodeURIComponent(conversationId)}`);
+	const session = { conversationId, socket, stream, audioContext: null, turns: new Map(), lastAiBubble: null };
+	callSession = session;
 
-		// Handle LLM fallback event
-		if (result.llmFallbackEvent) {
-			const systemBubble = createSystemEventBubble(result.llmFallbackEvent);
-			chatMessages.insertBefore(systemBubble, aiBubble);
-			activeLlmModel = result.llmFallbackEvent.model || null;
-			updateLlmPill();
+	socket.addEventListener('message', (e) => handleCallEvent(session, JSON.parse(e.data)));
+	socket.addEventListener('close', () => {
+		if (callSession === session) {
+			showToast('Call ended.');
+			endCall();
 		}
+	});
 
-		// Check if conversation title needs to be updated
-		const conversation = conversations.find((c) => c.id === conversationId);
-		if (conversation && conversation.title === 'New Conversation') {
-			// Re-fetch conversations to get updated title
-			try {
-				const convResponse = await fetch('/api/conversations');
-				if (convResponse.ok) {
-					conversations = await convResponse.json();
-					renderConvList();
-				}
-			} catch (error) {
-				console.error('Error refreshing conversations:', error);
-			}
+	// Update UI
+	document.getElementById('call-btn').classList.add('recording');
+	document.getElementById('mic-btn').disabled = true;
+	document.getElementById('status-label').textContent = 'Connecting…';
+}
+
+// Hang up, releasing the microphone
+function endCall() {
+	const session = callSession;
+	if (!session) return;
+	callSession = null;
+
+	session.socket.close();
+	session.stream.getTracks().forEach((track) => track.stop());
+	if (session.audioContext) {
+		session.audioContext.close();
+	}
+	session.turns.forEach((turn) => {
+		if (turn.userBubble) turn.userBubble.remove();
+		if (turn.aiBubble) turn.aiBubble.remove();
+	});
+
+	// Update UI
+	document.getElementById('call-btn').classList.remove('recording');
+	document.getElementById('mic-btn').disabled = !activeConversationId;
+	document.getElementById('status-label').textContent = activeConversationId ? 'Press mic to speak' : 'Select a voice to begin.';
+}
+
+// Stream the microphone to the call as 16-bit PCM at the sample rate the server asked for
+function startCallAudio(session, sampleRate) {
+	const audioContext = new AudioContext({ sampleRate });
+	const source = audioContext.createMediaStreamSource(session.stream);
+	const processor = audioContext.createScriptProcessor(4096, 1, 1);
+
+	processor.onaudioprocess = (e) => {
+		if (session.socket.readyState !== WebSocket.OPEN) return;
+		const input = e.inputBuffer.getChannelData(0);
+		const pcm = new Int16Array(input.length);
+		for (let i = 0; i < input.length; i++) {
+			pcm[i] = Math.max(-1, Math.min(1, input[i])) * 0x7fff;
 		}
+		session.socket.send(pcm.buffer);
+	};
+
+	source.connect(processor);
+	processor.connect(audioContext.destination);
+	session.audioContext = audioContext;
+}
 
-		// Scroll to bottom
+// Stop an AI bubble's playback, including any sentence chunks still queued
+function stopBubblePlayback(aiBubble) {
+	if (!aiBubble || !aiBubble.playlist) return;
+	const { audio, playlist } = getBubblePlayer(aiBubble);
+	audio.pause();
+	playlist.playing = false;
+	playlist.index = playlist.urls.length;
+}
+
+// Handle a message from the call's server
+async function handleCallEvent(session, data) {
+	if (callSession !== session) return;
+	const chatMessages = document.getElementById('chat-messages');
+	const statusLabel = document.getElementById('status-label');
+
+	if (data.type === 'ready') {
+		startCallAudio(session, data.sampleRate);
+		statusLabel.textContent = 'In call — just start talking';
+		return;
+	}
+
+	if (data.type === 'speechStart') {
+		// Barge-in: stop the reply that is playing; the server cancels those that have started replying.
+		// Turns still transcribing or thinking carry on, and the new speech is answered after them.
+		stopBubblePlayback(session.lastAiBubble);
+		session.turns.forEach((turn) => {
+			if (!turn.replying) return;
+			turn.interrupted = true;
+			stopBubblePlayback(turn.aiBubble);
+		});
+		statusLabel.textContent = 'Listening…';
+		return;
+	}
+
+	if (data.type === 'speechEnd') {
+		const userBubble = document.createElement('div');
+		userBubble.className = 'bubble user pending';
+		userBubble.innerHTML = '<span class="bubble-text">Transcribing…</span>';
+		chatMessages.appendChild(userBubble);
 		chatMessages.scrollTop = chatMessages.scrollHeight;
-	} catch (error) {
-		console.error('Error submitting turn:', error);
 
-		// Remove pending user bubble
-		const pendingUser = document.getElementById('pending-user');
-		if (pendingUser) {
-			pendingUser.remove();
-		}
+		session.turns.set(data.turnId, { userBubble, aiBubble: null, aiText: '', replying: false, interrupted: false });
+		statusLabel.textContent = 'Thinking…';
+		return;
+	}
 
-		// Re-throw error so drainQueue can catch it and apply failure policy
-		throw error;
+	if (data.type === 'error' && !data.turnId) {
+		showToast(data.error || 'Call failed.');
+		return;
+	}
+
+	const turn = session.turns.get(data.turnId);
+	if (!turn) return;
+
+	const ensureAiBubble = () => {
+		if (!turn.aiBubble) {
+			turn.aiBubble = document.createElement('div');
+			turn.aiBubble.className = 'bubble ai pending';
+			turn.aiBubble.innerHTML = '<span class="bubble-text"></span>';
+			chatMessages.appendChild(turn.aiBubble);
+		}
+		return turn.aiBubble;
+	};
+	const setAiText = (text) => {
+		turn.aiText = text;
+		ensureAiBubble().querySelector('.bubble-text').textContent = text;
+		chatMessages.scrollTop = chatMessages.scrollHeight;
+	};
+
+	if (data.type === 'done') {
+		// A turn can finish just as it is interrupted: it is saved, so show it but keep it quiet
+		session.turns.delete(data.turnId);
+		turn.userBubble.remove();
+		ensureAiBubble();
+		await showTurnResult(session.conversationId, data, turn.aiBubble);
+		if (turn.interrupted) {
+			stopBubblePlayback(turn.aiBubble);
+		} else {
+			session.lastAiBubble = turn.aiBubble;
+			statusLabel.textContent = 'In call — just start talking';
+		}
+	} else if (data.type === 'interrupted' || data.type === 'error') {
+		session.turns.delete(data.turnId);
+		turn.userBubble.remove();
+		if (turn.aiBubble) turn.aiBubble.remove();
+		if (data.type === 'error') {
+			showToast(data.error || 'Turn failed.');
+			statusLabel.textContent = 'In call — just start talking';
+		}
+	} else if (turn.interrupted) {
+		// Leftovers of a reply that was talked over
+	} else if (data.type === 'transcript') {
+		turn.userBubble.querySelector('.bubble-text').textContent = data.text;
+	} else if (data.type === 'token') {
+		setAiText(turn.aiText + data.text);
+	} else if (data.type === 'reset') {
+		setAiText('');
+	} else if (data.type === 'reply') {
+		turn.replying = true;
+		setAiText(data.text);
+	} else if (data.type === 'audio') {
+		turn.replying = true;
+		playAudioChunk(ensureAiBubble(), data);
 	}
 }
 
@@ -5,6 +5,8 @@
 let voices = [];
 let editingVoiceId = null;
 let selectedFiles = [];
+let memories = [];
+let documents = [];
 
 // Utility to escape HTML
 function escapeHtml(text) {
@@ -419,6 +421,8 @@ function renderVoiceList() {
         </div>
       </div>
       <div class="voice-card-actions">
+        <button class="btn-memories" data-id="${voice.id}">Memories</button>
+        <button class="btn-documents" data-id="${voice.id}">Documents</button>
         <button class="btn-edit" data-id="${voice.id}">Edit</button>
         <button class="btn-delete" data-id="${voice.id}">Delete</button>
       </div>
@@ -426,7 +430,15 @@ function renderVoiceList() {
 
 		voiceList.appendChild(voiceCard);
 
-		// Add event listeners for edit and delete buttons
+		// Add event listeners for memories, documents, edit and delete buttons
+		voiceCard.querySelector('.btn-memories').addEventListener('click', () => {
+			showMemories(voice);
+		});
+
+		voiceCard.querySelector('.btn-documents').addEventListener('click', () => {
+			showDocuments(voice);
+		});
+
 		voiceCard.querySelector('.btn-edit').addEventListener('click', () => {
 			showEditForm(voice);
 		});
@@ -488,5 +500,361 @@ function showDeleteConfirm(card, voice) {
 	});
 }
 
+// Show the memories panel for a voice
+function showMemories(voice) {
+	editingVoiceId = null;
+
+	const formContainer = document.getElementById('voice-form-container');
+	formContainer.innerHTML = `
+    <div class="voice-form">
+      <h2>What ${escapeHtml(voice.name)} remembers</h2>
+      <p class="form-hint">Facts are learned from your conversations with this voice and recalled in every conversation with it.</p>
+      <div id="memory-list" class="memory-list"></div>
+      <div class="memory-add">
+        <input type="text" id="memory-input" placeholder="e.g., My granddaughter's name is Ana" />
+        <button id="memory-add-btn" class="btn btn-outline">Add</button>
+      </div>
+      <div id="form-error" class="form-error hidden"></div>
+      <div class="form-actions">
+        <button id="memory-close-btn" class="btn btn-outline">Close</button>
+      </div>
+    </div>
+  `;
+
+	formContainer.classList.remove('hidden');
+
+	// Attach event listeners
+	document.getElementById('memory-close-btn').addEventListener('click', () => {
+		formContainer.classList.add('hidden');
+	});
+
+	document.getElementById('memory-add-btn').addEventListener('click', () => handleAddMemory(voice));
+	document.getElementById('memory-input').addEventListener('keydown', (e) => {
+		if (e.key === 'Enter') handleAddMemory(voice);
+	});
+
+	fetchMemories(voice);
+}
+
+// Fetch a voice's memories from the API
+async function fetchMemories(voice) {
+	const memoryList = document.getElementById('memory-list');
+	memoryList.innerHTML = '<div class="form-hint">Loading…</div>';
+
+	try {
+		const response = await fetch(`/api/voices/${voice.id}/memories`);
+		if (!response.ok) throw new Error('Failed to fetch memories');
+		memories = await response.json();
+		renderMemoryList(voice);
+	} catch (error) {
+		console.error('Error fetching memories:', error);
+		memoryList.innerHTML = '<div class="form-hint">Failed to load memories</div>';
+	}
+}
+
+// Render the memory list
+function renderMemoryList(voice) {
+	const memoryList = document.getElementById('memory-list');
+
+	if (memories.length === 0) {
+		memoryList.innerHTML = `<div class="form-hint">${escapeHtml(voice.name)} doesn't remember anything yet.</div>`;
+		return;
+	}
+
+	memoryList.innerHTML = '';
+
+	memories.forEach((memory) => {
+		const item = document.createElement('div');
+		item.className = 'memory-item';
+		item.innerHTML = `
+      <span class="memory-content">${escapeHtml(memory.content)}</span>
+      <div class="memory-actions">
+        <button class="btn-edit">Edit</button>
+        <button class="btn-delete">Delete</button>
+      </div>
+    `;
+
+		memoryList.appendChild(item);
+
+		item.querySelector('.btn-edit').addEventListener('click', () => {
+			showMemoryEditor(item, voice, memory);
+		});
+
+		item.querySelector('.btn-delete').addEventListener('click', () => {
+			handleDeleteMemory(voice, memory);
+		});
+	});
+}
+
+// Replace a memory item with an inline editor
+function showMemoryEditor(item, voice, memory) {
+	item.innerHTML = `
+    <input type="text" class="memory-edit-input" value="${escapeHtml(memory.content)}" />
+    <div class="memory-actions">
+      <button class="btn-save">Save</button>
+      <button class="btn-cancel">Cancel</button>
+    </div>
+  `;
+
+	const input = item.querySelector('.memory-edit-input');
+	input.focus();
+
+	item.querySelector('.btn-cancel').addEventListener('click', () => renderMemoryList(voice));
+	item.querySelector('.btn-save').addEventListener('click', async () => {
+		const content = input.value.trim();
+		if (!content) {
+			showError('Memory cannot be empty.');
+			return;
+		}
+		hideError();
+
+		try {
+			const response = await fetch(`/api/voices/${voice.id}/memories/${memory.id}`, {
+				method: 'PUT',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ content }),
+			});
+
+			if (!response.ok) {
+				const errorData = await response.json();
+				throw new Error(errorData.error || 'Failed to update memory');
+			}
+
+			const updatedMemory = await response.json();
+			memories = [updatedMemory, ...memories.filter((m) => m.id !== memory.id)];
+			renderMemoryList(voice);
+		} catch (error) {
+			console.error('Error updating memory:', error);
+			showError(error.message || 'Failed to update memory. Please try again.');
+		}
+	});
+}
+
+// Handle adding a memory by hand
+async function handleAddMemory(voice) {
+	const input = document.getElementById('memory-input');
+	const content = input.value.trim();
+	if (!content) return;
+
+	hideError();
+
+	try {
+		const response = await fetch(`/api/voices/${voice.id}/memories`, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify({ content }),
+		});
+
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to add memory');
+		}
+
+		const newMemory = await response.json();
+		memories.unshift(newMemory);
+		input.value = '';
+		renderMemoryList(voice);
+	} catch (error) {
+		console.error('Error adding memory:', error);
+		showError(error.message || 'Failed to add memory. Please try again.');
+	}
+}
+
+// Handle deleting a memory
+async function handleDeleteMemory(voice, memory) {
+	hideError();
+
+	try {
+		const response = await fetch(`/api/voices/${voice.id}/memories/${memory.id}`, {
+			method: 'DELETE',
+		});
+
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to delete memory');
+		}
+
+		memories = memories.filter((m) => m.id !== memory.id);
+		renderMemoryList(voice);
+	} catch (error) {
+		console.error('Error deleting memory:', error);
+		showError(error.message || 'Failed to delete memory. Please try again.');
+	}
+}
+
+// Show the knowledge base panel for a voice
+function showDocuments(voice) {
+	editingVoiceId = null;
+
+	const formContainer = document.getElementById('voice-form-container');
+	formContainer.innerHTML = `
+    <div class="voice-form">
+      <h2>${escapeHtml(voice.name)}'s documents</h2>
+      <p class="form-hint">Letters, diaries, recipes and stories ${escapeHtml(voice.name)} can draw on when talking with you.</p>
+      <div id="document-list" class="memory-list"></div>
+      <div class="form-group">
+        <label for="document-file">Upload a text file</label>
+        <input type="file" id="document-file" accept=".txt,.md,.markdown,text/plain,text/markdown" />
+        <div class="form-hint">TXT or Markdown, max 2MB</div>
+      </div>
+      <div class="form-group">
+        <label for="document-name">Or paste text</label>
+        <input type="text" id="document-name" placeholder="Title, e.g. Letter to Maria, 1962" />
+        <textarea id="document-text" rows="6" placeholder="Paste the text here"></textarea>
+      </div>
+      <div id="form-error" class="form-error hidden"></div>
+      <div class="form-actions">
+        <button id="document-close-btn" class="btn btn-outline">Close</button>
+        <button id="document-add-btn" class="btn btn-primary">Add Document</button>
+      </div>
+    </div>
+  `;
+
+	formContainer.classList.remove('hidden');
+
+	// Attach event listeners
+	document.getElementById('document-close-btn').addEventListener('click', () => {
+		formContainer.classList.add('hidden');
+	});
+
+	document.getElementById('document-add-btn').addEventListener('click', () => handleAddDocument(voice));
+
+	fetchDocuments(voice);
+}
+
+// Fetch a voice's documents from the API
+async function fetchDocuments(voice) {
+	const documentList = document.getElementById('document-list');
+	documentList.innerHTML = '<div class="form-hint">Loading…</div>';
+
+	try {
+		const response = await fetch(`/api/voices/${voice.id}/documents`);
+		if (!response.ok) throw new Error('Failed to fetch documents');
+		documents = await response.json();
+		renderDocumentList(voice);
+	} catch (error) {
+		console.error('Error fetching documents:', error);
+		documentList.innerHTML = '<div class="form-hint">Failed to load documents</div>';
+	}
+}
+
+// Render the document list
+function renderDocumentList(voice) {
+	const documentList = document.getElementById('document-list');
+
+	if (documents.length === 0) {
+		documentList.innerHTML = '<div class="form-hint">No documents yet.</div>';
+		return;
+	}
+
+	documentList.innerHTML = '';
+
+	documents.forEach((doc) => {
+		const item = document.createElement('div');
+		item.className = 'memory-item';
+		item.innerHTML = `
+      <span class="memory-content">📄 ${escapeHtml(doc.name)} <span class="form-hint">${doc.chunkCount} passage${doc.chunkCount === 1 ? '' : 's'}</span></span>
+      <div class="memory-actions">
+        <button class="btn-delete">Delete</button>
+      </div>
+    `;
+
+		documentList.appendChild(item);
+
+		// First click asks for confirmation, second click deletes
+		const deleteBtn = item.querySelector('.btn-delete');
+		deleteBtn.addEventListener('click', () => {
+			if (deleteBtn.dataset.confirming) {
+				handleDeleteDocument(voice, doc);
+				return;
+			}
+			deleteBtn.dataset.confirming = 'true';
+			deleteBtn.textContent = 'Confirm';
+		});
+	});
+}
+
+// Handle adding a document from the file input or the pasted text
+async function handleAddDocument(voice) {
+	const fileInput = document.getElementById('document-file');
+	const nameInput = document.getElementById('document-name');
+	const textInput = document.getElementById('document-text');
+	const addBtn = document.getElementById('document-add-btn');
+
+	let request;
+	if (fileInput.files.length > 0) {
+		const formData = new FormData();
+		formData.append('file', fileInput.files[0]);
+		request = { method: 'POST', body: formData };
+	} else if (textInput.value.trim()) {
+		if (!nameInput.value.trim()) {
+			showError('Please give the pasted text a title.');
+			return;
+		}
+		request = {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify({ name: nameInput.value.trim(), text: textInput.value }),
+		};
+	} else {
+		showError('Choose a file or paste some text.');
+		return;
+	}
+
+	hideError();
+	addBtn.disabled = true;
+	addBtn.textContent = 'Adding...';
+
+	try {
+		const response = await fetch(`/api/voices/${voice.id}/documents`, request);
+
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to add document');
+		}
+
+		const newDocument = await response.json();
+		documents.unshift(newDocument);
+		fileInput.value = '';
+		nameInput.value = '';
+		textInput.value = '';
+		renderDocumentList(voice);
+	} catch (error) {
+		console.error('Error adding document:', error);
+		showError(error.message || 'Failed to add document. Please try again.');
+	} finally {
+		addBtn.disabled = false;
+		addBtn.textContent = 'Add Document';
+	}
+}
+
+// Handle deleting a document
+async function handleDeleteDocument(voice, doc) {
+	hideError();
+
+	try {
+		const response = await fetch(`/api/voices/${voice.id}/documents/${doc.id}`, {
+			method: 'DELETE',
+		});
+
+		if (!response.ok) {
+			const errorData = await response.json();
+			throw new Error(errorData.error || 'Failed to delete document');
+		}
+
+		documents = documents.filter((d) => d.id !== doc.id);
+		renderDocumentList(voice);
+	} catch (error) {
+		console.error('Error deleting document:', error);
+		showError(error.message || 'Failed to delete document. Please try again.');
+	}
+}
+
 // Expose the init function to the global scope
 window.voicesPage = { init };